@@ -0,0 +1,326 @@
+// astUpdater.js
+// Keeps the `resources` object of an i18next setup file (e.g. src/i18n.js) in line with the locale files:
+//
+//   import enCommon from './locales/en/common.json';
+//   const resources = { en: { common: enCommon } };   // or i18n.init({ resources: { ... } })
+//
+// The file is parsed with @babel/parser; new imports and entries are printed with @babel/generator and
+// spliced into the original text, so everything else keeps its formatting.
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from '@babel/parser';
+import traverseModule from '@babel/traverse';
+import generateModule from '@babel/generator';
+import { types as t } from '@babel/core';
+import { getLocaleFilePath, listLanguageFiles } from './localePaths.js';
+import { isLocaleFile } from './formats/index.js';
+
+const traverse = traverseModule.default || traverseModule; // CommonJS default exports
+const generate = generateModule.default || generateModule;
+
+/** Error for setup files that do not match the supported pattern; nothing is written. */
+class UnsupportedConfigError extends Error {}
+
+function parseCode(code, filename) {
+    const extension = path.extname(filename);
+    const plugins = ['.ts', '.mts', '.cts'].includes(extension) ? ['typescript'] : (extension === '.tsx' ? ['typescript', 'jsx'] : ['jsx']);
+    return parse(code, { sourceType: 'module', plugins });
+}
+
+function getKeyName(keyNode) {
+    if (keyNode.type === 'Identifier') return keyNode.name;
+    if (keyNode.type === 'StringLiteral') return keyNode.value;
+    return null;
+}
+
+/** Unwraps `{ ... } as const` and `{ ... } satisfies Resource`. */
+function unwrapExpression(node) {
+    return node && (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression') ? unwrapExpression(node.expression) : node;
+}
+
+/**
+ * Finds the resources object and its entries. Every language must map to an object literal whose
+ * namespaces are identifiers bound to default imports.
+ * @throws {UnsupportedConfigError}
+ */
+function findResources(ast) {
+    const candidates = [];
+    let programPath = null;
+    traverse(ast, {
+        Program(programNodePath) { programPath = programNodePath; },
+        VariableDeclarator(declaratorPath) {
+            const init = unwrapExpression(declaratorPath.node.init);
+            if (declaratorPath.node.id.type === 'Identifier' && declaratorPath.node.id.name === 'resources' && init?.type === 'ObjectExpression') {
+                candidates.push(init);
+            }
+        },
+        ObjectProperty(propertyPath) {
+            const value = unwrapExpression(propertyPath.node.value);
+            if (!propertyPath.node.computed && getKeyName(propertyPath.node.key) === 'resources' && value.type === 'ObjectExpression') {
+                candidates.push(value);
+            }
+        },
+    });
+    if (candidates.length === 0) throw new UnsupportedConfigError("no 'resources' object literal found (`const resources = { ... }` or `init({ resources: { ... } })`)");
+    if (candidates.length > 1) throw new UnsupportedConfigError(`${candidates.length} 'resources' object literals found; expected exactly one`);
+
+    const resourcesNode = candidates[0];
+    const languages = [];
+    for (const languageNode of resourcesNode.properties) {
+        const lang = languageNode.type === 'ObjectProperty' && !languageNode.computed ? getKeyName(languageNode.key) : null;
+        const value = lang ? unwrapExpression(languageNode.value) : null;
+        if (value?.type !== 'ObjectExpression') {
+            throw new UnsupportedConfigError(`unsupported resources entry on line ${languageNode.loc.start.line}; expected \`lang: { namespace: importedName }\``);
+        }
+        const namespaces = value.properties.map(namespaceNode => {
+            const ns = namespaceNode.type === 'ObjectProperty' && !namespaceNode.computed ? getKeyName(namespaceNode.key) : null;
+            const binding = ns && namespaceNode.value.type === 'Identifier' ? programPath.scope.getBinding(namespaceNode.value.name) : null;
+            if (!binding || !binding.path.isImportDefaultSpecifier()) {
+                throw new UnsupportedConfigError(`unsupported namespace entry on line ${namespaceNode.loc.start.line}; expected \`namespace: importedName\` with a default import`);
+            }
+            return { ns, node: namespaceNode, importNode: binding.path.parentPath.node, source: binding.path.parentPath.node.source.value };
+        });
+        languages.push({ lang, node: languageNode, objectNode: value, namespaces });
+    }
+    return { resourcesNode, languages, scope: programPath.scope, imports: ast.program.body.filter(node => node.type === 'ImportDeclaration') };
+}
+
+/** Builds an import name such as `frCommon` or `ptBrAdminUsers` that is not taken yet. */
+function createImportName(lang, ns, isTaken) {
+    const words = `${lang} ${ns}`.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    let name = words.map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1))).join('');
+    if (!/^[A-Za-z_$]/.test(name)) name = `_${name}`;
+    let candidate = name;
+    for (let counter = 2; isTaken(candidate); counter++) candidate = `${name}${counter}`;
+    return candidate;
+}
+
+function getLineIndent(code, position) {
+    const lineStart = code.lastIndexOf('\n', position - 1) + 1;
+    return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Text edit inserting properties into an object literal, following its layout (single- or multi-line,
+ * indentation, trailing comma).
+ */
+function insertProperties(code, objectNode, propertyTexts, indentUnit) {
+    const last = objectNode.properties[objectNode.properties.length - 1];
+    const multiline = code.slice(objectNode.start, objectNode.end).includes('\n');
+    if (!last) {
+        const innerIndent = getLineIndent(code, objectNode.start) + indentUnit;
+        const text = multiline || propertyTexts.length > 1
+            ? `{\n${propertyTexts.map(text => `${innerIndent}${text},`).join('\n')}\n${getLineIndent(code, objectNode.start)}}`
+            : `{ ${propertyTexts[0]} }`;
+        return { start: objectNode.start, end: objectNode.end, text };
+    }
+    const afterLast = code.slice(last.end, objectNode.end - 1);
+    const trailingComma = /^\s*,/.test(afterLast);
+    const position = trailingComma ? last.end + afterLast.indexOf(',') + 1 : last.end;
+    if (!multiline) return { start: position, end: position, text: `${trailingComma ? ' ' : ', '}${propertyTexts.join(', ')}${trailingComma ? ',' : ''}` };
+    const indent = getLineIndent(code, last.start);
+    const lines = propertyTexts.map(text => `\n${indent}${text}`);
+    return { start: position, end: position, text: trailingComma ? `${lines.join(',')},` : `,${lines.join(',')}` };
+}
+
+/**
+ * Text edits removing properties of an object literal together with their separating commas: each property
+ * up to the next one, and a trailing run of removed properties from the end of the last kept one.
+ */
+function removeProperties(objectNode, removedNodes) {
+    const properties = objectNode.properties;
+    const lastKept = properties.findLastIndex(property => !removedNodes.includes(property));
+    const edits = [];
+    properties.forEach((property, index) => {
+        if (index < lastKept && removedNodes.includes(property)) edits.push({ start: property.start, end: properties[index + 1].start, text: '' });
+    });
+    if (lastKept < properties.length - 1) {
+        const start = lastKept >= 0 ? properties[lastKept].end : properties[0].start;
+        edits.push({ start, end: properties[properties.length - 1].end, text: '' });
+    }
+    return edits;
+}
+
+/** Text edit removing a statement, including its line if it stands alone. */
+function removeStatement(code, node) {
+    const lineStart = code.lastIndexOf('\n', node.start - 1) + 1;
+    const lineEnd = code.indexOf('\n', node.end);
+    const standsAlone = !code.slice(lineStart, node.start).trim() && !code.slice(node.end, lineEnd === -1 ? code.length : lineEnd).trim();
+    return standsAlone ? { start: lineStart, end: lineEnd === -1 ? code.length : lineEnd + 1, text: '' } : { start: node.start, end: node.end, text: '' };
+}
+
+/**
+ * Line diff (longest common subsequence) of two texts, with two lines of context around changes.
+ * @returns {string[]} Lines prefixed with '+', '-' or ' ', and '…' between distant hunks.
+ */
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) { lines.push({ type: ' ', text: a[i] }); i++; j++; }
+        else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) { lines.push({ type: '-', text: a[i] }); i++; }
+        else { lines.push({ type: '+', text: b[j] }); j++; }
+    }
+    const visible = lines.map((line, index) => lines.slice(Math.max(0, index - 2), index + 3).some(other => other.type !== ' '));
+    const output = [];
+    lines.forEach((line, index) => {
+        if (visible[index]) output.push(`${line.type} ${line.text}`);
+        else if (visible[index - 1]) output.push('…');
+    });
+    return output;
+}
+
+/**
+ * Registers added locale files in the i18n setup file and unregisters deleted ones: adds or removes the
+ * `import` statements and the `resources` entries (`lang: { namespace: importedName }`). Imports use paths
+ * relative to the setup file; entries whose import cannot be resolved (e.g. path aliases) are left alone.
+ * Shows a diff and refuses to write if the file does not match the supported pattern.
+ * @param {string} configFile - Absolute path of the setup file.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string[]} languages - Languages to register (source and targets).
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only show the diff.
+ * @param {object} [options.plan] - Change plan of a dry run; its planned file additions and deletions are taken into account.
+ * @returns {Promise<'updated'|'unchanged'|'refused'>}
+ */
+export async function updateI18nConfigFile(configFile, baseDir, languages, { dryRun = false, plan = null } = {}) {
+    const displayPath = path.relative(process.cwd(), configFile);
+    console.log(`\n🧩 Updating i18n resources in ${displayPath}${dryRun ? ' (dry run)' : ''}...`);
+    let code;
+    let resources;
+    try {
+        code = await fs.readFile(configFile, 'utf-8');
+        resources = findResources(parseCode(code, configFile));
+    } catch (error) {
+        const reason = error instanceof UnsupportedConfigError ? error.message : (error.code === 'ENOENT' ? 'file not found' : `cannot be parsed: ${error.message}`);
+        console.warn(`  ⚠️ Not updating ${displayPath}: ${reason}. Update it manually.`);
+        return 'refused';
+    }
+
+    // Locale files per language, including the additions and deletions of a dry-run plan
+    const configDir = path.dirname(configFile);
+    const wantedFiles = new Map();
+    for (const lang of new Set(languages)) {
+        let files = [];
+        try {
+            files = await listLanguageFiles(baseDir, lang);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const planned = plan?.languages[lang];
+        if (planned) files = [...new Set([...files, ...planned.filesToAdd])].filter(file => !planned.filesToDelete.includes(file));
+        wantedFiles.set(lang, files);
+    }
+    const plannedDeletions = new Set(Object.entries(plan?.languages || {})
+        .flatMap(([lang, languagePlan]) => languagePlan.filesToDelete.map(file => getLocaleFilePath(baseDir, lang, file))));
+    const fileExists = async filePath => !plannedDeletions.has(filePath) && await fs.access(filePath).then(() => true, () => false);
+
+    // New imports follow the quote and semicolon style of the existing imports
+    const sampleImport = resources.imports[0];
+    const quotes = sampleImport?.source.extra?.raw.startsWith('"') ? 'double' : 'single';
+    const semicolon = !sampleImport || code.slice(sampleImport.start, sampleImport.end).trimEnd().endsWith(';');
+    const indentUnit = code.match(/^( +|\t)\S/m)?.[1] || '  ';
+    const print = node => generate(node, { jsescOption: { quotes, minimal: true } }).code;
+    const printKey = name => print(t.isValidIdentifier(name) ? t.identifier(name) : t.stringLiteral(name));
+    const takenNames = new Set();
+    const isTaken = name => takenNames.has(name) || resources.scope.hasBinding(name);
+
+    const edits = [];
+    const added = [];
+    const removed = [];
+    const removedEntries = [];
+    const removedLanguages = [];
+    const newImports = [];
+    const newLanguages = [];
+    for (const [lang, files] of wantedFiles) {
+        const language = resources.languages.find(candidate => candidate.lang === lang);
+        const namespaces = language ? language.namespaces : [];
+
+        // Entries whose (relative) import points to a locale file that no longer exists
+        const removedNamespaces = [];
+        for (const entry of namespaces) {
+            if (!entry.source.startsWith('.') || !isLocaleFile(entry.source)) continue;
+            if (await fileExists(path.resolve(configDir, entry.source))) continue;
+            removedNamespaces.push(entry);
+            removed.push(`${lang}.${entry.ns}`);
+        }
+        removedEntries.push(...removedNamespaces);
+
+        const registered = new Set(namespaces.map(entry => entry.ns));
+        const newProperties = [];
+        for (const filename of files) {
+            const ns = filename.slice(0, filename.length - path.extname(filename).length);
+            if (registered.has(ns)) continue;
+            const name = createImportName(lang, ns, isTaken);
+            takenNames.add(name);
+            let source = path.relative(configDir, getLocaleFilePath(baseDir, lang, filename)).split(path.sep).join('/');
+            if (!source.startsWith('.')) source = `./${source}`;
+            const importCode = print(t.importDeclaration([t.importDefaultSpecifier(t.identifier(name))], t.stringLiteral(source)));
+            newImports.push(semicolon ? importCode : importCode.replace(/;$/, ''));
+            newProperties.push(print(t.objectProperty(t.isValidIdentifier(ns) ? t.identifier(ns) : t.stringLiteral(ns), t.identifier(name))));
+            added.push(`${lang}.${ns}`);
+        }
+
+        if (!language) {
+            if (newProperties.length > 0) newLanguages.push(`${printKey(lang)}: { ${newProperties.join(', ')} }`);
+        } else if (removedNamespaces.length === namespaces.length && namespaces.length > 0) {
+            // Every registered namespace is gone: drop the language, or replace its entries with the new ones
+            if (newProperties.length === 0) removedLanguages.push(language.node);
+            else edits.push({ start: language.objectNode.start, end: language.objectNode.end, text: `{ ${newProperties.join(', ')} }` });
+        } else {
+            edits.push(...removeProperties(language.objectNode, removedNamespaces.map(entry => entry.node)));
+            if (newProperties.length > 0) edits.push(insertProperties(code, language.objectNode, newProperties, indentUnit));
+        }
+    }
+    edits.push(...removeProperties(resources.resourcesNode, removedLanguages));
+    if (newLanguages.length > 0) edits.push(insertProperties(code, resources.resourcesNode, newLanguages, indentUnit));
+
+    // Imports used only by removed entries are removed as well
+    const keptEntries = resources.languages.flatMap(language => language.namespaces).filter(entry => !removedEntries.includes(entry));
+    const removedImports = new Set(removedEntries.map(entry => entry.importNode)
+        .filter(importNode => importNode.specifiers.length === 1 && !keptEntries.some(entry => entry.importNode === importNode)));
+    removedImports.forEach(importNode => edits.push(removeStatement(code, importNode)));
+    if (newImports.length > 0) {
+        const lastImport = resources.imports.filter(node => !removedImports.has(node)).pop();
+        edits.push(lastImport
+            ? { start: lastImport.end, end: lastImport.end, text: `\n${newImports.join('\n')}` }
+            : { start: 0, end: 0, text: `${newImports.join('\n')}\n` });
+    }
+
+    if (edits.length === 0) {
+        console.log(`  ✨ ${displayPath} already registers every locale file.`);
+        return 'unchanged';
+    }
+    // Apply from the end so earlier positions stay valid
+    let updated = code;
+    edits.sort((a, b) => b.start - a.start || b.end - a.end).forEach(edit => {
+        updated = updated.slice(0, edit.start) + edit.text + updated.slice(edit.end);
+    });
+    try {
+        findResources(parseCode(updated, configFile));
+    } catch (error) {
+        console.warn(`  ⚠️ Not updating ${displayPath}: the updated file would not be valid (${error.message}). Update it manually.`);
+        return 'refused';
+    }
+
+    added.forEach(entry => console.log(`  ➕ ${entry}`));
+    removed.forEach(entry => console.log(`  ➖ ${entry}`));
+    console.log(`\n  --- ${displayPath}\n  +++ ${displayPath} (updated)`);
+    diffLines(code, updated).forEach(line => console.log(`  ${line}`));
+    if (dryRun) {
+        console.log(`\n  ${displayPath} was not changed (dry run).`);
+        return 'updated';
+    }
+    await fs.writeFile(configFile, updated, 'utf-8');
+    console.log(`\n  ✏️ Updated ${displayPath}.`);
+    return 'updated';
+}
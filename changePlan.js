@@ -0,0 +1,153 @@
+// changePlan.js
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Creates an empty change plan. A plan records what a `generate` or `sync` run
+ * would do to each target language without touching the file system.
+ * @param {string} command - The command being planned ('generate' or 'sync').
+ * @param {string} sourceLang - Source language code.
+ * @param {boolean} translationEnabled - Whether strings would be sent to the translator.
+ * @returns {object} A new plan object.
+ */
+export function createChangePlan(command, sourceLang, translationEnabled) {
+    return {
+        command,
+        generatedAt: new Date().toISOString(),
+        sourceLang,
+        translationEnabled,
+        languages: {},
+    };
+}
+
+/**
+ * Returns the plan entry for a language, creating it if needed.
+ * @param {object} plan
+ * @param {string} lang
+ * @returns {{ filesToAdd: string[], filesToDelete: string[], files: object }}
+ */
+export function getLanguagePlan(plan, lang) {
+    if (!plan.languages[lang]) {
+        plan.languages[lang] = { filesToAdd: [], filesToDelete: [], files: {} };
+    }
+    return plan.languages[lang];
+}
+
+/**
+ * Records the planned action for a single target file.
+ * @param {object} plan
+ * @param {string} lang - Target language code.
+ * @param {string} filename - File name relative to the language directory.
+ * @param {object} details
+ * @param {'add'|'delete'|'update'|'overwrite'|'unchanged'} details.action
+ * @param {string[]} [details.addedKeys]
+ * @param {string[]} [details.removedKeys]
+ * @param {Array<{path: string, from: string, to: string}>} [details.typeMismatches]
+ * @param {string[]} [details.staleKeys] - Keys whose source string changed since they were translated.
+ * @param {number} [details.stringsToTranslate]
+ * @param {string} [details.reason] - Optional explanation (e.g., invalid JSON/YAML).
+ */
+export function recordFilePlan(plan, lang, filename, details) {
+    const langPlan = getLanguagePlan(plan, lang);
+    langPlan.files[filename] = {
+        action: details.action,
+        addedKeys: details.addedKeys || [],
+        removedKeys: details.removedKeys || [],
+        typeMismatches: details.typeMismatches || [],
+        staleKeys: details.staleKeys || [],
+        stringsToTranslate: details.stringsToTranslate || 0,
+        ...(details.reason ? { reason: details.reason } : {}),
+    };
+    if (details.action === 'add') langPlan.filesToAdd.push(filename);
+    if (details.action === 'delete') langPlan.filesToDelete.push(filename);
+}
+
+/**
+ * Computes totals across all languages of a plan.
+ * @param {object} plan
+ * @returns {{ filesToAdd: number, filesToDelete: number, filesToChange: number, addedKeys: number, removedKeys: number, typeMismatches: number, staleKeys: number, stringsToTranslate: number }}
+ */
+export function summarizeChangePlan(plan) {
+    const totals = { filesToAdd: 0, filesToDelete: 0, filesToChange: 0, addedKeys: 0, removedKeys: 0, typeMismatches: 0, staleKeys: 0, stringsToTranslate: 0 };
+    for (const langPlan of Object.values(plan.languages)) {
+        for (const filePlan of Object.values(langPlan.files)) {
+            if (filePlan.action === 'add') totals.filesToAdd++;
+            else if (filePlan.action === 'delete') totals.filesToDelete++;
+            else if (filePlan.action !== 'unchanged') totals.filesToChange++;
+            totals.addedKeys += filePlan.addedKeys.length;
+            totals.removedKeys += filePlan.removedKeys.length;
+            totals.typeMismatches += filePlan.typeMismatches.length;
+            totals.staleKeys += filePlan.staleKeys.length;
+            totals.stringsToTranslate += filePlan.stringsToTranslate;
+        }
+    }
+    return totals;
+}
+
+/**
+ * Prints a human-readable, per-language and per-file view of a plan.
+ * @param {object} plan
+ */
+export function printChangePlan(plan) {
+    console.log(`\n📋 Dry-run plan for '${plan.command}' (no files were written)`);
+    const languages = Object.keys(plan.languages);
+    if (languages.length === 0) {
+        console.log("  Nothing to do.");
+        return;
+    }
+
+    for (const lang of languages) {
+        console.log(`\n  Language: ${lang}`);
+        const files = Object.entries(plan.languages[lang].files);
+        if (files.length === 0) {
+            console.log("    No files to process.");
+            continue;
+        }
+        for (const [filename, filePlan] of files) {
+            const translateNote = filePlan.stringsToTranslate > 0 ? `, ${filePlan.stringsToTranslate} string(s) to translate` : '';
+            switch (filePlan.action) {
+                case 'add':
+                    console.log(`    ➕ ${filename}: new file${translateNote}`);
+                    break;
+                case 'delete':
+                    console.log(`    ➖ ${filename}: file would be deleted`);
+                    break;
+                case 'overwrite':
+                    console.log(`    ♻️ ${filename}: file would be overwritten${filePlan.reason ? ` (${filePlan.reason})` : ''}${translateNote}`);
+                    break;
+                case 'unchanged':
+                    console.log(`    ✨ ${filename}: no changes${filePlan.staleKeys.length > 0 ? `, ${filePlan.staleKeys.length} stale key(s)` : ''}`);
+                    break;
+                default:
+                    console.log(`    ✏️ ${filename}: +${filePlan.addedKeys.length} key(s), -${filePlan.removedKeys.length} key(s), ${filePlan.typeMismatches.length} type mismatch(es), ${filePlan.staleKeys.length} stale key(s)${translateNote}`);
+            }
+            filePlan.addedKeys.forEach(keyPath => console.log(`       + ${keyPath}`));
+            filePlan.removedKeys.forEach(keyPath => console.log(`       - ${keyPath}`));
+            filePlan.typeMismatches.forEach(mismatch => console.log(`       ~ ${mismatch.path} (${mismatch.from} → ${mismatch.to})`));
+            filePlan.staleKeys.forEach(keyPath => console.log(`       ⏳ ${keyPath} (source changed)`));
+        }
+    }
+
+    const totals = summarizeChangePlan(plan);
+    console.log(`\n  Totals: ${totals.filesToAdd} file(s) to add, ${totals.filesToDelete} to delete, ${totals.filesToChange} to change;`
+        + ` ${totals.addedKeys} key(s) added, ${totals.removedKeys} removed, ${totals.typeMismatches} type mismatch(es), ${totals.staleKeys} stale.`);
+    if (plan.translationEnabled) {
+        console.log(`  Strings that would be sent to the translator: ${totals.stringsToTranslate}`);
+    } else {
+        console.log("  Translation disabled: no strings would be sent to the translator.");
+    }
+}
+
+/**
+ * Writes a plan (with computed totals) as JSON, e.g. for review in a pull request.
+ * @param {object} plan
+ * @param {string} outputPath - Destination file path (relative to cwd or absolute).
+ * @returns {Promise<string>} The absolute path that was written.
+ */
+export async function writeChangePlan(plan, outputPath) {
+    const absolutePath = path.resolve(process.cwd(), outputPath);
+    const planWithTotals = { ...plan, totals: summarizeChangePlan(plan) };
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.writeFile(absolutePath, JSON.stringify(planWithTotals, null, 2), 'utf-8');
+    return absolutePath;
+}
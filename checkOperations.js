@@ -0,0 +1,210 @@
+// checkOperations.js
+import fs from 'fs/promises';
+import path from 'path';
+import { syncStructure, walkLeaves, getValueAtPath } from './utils.js';
+import { validateStructurePlaceholders } from './translator.js';
+import { compareDirectories } from './syncOperations.js';
+import { readLocaleFile } from './formats/index.js';
+import { getLocaleFilePath, getLanguageRoot, listLanguageFiles } from './localePaths.js';
+import { localizePluralKeys } from './pluralKeys.js';
+import { loadKeyNotes, getKeyNote, getDisplayLength } from './keyNotes.js';
+import { formatCheckReport } from './checkReport.js';
+
+// Rules checked by `check`, with their default severity
+export const CHECK_RULES = {
+    missingFile: { severity: 'error', description: 'Source file has no target file' },
+    extraFile: { severity: 'warning', description: 'Target file has no source file' },
+    invalidFile: { severity: 'error', description: 'Locale file cannot be parsed' },
+    missingKey: { severity: 'error', description: 'Source key missing in the target' },
+    extraKey: { severity: 'warning', description: 'Target key not in the source' },
+    emptyString: { severity: 'warning', description: 'Empty translation of a non-empty source string' },
+    typeMismatch: { severity: 'error', description: 'Target value has another type than the source (e.g. an object, array or number for a string)' },
+    placeholderMismatch: { severity: 'error', description: 'Placeholders or ICU arguments differ from the source' },
+    maxLength: { severity: 'warning', description: 'Translation is longer than the maxLength of its translator notes' },
+};
+export const CHECK_SEVERITIES = ['error', 'warning', 'off'];
+
+/**
+ * Resolves the rule settings from the `check.rules` config. A rule is set either to a severity
+ * ('error', 'warning' or 'off') or to `{ severity, threshold }`, where `threshold` is the number of
+ * findings tolerated before the rule fails the check (default 0). Invalid settings are ignored with a warning.
+ * @param {object} [ruleConfig={}]
+ * @returns {Object<string, { severity: string, threshold: number }>}
+ */
+export function resolveCheckRules(ruleConfig = {}) {
+    const rules = {};
+    for (const [name, rule] of Object.entries(CHECK_RULES)) {
+        rules[name] = { severity: rule.severity, threshold: 0 };
+    }
+    for (const [name, setting] of Object.entries(ruleConfig)) {
+        if (!rules[name]) {
+            console.warn(`   ⚠️ Unknown check rule '${name}' in config. Known rules: ${Object.keys(CHECK_RULES).join(', ')}.`);
+            continue;
+        }
+        const { severity, threshold } = typeof setting === 'string' ? { severity: setting } : (setting || {});
+        if (severity !== undefined) {
+            if (CHECK_SEVERITIES.includes(severity)) rules[name].severity = severity;
+            else console.warn(`   ⚠️ Invalid severity '${severity}' for check rule '${name}'. Use one of: ${CHECK_SEVERITIES.join(', ')}.`);
+        }
+        if (threshold !== undefined) {
+            if (Number.isInteger(threshold) && threshold >= 0) rules[name].threshold = threshold;
+            else console.warn(`   ⚠️ Invalid threshold '${threshold}' for check rule '${name}'. Use a whole number of findings (0 or more).`);
+        }
+    }
+    return rules;
+}
+
+/** Checks whether findings of a severity can fail the check. */
+function isFailingSeverity(severity, failOn) {
+    return severity === 'error' || (severity === 'warning' && failOn === 'warning');
+}
+
+/**
+ * Reads and caches the source files, so each is parsed (and reported as invalid) only once.
+ */
+async function readSourceFile(cache, baseDir, sourceLang, filename, addFinding) {
+    if (!cache.has(filename)) {
+        try {
+            const { data } = await readLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang });
+            cache.set(filename, data);
+        } catch (error) {
+            addFinding('invalidFile', sourceLang, filename, null, `Source file cannot be read: ${error.message}`);
+            cache.set(filename, null);
+        }
+    }
+    return cache.get(filename);
+}
+
+/**
+ * Verifies the target locale files against the source without changing anything: missing and extra files,
+ * missing and extra keys, empty strings, type mismatches, placeholder/ICU mismatches, translations longer than
+ * the maxLength of their translator notes (see keyNotes.js) and unparsable files (or directories).
+ * Progress goes to stderr, so the report is the only output on stdout.
+ * Plural keys are compared with the target language's forms (see pluralKeys.js).
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {object} [options]
+ * @param {object} [options.rules] - Rule settings (see resolveCheckRules).
+ * @param {'error'|'warning'} [options.failOn='error'] - Lowest severity that fails the check.
+ * @param {string} [options.format='text'] - Report format: 'text', 'json' or 'junit'.
+ * @param {string} [options.outputFile] - Absolute path to write the report to; written to stdout if not given.
+ * @returns {Promise<{ passed: boolean }>} Whether every failing-severity rule stayed within its threshold.
+ */
+export async function runCheck(baseDir, sourceLang, targetLangs, { rules = {}, failOn = 'error', format = 'text', outputFile = null } = {}) {
+    console.error(`\n🔎 Checking locale files against '${sourceLang}'...`);
+    const ruleSettings = resolveCheckRules(rules);
+    const findings = [];
+    const checkedFiles = [];
+    const sourceCache = new Map();
+    const notesCache = new Map();
+
+    const addFinding = (rule, lang, file, keyPath, message) => {
+        const { severity } = ruleSettings[rule];
+        if (severity === 'off') return;
+        findings.push({ rule, severity, lang, file, path: keyPath, message });
+    };
+
+    const describeDirectory = lang => path.relative(process.cwd(), getLanguageRoot(baseDir, lang)) || '.';
+    // An unreadable source directory is one finding; the report is still written
+    let sourceReadable = true;
+    try {
+        await listLanguageFiles(baseDir, sourceLang);
+    } catch (error) {
+        addFinding('invalidFile', sourceLang, describeDirectory(sourceLang), null,
+            error.code === 'ENOENT' ? 'Source directory not found.' : `Source directory cannot be read: ${error.message}`);
+        sourceReadable = false;
+    }
+
+    for (const targetLang of sourceReadable ? targetLangs : []) {
+        if (targetLang === sourceLang) continue;
+        console.error(`\nLanguage: ${targetLang}`);
+        let comparison;
+        try {
+            comparison = await compareDirectories(baseDir, sourceLang, targetLang, { dryRun: true, log: console.error });
+        } catch (error) {
+            addFinding('invalidFile', targetLang, describeDirectory(targetLang), null, `Directory cannot be compared with the source: ${error.message}`);
+            continue;
+        }
+        const { filesToAdd, filesToDelete, filesToSync } = comparison;
+
+        filesToAdd.forEach(filename => addFinding('missingFile', targetLang, filename, null, 'Target file is missing.'));
+        filesToDelete.forEach(filename => addFinding('extraFile', targetLang, filename, null, 'No source file with this name.'));
+        checkedFiles.push(...[...filesToAdd, ...filesToDelete].map(file => ({ lang: targetLang, file })));
+
+        for (const filename of filesToSync) {
+            checkedFiles.push({ lang: targetLang, file: filename });
+            const sourceData = await readSourceFile(sourceCache, baseDir, sourceLang, filename, addFinding);
+            if (sourceData === null) continue;
+
+            let targetJson;
+            try {
+                ({ data: targetJson } = await readLocaleFile(getLocaleFilePath(baseDir, targetLang, filename), { lang: targetLang }));
+            } catch (error) {
+                addFinding('invalidFile', targetLang, filename, null, `Target file cannot be read: ${error.message}`);
+                continue;
+            }
+
+            const sourceJson = localizePluralKeys(sourceData, targetLang);
+            const addedNodes = [];
+            const removedNodes = [];
+            syncStructure(sourceJson, targetJson, 'root', addedNodes, removedNodes, { log: false });
+            for (const info of addedNodes) {
+                if (info.reason === 'typeMismatch') {
+                    addFinding('typeMismatch', targetLang, filename, info.path, `Expected ${Array.isArray(info.sourceValue) ? 'array' : typeof info.sourceValue}, found ${info.previousType}.`);
+                } else {
+                    addFinding('missingKey', targetLang, filename, info.path, 'Key is missing.');
+                }
+            }
+            removedNodes.forEach(info => addFinding('extraKey', targetLang, filename, info.path, 'Key is not in the source.'));
+            // syncStructure keeps primitives of another type, so strings replaced by numbers, booleans or null are found here
+            walkLeaves(sourceJson, (sourceValue, keyPath) => {
+                if (typeof sourceValue !== 'string') return;
+                const targetValue = getValueAtPath(targetJson, keyPath);
+                if (targetValue === undefined || typeof targetValue === 'string' || (typeof targetValue === 'object' && targetValue !== null)) return;
+                addFinding('typeMismatch', targetLang, filename, keyPath, `Expected string, found ${targetValue === null ? 'null' : typeof targetValue}.`);
+            });
+
+            validateStructurePlaceholders(sourceJson, targetJson, targetLang, 'root', {
+                onEmptyString: (sourceText, keyPath) => addFinding('emptyString', targetLang, filename, keyPath, 'Translation is empty.'),
+                onInvalidString: (sourceText, translatedText, keyPath) => addFinding('placeholderMismatch', targetLang, filename, keyPath,
+                    `Placeholders differ from the source: "${sourceText}" → "${translatedText}".`),
+            });
+
+            if (!notesCache.has(filename)) notesCache.set(filename, await loadKeyNotes(baseDir, sourceLang, filename));
+            walkLeaves(targetJson, (value, keyPath) => {
+                const maxLength = getKeyNote(notesCache.get(filename), keyPath)?.maxLength;
+                if (!maxLength || typeof value !== 'string' || getDisplayLength(value) <= maxLength) return;
+                addFinding('maxLength', targetLang, filename, keyPath, `${getDisplayLength(value)} characters, max ${maxLength}: "${value}".`);
+            });
+        }
+    }
+
+    const ruleResults = {};
+    for (const [name, { severity, threshold }] of Object.entries(ruleSettings)) {
+        const count = findings.filter(finding => finding.rule === name).length;
+        ruleResults[name] = { severity, threshold, count, failed: isFailingSeverity(severity, failOn) && count > threshold };
+    }
+    findings.forEach(finding => { finding.failing = ruleResults[finding.rule].failed; }); // Findings that fail the check
+    const result = {
+        sourceLang,
+        checkedAt: new Date().toISOString(),
+        failOn,
+        passed: Object.values(ruleResults).every(rule => !rule.failed),
+        rules: ruleResults,
+        files: checkedFiles,
+        findings,
+    };
+
+    // Without an output file the report goes to stdout; with one, the text report goes to stderr
+    // and the file is written in the requested format
+    if (outputFile) {
+        console.error(formatCheckReport(result, 'text'));
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+        await fs.writeFile(outputFile, formatCheckReport(result, format), 'utf-8');
+        console.error(`\n💾 Saved ${format} check report to ${path.relative(process.cwd(), outputFile)}`);
+    } else {
+        process.stdout.write(`${formatCheckReport(result, format)}\n`);
+    }
+    return { passed: result.passed };
+}
@@ -0,0 +1,104 @@
+// checkReport.js
+// Renders the results of the `check` command as plain text, JSON or JUnit XML (for CI test reports).
+import { escapeXml } from './utils.js';
+
+export const CHECK_REPORT_FORMATS = ['text', 'json', 'junit'];
+
+const SEVERITY_SYMBOLS = { error: '❌', warning: '⚠️' };
+
+/** Describes where a finding is: the file, plus the key path without the internal 'root.' prefix. */
+function formatLocation(finding) {
+    const keyPath = finding.path ? finding.path.replace(/^root\.?/, '') : '';
+    return keyPath ? `${finding.file} → ${keyPath}` : finding.file;
+}
+
+function groupByLanguage(result) {
+    const languages = new Map();
+    for (const { lang } of [...result.files, ...result.findings]) {
+        if (!languages.has(lang)) languages.set(lang, { files: new Set(), findings: [] });
+    }
+    result.files.forEach(({ lang, file }) => languages.get(lang).files.add(file));
+    result.findings.forEach(finding => {
+        languages.get(finding.lang).files.add(finding.file);
+        languages.get(finding.lang).findings.push(finding);
+    });
+    return languages;
+}
+
+function formatText(result) {
+    const lines = [`\n🔎 Check results (source: ${result.sourceLang}, failing on: ${result.failOn === 'warning' ? 'errors and warnings' : 'errors'})`];
+    for (const [lang, { findings }] of groupByLanguage(result)) {
+        lines.push(`\n  ${lang}`);
+        if (findings.length === 0) lines.push('    ✅ No problems found.');
+        findings.forEach(finding => lines.push(`    ${SEVERITY_SYMBOLS[finding.severity]} [${finding.rule}] ${formatLocation(finding)}: ${finding.message}`));
+    }
+
+    lines.push('\n  Rule                 Severity  Findings  Threshold');
+    for (const [name, rule] of Object.entries(result.rules)) {
+        const status = rule.failed ? ' ❌ over threshold' : '';
+        lines.push(`  ${name.padEnd(20)} ${rule.severity.padEnd(9)} ${String(rule.count).padEnd(9)} ${String(rule.threshold).padEnd(9)}${status}`.trimEnd());
+    }
+
+    const failedRules = Object.values(result.rules).filter(rule => rule.failed).length;
+    lines.push(result.passed
+        ? `\n✅ Check passed (${result.findings.length} finding(s) within the configured thresholds).`
+        : `\n❌ Check failed: ${failedRules} rule(s) over their threshold.`);
+    return lines.join('\n');
+}
+
+function formatJson(result) {
+    const { findings, files, ...summary } = result;
+    return `${JSON.stringify({ ...summary, filesChecked: files.length, findings }, null, 2)}\n`;
+}
+
+/**
+ * One <testsuite> per language and one <testcase> per locale file; findings of rules that failed the check
+ * become <failure> elements, the others (warnings, findings within a threshold) are listed in <system-out>.
+ */
+function formatJunit(result) {
+    const suites = [];
+    let totalTests = 0;
+    let totalFailures = 0;
+    for (const [lang, { files, findings }] of groupByLanguage(result)) {
+        const cases = [];
+        let failures = 0;
+        for (const file of [...files].sort()) {
+            const fileFindings = findings.filter(finding => finding.file === file);
+            const failing = fileFindings.filter(finding => finding.failing);
+            const other = fileFindings.filter(finding => !failing.includes(finding));
+            const describe = finding => `[${finding.rule}] ${formatLocation(finding)}: ${finding.message}`;
+            if (failing.length > 0) failures++;
+
+            cases.push(`    <testcase classname="i18n.${escapeXml(lang)}" name="${escapeXml(file)}">`);
+            if (failing.length > 0) {
+                cases.push(`      <failure message="${failing.length} problem(s)" type="${escapeXml([...new Set(failing.map(finding => finding.rule))].join(','))}">${escapeXml(failing.map(describe).join('\n'))}</failure>`);
+            }
+            if (other.length > 0) cases.push(`      <system-out>${escapeXml(other.map(describe).join('\n'))}</system-out>`);
+            cases.push('    </testcase>');
+        }
+        totalTests += files.size;
+        totalFailures += failures;
+        suites.push(`  <testsuite name="${escapeXml(lang)}" tests="${files.size}" failures="${failures}" errors="0" timestamp="${result.checkedAt}">`, ...cases, '  </testsuite>');
+    }
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="i18n check" tests="${totalTests}" failures="${totalFailures}" errors="0">`,
+        ...suites,
+        '</testsuites>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Renders a check result.
+ * @param {object} result - Result built by runCheck.
+ * @param {'text'|'json'|'junit'} format
+ * @returns {string}
+ */
+export function formatCheckReport(result, format) {
+    switch (format) {
+        case 'json': return formatJson(result);
+        case 'junit': return formatJunit(result);
+        default: return formatText(result);
+    }
+}
@@ -0,0 +1,228 @@
+// codeScanner.js
+// Finds the translation keys an application uses: `t('ns:key')`, `i18n.t(...)`, the `t` returned by
+// `useTranslation('ns')` and `<Trans i18nKey="...">`, parsed with @babel/parser and walked with @babel/traverse.
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from '@babel/parser';
+import traverseModule from '@babel/traverse';
+
+const traverse = traverseModule.default || traverseModule; // CommonJS default export
+
+export const CODE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'dist', 'build', 'coverage']);
+
+// Defaults of the `usage` config section
+export const DEFAULT_SCAN_OPTIONS = {
+    srcDirs: ['src'],
+    functions: ['t', 'i18n.t', 'i18next.t'],
+    hooks: ['useTranslation'],
+    components: ['Trans'],
+    namespaceSeparator: ':',
+    defaultNamespace: 'translation',
+};
+
+/**
+ * Lists the JS/TS files below the given directories, skipping hidden, dependency and build directories.
+ * @param {string[]} directories - Absolute directories (or files) to scan.
+ * @returns {Promise<string[]>} Absolute file paths, sorted.
+ */
+export async function listCodeFiles(directories) {
+    const files = [];
+    const visit = async entryPath => {
+        const stats = await fs.stat(entryPath);
+        if (stats.isFile()) {
+            if (CODE_EXTENSIONS.includes(path.extname(entryPath)) && !entryPath.endsWith('.d.ts')) files.push(entryPath);
+            return;
+        }
+        for (const dirent of await fs.readdir(entryPath, { withFileTypes: true })) {
+            if (dirent.name.startsWith('.') || (dirent.isDirectory() && SKIPPED_DIRECTORIES.has(dirent.name))) continue;
+            if (dirent.isDirectory() || dirent.isFile()) await visit(path.join(entryPath, dirent.name));
+        }
+    };
+    for (const directory of directories) await visit(directory);
+    return [...new Set(files)].sort();
+}
+
+function getParserPlugins(filename) {
+    const extension = path.extname(filename);
+    if (['.ts', '.mts', '.cts'].includes(extension)) return ['typescript', 'decorators-legacy'];
+    if (extension === '.tsx') return ['typescript', 'jsx', 'decorators-legacy'];
+    return ['jsx', 'decorators-legacy'];
+}
+
+/** Dotted name of a callee such as `t` or `i18n.t`, or null for computed/other callees. */
+function getCalleeName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+        const objectName = node.object.type === 'ThisExpression' ? 'this' : getCalleeName(node.object);
+        return objectName ? `${objectName}.${node.property.name}` : null;
+    }
+    return null;
+}
+
+/** Dotted name of a JSX element such as `Trans` or `I18n.Trans`. */
+function getJsxName(node) {
+    if (node.type === 'JSXIdentifier') return node.name;
+    if (node.type === 'JSXMemberExpression') return `${getJsxName(node.object)}.${node.property.name}`;
+    return null;
+}
+
+/**
+ * Reads a static string from a node: string literals and template literals without expressions.
+ * @returns {string | null}
+ */
+function getStaticString(node) {
+    if (!node) return null;
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    if (node.type === 'JSXExpressionContainer') return getStaticString(node.expression);
+    return null;
+}
+
+/** Reads a string property (e.g. `ns` or `keyPrefix`) from an object literal. */
+function getObjectProperty(node, name) {
+    if (node?.type !== 'ObjectExpression') return null;
+    const property = node.properties.find(prop => prop.type === 'ObjectProperty' && !prop.computed
+        && (prop.key.name === name || prop.key.value === name));
+    return property ? getStaticString(property.value) : null;
+}
+
+/**
+ * Splits a key into namespace and key at the first namespace separator.
+ * @param {string} fullKey - e.g. 'common:menu.title'.
+ * @param {string | null} namespace - Namespace in effect (hook, `ns` option), used when the key names none.
+ * @param {object} options - Scan options.
+ * @returns {{ namespace: string, key: string }}
+ */
+export function splitNamespace(fullKey, namespace, options) {
+    const separator = options.namespaceSeparator;
+    const index = separator ? fullKey.indexOf(separator) : -1;
+    if (index > 0) return { namespace: fullKey.slice(0, index), key: fullKey.slice(index + separator.length) };
+    return { namespace: namespace || options.defaultNamespace, key: fullKey };
+}
+
+/**
+ * Scans one source file for translation keys, with their inline default values (`t('key', 'Default')`,
+ * `{ defaultValue }`, `<Trans defaults>` or plain-text `<Trans>` children) and whether they are used with `count`.
+ * Keys that cannot be resolved statically (template literals with expressions, variables, concatenations)
+ * are returned as unresolvable, with the static prefix of template literals (e.g. 'menu.' for `menu.${id}`).
+ * @param {string} code - File content.
+ * @param {string} filename - Path used for parser plugins and locations.
+ * @param {object} [options=DEFAULT_SCAN_OPTIONS]
+ * @returns {{ keys: Array<{ namespace: string, key: string, file: string, line: number, defaultValue: string | null, plural: boolean }>,
+ *   unresolvable: Array<{ file: string, line: number, code: string, namespace: string, prefix: string }> }}
+ * @throws {SyntaxError} If the file cannot be parsed.
+ */
+export function scanCode(code, filename, options = DEFAULT_SCAN_OPTIONS) {
+    const ast = parse(code, {
+        sourceType: 'unambiguous',
+        plugins: getParserPlugins(filename),
+        errorRecovery: true,
+    });
+    const keys = [];
+    const unresolvable = [];
+    // Bindings of `t` functions returned by the hooks, with the namespace and key prefix they use
+    const hookBindings = new Map();
+
+    traverse(ast, {
+        CallExpression(callPath) {
+            if (!options.hooks.includes(getCalleeName(callPath.node.callee))) return;
+            const declarator = callPath.parentPath;
+            if (!declarator.isVariableDeclarator() || declarator.node.id.type !== 'ObjectPattern') return;
+            const [namespaceArg, hookOptions] = callPath.node.arguments;
+            const namespace = getStaticString(namespaceArg?.type === 'ArrayExpression' ? namespaceArg.elements[0] : namespaceArg);
+            const keyPrefix = getObjectProperty(hookOptions, 'keyPrefix');
+            for (const property of declarator.node.id.properties) {
+                if (property.type !== 'ObjectProperty' || property.key.name !== 't' || property.value.type !== 'Identifier') continue;
+                const binding = declarator.scope.getBinding(property.value.name);
+                if (binding) hookBindings.set(binding, { namespace, keyPrefix });
+            }
+        },
+    });
+
+    // Resolves the namespace and applies the hook's keyPrefix (only to keys without an explicit namespace)
+    const resolveKey = (text, namespace, keyPrefix) => {
+        const resolved = splitNamespace(text, namespace, options);
+        if (keyPrefix && resolved.key === text) resolved.key = `${keyPrefix}.${text}`;
+        return resolved;
+    };
+    const addKey = (keyNode, location, { namespace = null, keyPrefix = null, defaultValue = null, plural = false } = {}) => {
+        if (!keyNode) return;
+        const line = location?.start.line ?? 0;
+        const fullKey = getStaticString(keyNode);
+        if (fullKey !== null) {
+            keys.push({ ...resolveKey(fullKey, namespace, keyPrefix), file: filename, line, defaultValue, plural });
+            return;
+        }
+        const staticPrefix = keyNode.type === 'TemplateLiteral' ? keyNode.quasis[0].value.cooked : '';
+        const { namespace: prefixNamespace, key: prefix } = resolveKey(staticPrefix, namespace, keyPrefix);
+        unresolvable.push({ file: filename, line, code: code.slice(keyNode.start, keyNode.end), namespace: prefixNamespace, prefix });
+    };
+    // The `t` a call or <Trans t={t}> refers to: a hook binding, a configured function, or neither
+    const resolveTranslator = (scope, calleeName) => {
+        const binding = calleeName && !calleeName.includes('.') ? scope.getBinding(calleeName) : null;
+        if (binding && hookBindings.has(binding)) return hookBindings.get(binding);
+        return options.functions.includes(calleeName) ? {} : null;
+    };
+
+    traverse(ast, {
+        CallExpression(callPath) {
+            const translator = resolveTranslator(callPath.scope, getCalleeName(callPath.node.callee));
+            if (!translator) return;
+            // t('key', 'Default value', { ...options }) or t('key', { defaultValue: 'Default value', ...options })
+            const [keyArg, secondArg, thirdArg] = callPath.node.arguments;
+            const callOptions = secondArg?.type === 'ObjectExpression' ? secondArg : thirdArg;
+            const defaultValue = getStaticString(secondArg) ?? getObjectProperty(callOptions, 'defaultValue');
+            const plural = callOptions?.type === 'ObjectExpression'
+                && callOptions.properties.some(prop => prop.type === 'ObjectProperty' && !prop.computed && (prop.key.name ?? prop.key.value) === 'count');
+            // t(['key.a', 'key.b']) falls back through the keys in order
+            const keyNodes = keyArg?.type === 'ArrayExpression' ? keyArg.elements : [keyArg];
+            const namespace = getObjectProperty(callOptions, 'ns') || translator.namespace;
+            keyNodes.forEach(keyNode => addKey(keyNode, callPath.node.loc, { namespace, keyPrefix: translator.keyPrefix, defaultValue, plural }));
+        },
+        JSXOpeningElement(elementPath) {
+            if (!options.components.includes(getJsxName(elementPath.node.name))) return;
+            const attributes = new Map(elementPath.node.attributes
+                .filter(attribute => attribute.type === 'JSXAttribute')
+                .map(attribute => [attribute.name.name, attribute.value]));
+            if (!attributes.has('i18nKey')) return;
+            const tValue = attributes.get('t');
+            const translator = tValue?.expression?.type === 'Identifier' ? resolveTranslator(elementPath.scope, tValue.expression.name) : null;
+            const keyValue = attributes.get('i18nKey');
+            // Plain-text children are the default value; children with markup are left to the translator
+            const children = elementPath.parentPath.node.children;
+            const childText = children.length > 0 && children.every(child => child.type === 'JSXText')
+                ? children.map(child => child.value).join('').replace(/\s+/g, ' ').trim() : '';
+            addKey(keyValue?.type === 'JSXExpressionContainer' ? keyValue.expression : keyValue, elementPath.node.loc, {
+                namespace: getStaticString(attributes.get('ns')) || translator?.namespace,
+                keyPrefix: translator?.keyPrefix,
+                defaultValue: getStaticString(attributes.get('defaults')) ?? (childText || null),
+                plural: attributes.has('count'),
+            });
+        },
+    });
+    return { keys, unresolvable };
+}
+
+/**
+ * Scans all JS/TS files of the source directories.
+ * @param {string[]} directories - Absolute directories to scan.
+ * @param {object} [options=DEFAULT_SCAN_OPTIONS]
+ * @returns {Promise<{ files: number, keys: Array<object>, unresolvable: Array<object>, errors: Array<{ file: string, message: string }> }>}
+ *   Locations use paths relative to the current directory.
+ */
+export async function scanSourceFiles(directories, options = DEFAULT_SCAN_OPTIONS) {
+    const files = await listCodeFiles(directories);
+    const result = { files: files.length, keys: [], unresolvable: [], errors: [] };
+    for (const file of files) {
+        const relativeFile = path.relative(process.cwd(), file);
+        try {
+            const { keys, unresolvable } = scanCode(await fs.readFile(file, 'utf-8'), relativeFile, options);
+            result.keys.push(...keys);
+            result.unresolvable.push(...unresolvable);
+        } catch (error) {
+            result.errors.push({ file: relativeFile, message: error.message });
+        }
+    }
+    return result;
+}
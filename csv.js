@@ -0,0 +1,96 @@
+// csv.js
+// RFC 4180 CSV reader/writer that survives Excel round-trips (BOM, CRLF, quoted newlines, ';' separators).
+
+const BYTE_ORDER_MARK = '\uFEFF';
+const DELIMITER_CANDIDATES = [',', ';', '\t'];
+
+function quoteField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    // Leading/trailing spaces are quoted too, so spreadsheet tools do not trim them
+    if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Serializes rows to CSV with a UTF-8 byte order mark and CRLF line endings, which is what
+ * Excel needs to open UTF-8 files correctly.
+ * @param {Array<Array<any>>} rows - The first row is the header.
+ * @param {object} [options]
+ * @param {string} [options.delimiter=',']
+ * @returns {string}
+ */
+export function serializeCsv(rows, { delimiter = ',' } = {}) {
+    const lines = rows.map(row => row.map(field => quoteField(field, delimiter)).join(delimiter));
+    return `${BYTE_ORDER_MARK}${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Guesses the delimiter from the header line (Excel uses ';' in locales with a decimal comma).
+ * @param {string} content
+ * @returns {string}
+ */
+function detectDelimiter(content) {
+    const headerLine = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = DELIMITER_CANDIDATES.map(candidate => headerLine.split(candidate).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? DELIMITER_CANDIDATES[best] : ',';
+}
+
+/**
+ * Parses CSV content. Quoted fields may contain delimiters, doubled quotes and line breaks;
+ * a leading byte order mark is ignored and the delimiter is detected from the header line.
+ * Completely empty lines are skipped.
+ * @param {string} content
+ * @returns {string[][]} Rows of fields (the first row is the header).
+ * @throws {SyntaxError} If a quoted field is never closed.
+ */
+export function parseCsv(content) {
+    const text = content.startsWith(BYTE_ORDER_MARK) ? content.slice(1) : content;
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quotedFieldStartLine = 0;
+    let line = 1;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+            quotedFieldStartLine = line;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            // CRLF: handled by the '\n'
+        } else if (char === '\n' || char === '\r') {
+            line++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) throw new SyntaxError(`Unclosed quoted field starting on line ${quotedFieldStartLine}.`);
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+}
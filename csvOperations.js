@@ -0,0 +1,218 @@
+// csvOperations.js
+import fs from 'fs/promises';
+import path from 'path';
+import { walkLeaves, getValueAtPath, setValueAtPath, createEmptyStructure } from './utils.js';
+import { validateTranslation } from './icuMessages.js';
+import { serializeCsv, parseCsv } from './csv.js';
+import { getSourceFiles } from './fileOperations.js';
+import { getLocaleFilePath } from './localePaths.js';
+import { readLocaleFile, readLocaleFileIfExists, writeLocaleFile } from './formats/index.js';
+import { loadSourceLock, saveSourceLock, findStaleEntries, updateFileLock, SOURCE_LOCK_FILE_NAME } from './sourceLock.js';
+
+export const DEFAULT_CSV_FILE = 'translations.csv';
+const FILE_COLUMN = 'file';
+const KEY_COLUMN = 'key';
+
+/**
+ * Exports every string leaf of the source tree as one spreadsheet row: the locale file, the key path
+ * as syncStructure names it (e.g., 'root.a.b[0]'), the source string and one column per target language.
+ * @param {string} baseDir - Absolute base directory containing the language folders.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {string} outputFile - Absolute path of the CSV file to write.
+ */
+export async function runExportCsv(baseDir, sourceLang, targetLangs, outputFile) {
+    console.log(`\n📤 Exporting translations to ${outputFile}...`);
+    const sourceFiles = await getSourceFiles(baseDir, sourceLang);
+    const languages = targetLangs.filter(lang => lang !== sourceLang);
+    const rows = [[FILE_COLUMN, KEY_COLUMN, sourceLang, ...languages]];
+
+    for (const filename of sourceFiles) {
+        try {
+            const { data: sourceJson } = await readLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang });
+            const targets = [];
+            for (const lang of languages) {
+                const target = await readLocaleFileIfExists(getLocaleFilePath(baseDir, lang, filename), { lang });
+                targets.push(target ? target.data : null);
+            }
+            walkLeaves(sourceJson, (sourceValue, keyPath) => {
+                if (typeof sourceValue !== 'string') return; // Numbers, booleans and null are not translated
+                const targetValues = targets.map(targetJson => {
+                    const value = targetJson ? getValueAtPath(targetJson, keyPath) : undefined;
+                    return typeof value === 'string' ? value : '';
+                });
+                rows.push([filename, keyPath, sourceValue, ...targetValues]);
+            });
+        } catch (error) {
+            console.error(`  ❌ Could not export ${filename}: ${error.message}`);
+        }
+    }
+
+    await fs.mkdir(path.dirname(outputFile), { recursive: true });
+    await fs.writeFile(outputFile, serializeCsv(rows), 'utf-8');
+    console.log(`\n✅ CSV export complete. ${rows.length - 1} row(s) × ${languages.length} language(s) written to ${path.relative(process.cwd(), outputFile)}.`);
+}
+
+/**
+ * Maps the header row to column indexes and checks the required columns.
+ * @returns {{ fileIndex: number, keyIndex: number, sourceIndex: number, languageColumns: Array<{ lang: string, index: number }> }}
+ * @throws {Error} If a required column is missing.
+ */
+function readHeader(header, sourceLang, targetLangs) {
+    const normalized = header.map(name => name.trim());
+    const fileIndex = normalized.indexOf(FILE_COLUMN);
+    const keyIndex = normalized.indexOf(KEY_COLUMN);
+    const sourceIndex = normalized.findIndex(name => name.toLowerCase() === sourceLang.toLowerCase());
+    const missing = [[FILE_COLUMN, fileIndex], [KEY_COLUMN, keyIndex], [sourceLang, sourceIndex]].filter(([, index]) => index === -1);
+    if (missing.length > 0) {
+        throw new Error(`Missing column(s): ${missing.map(([name]) => `'${name}'`).join(', ')}. Expected a header like: ${FILE_COLUMN},${KEY_COLUMN},${sourceLang},${targetLangs.join(',')}`);
+    }
+
+    const languageColumns = [];
+    normalized.forEach((name, index) => {
+        if ([fileIndex, keyIndex, sourceIndex].includes(index) || !name) return;
+        const lang = targetLangs.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+        if (lang) languageColumns.push({ lang, index });
+        else console.warn(`  ⚠️ Column '${name}' is not a configured target language. Ignoring it.`);
+    });
+    return { fileIndex, keyIndex, sourceIndex, languageColumns };
+}
+
+function printCellList(symbol, label, cells) {
+    if (cells.length === 0) return;
+    console.log(`     ${symbol} ${cells.length} ${label}:`);
+    cells.forEach(cell => console.log(`        ${cell}`));
+}
+
+/**
+ * Imports an edited spreadsheet (as written by runExportCsv) into the target locale files.
+ * Every target cell is compared with the current target value and reported as changed, added or cleared;
+ * cleared cells are written as empty strings. Cells whose placeholders do not match the source, rows whose
+ * source string no longer matches, and unknown files or keys are reported and skipped.
+ * @param {string} baseDir - Absolute base directory containing the language folders.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {string} inputFile - Absolute path of the CSV file.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing.
+ */
+export async function runImportCsv(baseDir, sourceLang, targetLangs, inputFile, { dryRun = false } = {}) {
+    console.log(`\n📥 Importing translations from ${inputFile}${dryRun ? ' (dry run)' : ''}...`);
+    const rows = parseCsv(await fs.readFile(inputFile, 'utf-8'));
+    if (rows.length === 0) {
+        console.log("  The CSV file is empty. Nothing to import.");
+        return;
+    }
+    const { fileIndex, keyIndex, sourceIndex, languageColumns } = readHeader(rows[0], sourceLang, targetLangs.filter(lang => lang !== sourceLang));
+    const sourceLock = await loadSourceLock(baseDir);
+
+    // Group the rows by locale file so every file is read and written once
+    const rowsByFile = new Map();
+    rows.slice(1).forEach((row, index) => {
+        const filename = (row[fileIndex] || '').trim();
+        if (!rowsByFile.has(filename)) rowsByFile.set(filename, []);
+        rowsByFile.get(filename).push({ row, line: index + 2 });
+    });
+
+    const sourceFiles = new Set(await getSourceFiles(baseDir, sourceLang));
+    const totals = { changed: 0, added: 0, cleared: 0, skipped: 0, filesWritten: 0 };
+
+    for (const [filename, fileRows] of rowsByFile) {
+        if (!sourceFiles.has(filename)) {
+            console.warn(`  ⚠️ '${filename}' (row ${fileRows[0].line}) is not a source locale file. Skipping ${fileRows.length} row(s).`);
+            totals.skipped += fileRows.length;
+            continue;
+        }
+
+        let sourceJson, sourceDocument;
+        try {
+            ({ data: sourceJson, document: sourceDocument } = await readLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang }));
+        } catch (error) {
+            console.error(`  ❌ Could not read source file ${filename}: ${error.message}`);
+            continue;
+        }
+
+        const outdatedRows = [];
+        const unknownKeys = [];
+        const validRows = fileRows.filter(({ row, line }) => {
+            const keyPath = (row[keyIndex] || '').trim();
+            const sourceValue = getValueAtPath(sourceJson, keyPath);
+            if (!keyPath || typeof sourceValue !== 'string') {
+                unknownKeys.push(`${keyPath || '(empty key)'} (row ${line})`);
+                return false;
+            }
+            if ((row[sourceIndex] ?? '') !== sourceValue) {
+                outdatedRows.push(`${keyPath} (row ${line})`); // Source string changed since the export
+                return false;
+            }
+            return true;
+        });
+        if (unknownKeys.length > 0 || outdatedRows.length > 0) {
+            console.log(`  ${filename}:`);
+            printCellList('⚠️', 'unknown key(s) (skipped)', unknownKeys);
+            printCellList('⚠️', 'row(s) with a changed source string since export (skipped)', outdatedRows);
+            totals.skipped += unknownKeys.length + outdatedRows.length;
+        }
+
+        for (const { lang, index } of languageColumns) {
+            const targetFilePath = getLocaleFilePath(baseDir, lang, filename);
+            try {
+                const target = await readLocaleFileIfExists(targetFilePath, { lang });
+                const targetJson = target ? target.data : createEmptyStructure(sourceJson);
+                const report = { changed: [], added: [], cleared: [], placeholderMismatches: [] };
+
+                for (const { row, line } of validRows) {
+                    const keyPath = row[keyIndex].trim();
+                    const newValue = row[index] ?? '';
+                    const currentValue = getValueAtPath(targetJson, keyPath);
+                    const oldValue = typeof currentValue === 'string' ? currentValue : '';
+                    if (newValue === oldValue) continue;
+
+                    if (newValue && !validateTranslation(row[sourceIndex], newValue, lang, `${lang}/${filename}:${keyPath}`)) {
+                        report.placeholderMismatches.push(`${keyPath} (row ${line})`);
+                        continue;
+                    }
+                    setValueAtPath(targetJson, keyPath, newValue);
+                    if (!newValue && oldValue) report.cleared.push(keyPath);
+                    else if (!oldValue) report.added.push(keyPath);
+                    else report.changed.push(keyPath);
+                }
+
+                const changeCount = report.changed.length + report.added.length + report.cleared.length;
+                totals.changed += report.changed.length;
+                totals.added += report.added.length;
+                totals.cleared += report.cleared.length;
+                totals.skipped += report.placeholderMismatches.length;
+                if (changeCount === 0 && report.placeholderMismatches.length === 0) continue;
+
+                console.log(`  ${changeCount > 0 ? '✏️' : '✨'} ${lang}/${filename}: ${report.changed.length} changed, ${report.added.length} added, ${report.cleared.length} cleared`);
+                printCellList('✏️', 'changed', report.changed);
+                printCellList('➕', 'added', report.added);
+                printCellList('➖', 'cleared', report.cleared);
+                printCellList('⚠️', 'with placeholder mismatches (skipped)', report.placeholderMismatches);
+
+                if (changeCount === 0 || dryRun) continue;
+                await fs.mkdir(path.dirname(targetFilePath), { recursive: true });
+                await writeLocaleFile(targetFilePath, targetJson, target ? target.document : sourceDocument, { lang });
+                // Keep values that are still stale flagged; edited values now match the current source
+                const stalePaths = findStaleEntries(sourceJson, targetJson, sourceLock, lang, filename).map(entry => entry.path);
+                updateFileLock(sourceLock, lang, filename, sourceJson, targetJson, stalePaths);
+                totals.filesWritten++;
+            } catch (error) {
+                console.error(`  ❌ Error importing ${lang}/${filename}: ${error.message}`);
+            }
+        }
+    }
+
+    if (totals.filesWritten > 0) {
+        try {
+            await saveSourceLock(baseDir, sourceLock);
+        } catch (error) {
+            console.error(`\n❌ Failed to write ${SOURCE_LOCK_FILE_NAME}: ${error.message}`);
+        }
+    }
+
+    const cellSummary = `${totals.changed} changed, ${totals.added} added and ${totals.cleared} cleared cell(s)`;
+    const writeSummary = dryRun ? 'would be written' : `written to ${totals.filesWritten} file(s)`;
+    console.log(`\n✅ CSV import ${dryRun ? 'dry run ' : ''}complete. ${cellSummary} ${writeSummary}; ${totals.skipped} skipped.`);
+}
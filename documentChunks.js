@@ -0,0 +1,154 @@
+// documentChunks.js
+// Splits large locale documents into subtree chunks that fit one translation request, and merges the
+// translated chunks back. Every chunk keeps the full key path of its strings: a chunk holding `b.c` and
+// `b.d` is the document { "b": { "c": ..., "d": ... } }, so prompts, notes and validation see the real keys.
+import { getPluralGroupKeys } from './pluralKeys.js';
+
+export const DEFAULT_MAX_CHUNK_TOKENS = 2000;
+
+/**
+ * Estimates the tokens of a value as serialized in a prompt: about four ASCII characters per token,
+ * and one token per other character (CJK text, accented letters, emoji).
+ * @param {any} value
+ * @returns {number}
+ */
+export function estimateTokens(value) {
+    const text = JSON.stringify(value) ?? '';
+    let asciiCount = 0;
+    for (let index = 0; index < text.length; index++) {
+        if (text.charCodeAt(index) < 128) asciiCount++;
+    }
+    return Math.ceil(asciiCount / 4) + (text.length - asciiCount);
+}
+
+/**
+ * Lists the keys of a container in groups that must stay in one chunk: the forms of a plural group
+ * are translated together, every other key (or array index) on its own.
+ * @returns {string[][]}
+ */
+function groupKeys(node) {
+    const groups = [];
+    const grouped = new Set();
+    for (const key of Object.keys(node)) {
+        if (grouped.has(key)) continue;
+        const group = getPluralGroupKeys(node, key) || [key];
+        group.forEach(name => grouped.add(name));
+        groups.push(group);
+    }
+    return groups;
+}
+
+/** Collects the chunks of a node: the whole node if it fits, otherwise runs of its keys that fit together. */
+function collectChunks(node, segments, maxTokens, chunks) {
+    if (typeof node !== 'object' || node === null || estimateTokens(node) <= maxTokens) {
+        chunks.push({ segments, keys: null });
+        return;
+    }
+    let run = [];
+    let runTokens = 0;
+    const flushRun = () => {
+        if (run.length > 0) chunks.push({ segments, keys: run });
+        run = [];
+        runTokens = 0;
+    };
+    for (const group of groupKeys(node)) {
+        const groupTokens = estimateTokens(group.map(key => node[key]));
+        if (groupTokens > maxTokens) {
+            flushRun();
+            // An oversized plural group or string cannot be split further: it becomes a chunk of its own
+            if (group.length === 1) collectChunks(node[group[0]], [...segments, group[0]], maxTokens, chunks);
+            else chunks.push({ segments, keys: group });
+            continue;
+        }
+        if (runTokens + groupTokens > maxTokens) flushRun();
+        run.push(...group);
+        runTokens += groupTokens;
+    }
+    flushRun();
+}
+
+/** Builds the document of a chunk: the containers from the root down to the chunk's node, then its keys. */
+function buildChunkDocument(node, segments, keys, depth = 0) {
+    if (depth === segments.length && !keys) return node;
+    const container = Array.isArray(node) ? [] : {};
+    if (depth === segments.length) {
+        keys.forEach(key => { container[key] = node[key]; });
+    } else {
+        container[segments[depth]] = buildChunkDocument(node[segments[depth]], segments, keys, depth + 1);
+    }
+    return container;
+}
+
+/**
+ * Splits a document into chunks of at most `maxTokens` estimated tokens. A document that fits is a single
+ * chunk; otherwise its largest subtrees are split further. Chunks without translatable strings are left out.
+ * @param {object | Array} document
+ * @param {number} [maxTokens=DEFAULT_MAX_CHUNK_TOKENS]
+ * @returns {Array<{ label: string, document: object | Array }>} Chunks in key order; `label` is the key of the
+ *   chunk's subtree, or of its first key, in code notation (e.g. 'settings.profile', or 'root' for a whole document).
+ */
+export function splitIntoChunks(document, maxTokens = DEFAULT_MAX_CHUNK_TOKENS) {
+    const chunks = [];
+    collectChunks(document, [], maxTokens, chunks);
+    return chunks
+        .map(({ segments, keys }) => ({ label: [...segments, ...(keys ? [keys[0]] : [])].join('.') || 'root', document: buildChunkDocument(document, segments, keys) }))
+        .filter(chunk => hasTranslatableString(chunk.document));
+}
+
+/** Checks whether a chunk holds only some indexes of an array, not starting at 0 (a sparse array). */
+function isSparseArray(node) {
+    return Array.isArray(node) && Object.keys(node).length < node.length;
+}
+
+/**
+ * Prepares a chunk document for the request. JSON has no sparse arrays (their gaps would be sent as nulls),
+ * so arrays of which the chunk holds a later run of indexes are sent as objects keyed by index
+ * (e.g. { "3": ..., "4": ... }); decodeChunkResponse turns them back into arrays.
+ * @param {any} node - A chunk document (see splitIntoChunks).
+ * @returns {any}
+ */
+export function encodeChunkDocument(node) {
+    if (typeof node !== 'object' || node === null) return node;
+    const encoded = Array.isArray(node) && !isSparseArray(node) ? [] : {};
+    for (const key of Object.keys(node)) encoded[key] = encodeChunkDocument(node[key]);
+    return encoded;
+}
+
+/**
+ * Turns the index-keyed objects of a chunk response back into the (sparse) arrays of the chunk document.
+ * Everything else is returned as received, for the structure verification (see structureRepair.js).
+ * @param {any} chunkDocument - The chunk document as split (not encoded).
+ * @param {any} response - The parsed response to the encoded chunk.
+ * @returns {any}
+ */
+export function decodeChunkResponse(chunkDocument, response) {
+    if (typeof chunkDocument !== 'object' || chunkDocument === null || typeof response !== 'object' || response === null) return response;
+    const decoded = isSparseArray(chunkDocument) || Array.isArray(response) ? [] : {};
+    for (const key of Object.keys(response)) {
+        decoded[key] = Object.prototype.hasOwnProperty.call(chunkDocument, key) ? decodeChunkResponse(chunkDocument[key], response[key]) : response[key];
+    }
+    return decoded;
+}
+
+function hasTranslatableString(node) {
+    if (typeof node === 'string') return node.trim() !== '';
+    return typeof node === 'object' && node !== null && Object.values(node).some(hasTranslatableString);
+}
+
+/**
+ * Copies the translated strings of a chunk into the translated document. Only strings whose source is
+ * a string are taken, so a malformed chunk response cannot change the document's structure.
+ * @param {any} chunkSource - The chunk's source document.
+ * @param {any} translatedChunk - The chunk's translation.
+ * @param {any} target - The translated document (or the matching node of it), modified in place.
+ */
+export function mergeChunkTranslation(chunkSource, translatedChunk, target) {
+    for (const key of Object.keys(chunkSource)) {
+        const translatedValue = typeof translatedChunk === 'object' && translatedChunk !== null ? translatedChunk[key] : undefined;
+        if (typeof chunkSource[key] === 'object' && chunkSource[key] !== null) {
+            mergeChunkTranslation(chunkSource[key], translatedValue, target[key]);
+        } else if (typeof chunkSource[key] === 'string' && typeof translatedValue === 'string') {
+            target[key] = translatedValue;
+        }
+    }
+}
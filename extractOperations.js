@@ -0,0 +1,153 @@
+// extractOperations.js
+import path from 'path';
+import { walkLeaves, getValueAtPath, setValueAtPath, toCodeKey } from './utils.js';
+import { getPathTemplate, getLocaleFilePath, listLanguageFiles, SINGLE_FILE_NAMESPACE } from './localePaths.js';
+import { readLocaleFileIfExists, writeLocaleFile } from './formats/index.js';
+import { getPluralCategories } from './icuMessages.js';
+import { scanSourceFiles, DEFAULT_SCAN_OPTIONS } from './codeScanner.js';
+import { findReferencedKeys } from './usageOperations.js';
+
+/**
+ * Maps every namespace to the source file it lives in; namespaces without a file get a new `.json` file
+ * (or a file with the template's fixed extension). Templates without {ns} have a single namespace.
+ * @returns {Promise<(namespace: string) => string | null>} Resolver returning the file name, or null if the namespace has no place.
+ */
+export async function createNamespaceResolver(baseDir, sourceLang) {
+    let existingFiles = [];
+    try {
+        existingFiles = await listLanguageFiles(baseDir, sourceLang);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error; // A missing source directory is created on write
+    }
+    const byNamespace = new Map(existingFiles.map(filename => [filename.slice(0, filename.length - path.extname(filename).length), filename]));
+    const template = getPathTemplate();
+    const newFileExtension = template.endsWith('.{ext}') ? '.json' : path.extname(template);
+    return namespace => {
+        if (byNamespace.has(namespace)) return byNamespace.get(namespace);
+        if (!template.includes('{ns}')) return namespace === SINGLE_FILE_NAMESPACE ? `${SINGLE_FILE_NAMESPACE}${newFileExtension}` : null;
+        return `${namespace}${newFileExtension}`;
+    };
+}
+
+/**
+ * Groups the scanned key references by namespace and key, collecting their default values and locations.
+ * @returns {Map<string, { namespace: string, key: string, defaults: string[], plural: boolean, references: object[] }>}
+ */
+function groupReferences(scannedKeys, separator) {
+    const entries = new Map();
+    for (const { namespace, key, defaultValue, plural, file, line } of scannedKeys) {
+        const id = `${namespace}${separator}${key}`;
+        if (!entries.has(id)) entries.set(id, { namespace, key, defaults: [], plural: false, references: [] });
+        const entry = entries.get(id);
+        if (defaultValue !== null && !entry.defaults.includes(defaultValue)) entry.defaults.push(defaultValue);
+        entry.plural = entry.plural || plural;
+        entry.references.push({ file, line });
+    }
+    return entries;
+}
+
+/**
+ * Checks where a key can be added to a locale structure.
+ * @returns {{ state: 'new' } | { state: 'exists', value: any } | { state: 'blocked', path: string }}
+ *   'blocked' if a parent of the key already holds a value (e.g. 'menu' is a string and the key is 'menu.home').
+ */
+function inspectKey(data, localeKeys, key) {
+    const segments = key.split('.');
+    for (let index = 1; index < segments.length; index++) {
+        const parent = getValueAtPath(data, `root.${segments.slice(0, index).join('.')}`);
+        if (parent !== undefined && (typeof parent !== 'object' || parent === null)) return { state: 'blocked', path: segments.slice(0, index).join('.') };
+    }
+    if (findReferencedKeys(localeKeys, key).length > 0) return { state: 'exists', value: getValueAtPath(data, `root.${key}`) };
+    return { state: 'new' };
+}
+
+/**
+ * Adds the keys used in the application code to the source-language files. New keys get their inline
+ * default value (or an empty string) via setValueAtPath; keys used with `count` get the source language's
+ * plural forms (e.g. `item_one` and `item_other` for English). Existing values are never overwritten.
+ * Conflicts are listed: different defaults for one key in code, defaults that differ from the locale
+ * value, keys whose parent is a string, and namespaces that have no file.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @param {object} options
+ * @param {string[]} options.srcDirs - Absolute directories to scan.
+ * @param {object} [options.scanOptions] - See codeScanner.js.
+ * @param {boolean} [options.dryRun=false] - Only report what would be added.
+ * @returns {Promise<{ keysAdded: number, filesWritten: number, conflicts: object[] }>}
+ */
+export async function runExtract(baseDir, sourceLang, { srcDirs, scanOptions = DEFAULT_SCAN_OPTIONS, dryRun = false }) {
+    console.log(`\n📥 Extracting translation keys from ${srcDirs.map(dir => path.relative(process.cwd(), dir) || '.').join(', ')}${dryRun ? ' (dry run)' : ''}...`);
+    const scan = await scanSourceFiles(srcDirs, scanOptions);
+    scan.errors.forEach(({ file, message }) => console.warn(`  ⚠️ Could not parse ${file}: ${message}`));
+    console.log(`  Scanned ${scan.files} file(s): ${scan.keys.length} key reference(s).`);
+    if (scan.unresolvable.length > 0) console.log(`  ℹ️ ${scan.unresolvable.length} dynamic key(s) cannot be extracted (see the 'usage' command).`);
+
+    const separator = scanOptions.namespaceSeparator || ':';
+    const resolveFile = await createNamespaceResolver(baseDir, sourceLang);
+    const pluralCategories = getPluralCategories(sourceLang);
+    const files = new Map(); // filename → { data, document, isNew, localeKeys, added }
+    const conflicts = [];
+
+    for (const [id, entry] of groupReferences(scan.keys, separator)) {
+        const location = `${entry.references[0].file}:${entry.references[0].line}`;
+        const filename = resolveFile(entry.namespace);
+        if (!filename) {
+            conflicts.push({ id, location, reason: `namespace '${entry.namespace}' has no file (the path template has no {ns})` });
+            continue;
+        }
+        if (!files.has(filename)) {
+            const existing = await readLocaleFileIfExists(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang });
+            const data = existing ? existing.data : {};
+            const localeKeys = [];
+            walkLeaves(data, (value, keyPath) => localeKeys.push(toCodeKey(keyPath)));
+            files.set(filename, { data, document: existing?.document ?? null, isNew: !existing, localeKeys, added: [] });
+        }
+        const file = files.get(filename);
+        const [defaultValue = '', ...otherDefaults] = entry.defaults;
+        if (otherDefaults.length > 0) {
+            conflicts.push({ id, location, reason: `different default values in code (${entry.defaults.map(value => JSON.stringify(value)).join(', ')}); using the first` });
+        }
+
+        const inspection = inspectKey(file.data, file.localeKeys, entry.key);
+        if (inspection.state === 'blocked') {
+            conflicts.push({ id, location, reason: `'${inspection.path}' already holds a value in ${filename}` });
+            continue;
+        }
+        if (inspection.state === 'exists') {
+            if (entry.defaults.length > 0 && typeof inspection.value === 'string' && inspection.value !== defaultValue) {
+                conflicts.push({ id, location, reason: `default value ${JSON.stringify(defaultValue)} differs from ${JSON.stringify(inspection.value)} in ${filename} (kept)` });
+            }
+            continue;
+        }
+
+        const newKeys = entry.plural ? pluralCategories.map(category => `${entry.key}_${category}`) : [entry.key];
+        for (const key of newKeys) {
+            setValueAtPath(file.data, `root.${key}`, defaultValue);
+            file.localeKeys.push(key);
+            file.added.push({ key, value: defaultValue });
+        }
+    }
+
+    let keysAdded = 0;
+    let filesWritten = 0;
+    for (const [filename, file] of files) {
+        if (file.added.length === 0) continue;
+        keysAdded += file.added.length;
+        console.log(`\n  ${file.isNew ? '➕' : '✏️'} ${sourceLang}/${filename}${file.isNew ? ' (new file)' : ''}: ${file.added.length} key(s) ${dryRun ? 'would be added' : 'added'}`);
+        file.added.forEach(({ key, value }) => console.log(`     + ${key}${value ? ` = ${JSON.stringify(value)}` : ' (no default value)'}`));
+        if (dryRun) continue;
+        try {
+            await writeLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), file.data, file.document, { lang: sourceLang });
+            filesWritten++;
+        } catch (error) {
+            console.error(`  ❌ Could not write ${sourceLang}/${filename}: ${error.message}`);
+        }
+    }
+
+    if (conflicts.length > 0) {
+        console.log(`\n⚠️ ${conflicts.length} conflict(s) (not changed):`);
+        conflicts.forEach(conflict => console.log(`   ${conflict.id}  (${conflict.location}): ${conflict.reason}`));
+    }
+    console.log(`\n✅ Extraction ${dryRun ? 'dry run ' : ''}complete. ${keysAdded} key(s) ${dryRun ? 'would be added' : `added to ${filesWritten} file(s)`}, ${conflicts.length} conflict(s).`);
+    return { keysAdded, filesWritten, conflicts };
+}
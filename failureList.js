@@ -0,0 +1,82 @@
+// failureList.js
+// Keys the `translate-missing` command could not fill, per target language and file. The next run sends them
+// again, together with its empty and untranslated values: { "languages": { "de": { "common.json": ["root.a.b"] } } }
+import fs from 'fs/promises';
+import path from 'path';
+
+export const FAILURE_LIST_FILE_NAME = '.i18n-failures.json';
+const FAILURE_LIST_VERSION = 1;
+
+/**
+ * Loads the failure list from the base directory.
+ * @param {string} baseDir - Absolute base directory containing the language folders.
+ * @returns {Promise<{ version: number, languages: object }>} The list, or an empty list if none exists.
+ */
+export async function loadFailureList(baseDir) {
+    const listPath = path.join(baseDir, FAILURE_LIST_FILE_NAME);
+    try {
+        const list = JSON.parse(await fs.readFile(listPath, 'utf-8'));
+        if (typeof list !== 'object' || list === null || typeof list.languages !== 'object' || list.languages === null) {
+            console.warn(`⚠️ Unexpected content in ${FAILURE_LIST_FILE_NAME}. Starting a new failure list.`);
+            return { version: FAILURE_LIST_VERSION, languages: {} };
+        }
+        return list;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Could not read ${FAILURE_LIST_FILE_NAME}: ${error.message}. Starting a new failure list.`);
+        }
+        return { version: FAILURE_LIST_VERSION, languages: {} };
+    }
+}
+
+/**
+ * Writes the failure list to the base directory. An empty list removes the file.
+ * @param {string} baseDir
+ * @param {object} list
+ */
+export async function saveFailureList(baseDir, list) {
+    const listPath = path.join(baseDir, FAILURE_LIST_FILE_NAME);
+    if (countFailures(list) === 0) {
+        await fs.rm(listPath, { force: true });
+        return;
+    }
+    await fs.writeFile(listPath, JSON.stringify({ ...list, version: FAILURE_LIST_VERSION }, null, 2), 'utf-8');
+}
+
+/**
+ * @param {object} list
+ * @param {string} lang - Target language code.
+ * @param {string} filename
+ * @returns {Set<string>} Key paths (e.g., 'root.menu.about') that failed in an earlier run.
+ */
+export function getFailedPaths(list, lang, filename) {
+    const paths = list.languages[lang]?.[filename];
+    return new Set(Array.isArray(paths) ? paths : []);
+}
+
+/**
+ * Replaces the failed key paths of a file; no paths removes the file's entry.
+ * @param {object} list
+ * @param {string} lang
+ * @param {string} filename
+ * @param {string[]} keyPaths
+ */
+export function setFailedPaths(list, lang, filename, keyPaths) {
+    if (keyPaths.length === 0) {
+        if (list.languages[lang]) delete list.languages[lang][filename];
+        if (list.languages[lang] && Object.keys(list.languages[lang]).length === 0) delete list.languages[lang];
+        return;
+    }
+    if (!list.languages[lang]) list.languages[lang] = {};
+    list.languages[lang][filename] = [...keyPaths];
+}
+
+/**
+ * @param {object} list
+ * @returns {number} Failed key paths across all languages and files.
+ */
+export function countFailures(list) {
+    return Object.values(list.languages)
+        .flatMap(files => Object.values(files))
+        .reduce((sum, paths) => sum + paths.length, 0);
+}
@@ -1,20 +1,65 @@
 // fileOperations.js
 import fs from 'fs/promises';
 import path from 'path';
-import { createEmptyStructure } from './utils.js';
+import { createEmptyStructure, countTranslatableStrings } from './utils.js';
 import { translateJsonFileContent } from './translator.js';
+import { recordFilePlan, getLanguagePlan } from './changePlan.js';
+import { updateFileLock } from './sourceLock.js';
+import { shouldPseudoLocalize, pseudoLocalizeStructure } from './pseudoLocalization.js';
+import { getFormatForFile, parseLocaleContent, readLocaleFile, writeLocaleFile } from './formats/index.js';
+import { localizePluralKeys } from './pluralKeys.js';
+import { loadKeyNotes, collectKeyNotes } from './keyNotes.js';
+import { getLanguageRoot, getLocaleFilePath, listLanguageFiles } from './localePaths.js';
+import { QuotaExceededError } from './scheduler.js';
 
-export async function getSourceFiles(sourceDir) {
+/**
+ * Removes the empty subdirectories of a target language directory that have no counterpart in the
+ * source language directory (e.g., after all files of a namespace directory were deleted).
+ * The target language directory itself is kept.
+ * @param {string} targetDir
+ * @param {string} sourceDir
+ * @param {string} [relativeDir=''] - Used for recursion.
+ * @returns {Promise<string[]>} The removed directories, relative to `targetDir`.
+ */
+export async function removeOrphanedDirectories(targetDir, sourceDir, relativeDir = '') {
+    const removed = [];
+    let entries;
     try {
-        const entries = await fs.readdir(sourceDir, { withFileTypes: true });
-        const sourceFiles = entries
-            .filter(dirent => dirent.isFile() && dirent.name.endsWith('.json'))
-            .map(dirent => dirent.name);
+        entries = await fs.readdir(path.join(targetDir, relativeDir), { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return removed;
+        throw error;
+    }
+    for (const dirent of entries) {
+        if (!dirent.isDirectory() || dirent.name.startsWith('.')) continue;
+        const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+        removed.push(...await removeOrphanedDirectories(targetDir, sourceDir, relativePath)); // Children first
+        const isEmpty = (await fs.readdir(path.join(targetDir, relativePath))).length === 0;
+        const existsInSource = await fs.stat(path.join(sourceDir, relativePath)).then(stats => stats.isDirectory(), () => false);
+        if (isEmpty && !existsInSource) {
+            await fs.rmdir(path.join(targetDir, relativePath));
+            removed.push(relativePath);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Lists the source locale files through the path template (see localePaths.js) and logs what was found.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @returns {Promise<string[]>} Language-independent file names, e.g. ['common.json', 'admin/users.json'].
+ * @throws {Error} If the source directory does not exist or cannot be read.
+ */
+export async function getSourceFiles(baseDir, sourceLang) {
+    const sourceDir = getLanguageRoot(baseDir, sourceLang);
+    try {
+        const sourceFiles = await listLanguageFiles(baseDir, sourceLang);
 
         if (sourceFiles.length === 0) {
-            console.warn(`⚠️ No JSON files found in ${sourceDir}.`);
+            console.warn(`⚠️ No locale files found in ${sourceDir}.`);
         } else {
-            console.log(`Found ${sourceFiles.length} source JSON file(s): ${sourceFiles.join(', ')}`);
+            console.log(`Found ${sourceFiles.length} source locale file(s): ${sourceFiles.join(', ')}`);
         }
         return sourceFiles;
 
@@ -30,9 +75,50 @@ export async function getSourceFiles(sourceDir) {
     }
 }
 
-export async function processLanguage(targetLang, targetDir, sourceDir, sourceFiles, enableTranslation, sourceLangCode) {
-    const mode = enableTranslation ? 'Translating (Whole JSON Mode)' : 'Generating Empty Structure for';
-    console.log(`\n${mode} language: ${targetLang} (Output directory: ${targetDir})`);
+/**
+ * Builds the content of a new target file: pseudo-localized for pseudo targets,
+ * otherwise translated (if enabled) or an empty structure.
+ * @param {any} sourceJson
+ * @param {string} sourceLangCode
+ * @param {string} targetLang
+ * @param {boolean} enableTranslation
+ * @param {object} [options]
+ * @param {Map<string, object>} [options.keyNotes] - Translator notes of the source file (see keyNotes.js).
+ * @returns {Promise<any>}
+ */
+export async function createTargetContent(sourceJson, sourceLangCode, targetLang, enableTranslation, { keyNotes = null } = {}) {
+    if (shouldPseudoLocalize(targetLang)) {
+        return pseudoLocalizeStructure(sourceJson, targetLang);
+    }
+    if (enableTranslation) {
+        return translateJsonFileContent(sourceJson, sourceLangCode, targetLang, { notes: collectKeyNotes(keyNotes, sourceJson) });
+    }
+    return createEmptyStructure(sourceJson);
+}
+
+/**
+ * Generates (or translates) every source file for one target language.
+ * @param {string} targetLang
+ * @param {string} baseDir - Absolute base directory; file paths are resolved through the path template.
+ * @param {string[]} sourceFiles
+ * @param {boolean} enableTranslation
+ * @param {string} sourceLangCode
+ * @param {object} [options]
+ * @param {object} [options.plan] - Change plan (see changePlan.js). When given, files are only
+ *   recorded in the plan and nothing is written.
+ * @param {object} [options.sourceLock] - Source lock (see sourceLock.js) updated for every written file.
+ * @returns {Promise<boolean>} False if any file of the language could not be generated or translated.
+ * @throws {QuotaExceededError} If the translation quota is used up; the file being translated is not written.
+ */
+export async function processLanguage(targetLang, baseDir, sourceFiles, enableTranslation, sourceLangCode, { plan = null, sourceLock = null } = {}) {
+    const targetDir = getLanguageRoot(baseDir, targetLang);
+    const pseudoTarget = shouldPseudoLocalize(targetLang);
+    const mode = pseudoTarget ? 'Pseudo-localizing' : (enableTranslation ? 'Translating (Whole JSON Mode)' : 'Generating Empty Structure for');
+    console.log(`\n${mode} language: ${targetLang} (Output directory: ${targetDir})${plan ? ' [dry run]' : ''}`);
+    if (plan) {
+        return planLanguage(targetLang, baseDir, sourceFiles, enableTranslation && !pseudoTarget, sourceLangCode, plan);
+    }
+
     let allFilesAttemptedSuccessfully = true;
     let filesProcessedCount = 0;
 
@@ -51,34 +137,34 @@ export async function processLanguage(targetLang, targetDir, sourceDir, sourceFi
     }
 
     for (const filename of sourceFiles) {
-        const sourceFilePath = path.join(sourceDir, filename);
-        const targetFilePath = path.join(targetDir, filename);
+        const sourceFilePath = getLocaleFilePath(baseDir, sourceLangCode, filename);
+        const targetFilePath = getLocaleFilePath(baseDir, targetLang, filename);
 
         try {
-            console.log(`  Processing file: ${filename}`);
+            console.log(`  Processing file: ${targetLang}/${filename}`);
 
             const sourceContent = await fs.readFile(sourceFilePath, 'utf-8');
 
-            let sourceJson;
+            const format = getFormatForFile(sourceFilePath);
+            let sourceData, sourceDocument;
             try {
-                sourceJson = JSON.parse(sourceContent);
+                ({ data: sourceData, document: sourceDocument } = parseLocaleContent(sourceFilePath, sourceContent, { lang: sourceLangCode }));
             } catch (parseError) {
-                console.error(`    ❌ Error parsing JSON in source file ${sourceFilePath}: ${parseError.message}`);
+                console.error(`    ❌ Error parsing ${format?.label || 'content'} in source file ${sourceFilePath}: ${parseError.message}`);
                 allFilesAttemptedSuccessfully = false;
                 continue;
             }
+            const sourceJson = localizePluralKeys(sourceData, targetLang); // Plural groups get the target language's forms
 
-            let targetJson;
-            if (enableTranslation) {
-                targetJson = await translateJsonFileContent(sourceJson, sourceLangCode, targetLang);
-            } else {
-                targetJson = createEmptyStructure(sourceJson);
-            }
-            await fs.writeFile(targetFilePath, JSON.stringify(targetJson, null, 2), 'utf-8');
+            const keyNotes = enableTranslation && !pseudoTarget ? await loadKeyNotes(baseDir, sourceLangCode, filename) : null;
+            const targetJson = await createTargetContent(sourceJson, sourceLangCode, targetLang, enableTranslation, { keyNotes });
+            await writeLocaleFile(targetFilePath, targetJson, sourceDocument, { lang: targetLang }); // Source document keeps comments/layout
+            if (sourceLock) updateFileLock(sourceLock, targetLang, filename, sourceJson, targetJson);
             console.log(`    ✅ Wrote file: ${targetFilePath}`);
             filesProcessedCount++;
 
         } catch (fileError) {
+            if (fileError instanceof QuotaExceededError) throw fileError; // Stops the run (see runLanguageTasks)
             console.error(`    ❌ Error processing file ${filename} for ${targetLang}: ${fileError.message}`);
             allFilesAttemptedSuccessfully = false; // Mark language processing as partially failed
         }
@@ -90,5 +176,38 @@ export async function processLanguage(targetLang, targetDir, sourceDir, sourceFi
         console.log(`  Successfully processed ${filesProcessedCount} files for ${targetLang}.`);
     }
 
-    return true;
-}
\ No newline at end of file
+    return allFilesAttemptedSuccessfully;
+}
+
+/**
+ * Dry-run counterpart of processLanguage: records which files would be created or overwritten.
+ * @returns {Promise<boolean>}
+ */
+async function planLanguage(targetLang, baseDir, sourceFiles, enableTranslation, sourceLangCode, plan) {
+    getLanguagePlan(plan, targetLang);
+    let allFilesPlanned = true;
+
+    for (const filename of sourceFiles || []) {
+        const sourceFilePath = getLocaleFilePath(baseDir, sourceLangCode, filename);
+        const targetFilePath = getLocaleFilePath(baseDir, targetLang, filename);
+        try {
+            const { data } = await readLocaleFile(sourceFilePath, { lang: sourceLangCode });
+            const sourceJson = localizePluralKeys(data, targetLang);
+            let targetExists = true;
+            try {
+                await fs.access(targetFilePath);
+            } catch {
+                targetExists = false;
+            }
+            recordFilePlan(plan, targetLang, filename, {
+                action: targetExists ? 'overwrite' : 'add',
+                reason: targetExists ? 'generate replaces existing files' : undefined,
+                stringsToTranslate: enableTranslation ? countTranslatableStrings(sourceJson) : 0,
+            });
+        } catch (error) {
+            console.error(`    ❌ Error planning file ${filename} for ${targetLang}: ${error.message}`);
+            allFilesPlanned = false;
+        }
+    }
+    return allFilesPlanned;
+}
@@ -0,0 +1,110 @@
+// formats/index.js
+import path from 'path';
+import fs from 'fs/promises';
+import { jsonFormat } from './json.js';
+import { yamlFormat } from './yaml.js';
+
+/**
+ * Every format adapter implements the same contract:
+ * - `name` / `label` / `extensions`: identify the format and the files it handles.
+ * - `parse(content, { lang })`: resolves `{ data, document }`, where `data` is the plain structure the
+ *   rest of the tool works on and `document` is format-specific state needed for round-trips
+ *   (or null). Throws SyntaxError on invalid content.
+ * - `serialize(data, document?, { lang })`: turns data back into file content, using `document`
+ *   (when given) to preserve formatting details.
+ * `lang` is the language of the file, for formats whose files are wrapped in a language key (Rails YAML).
+ */
+const FORMATS = [jsonFormat, yamlFormat];
+
+export const SUPPORTED_EXTENSIONS = FORMATS.flatMap(format => format.extensions);
+
+/**
+ * Finds the format adapter for a file by its extension.
+ * @param {string} filePath
+ * @returns {object | null} The adapter, or null for unsupported files.
+ */
+export function getFormatForFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return FORMATS.find(format => format.extensions.includes(extension)) || null;
+}
+
+/**
+ * @param {string} filePath
+ * @returns {boolean} True if the file is a locale file in a supported format.
+ */
+export function isLocaleFile(filePath) {
+    return getFormatForFile(filePath) !== null;
+}
+
+function requireFormat(filePath) {
+    const format = getFormatForFile(filePath);
+    if (!format) throw new Error(`Unsupported locale file format: ${filePath}`);
+    return format;
+}
+
+/**
+ * Parses locale file content according to the file's extension.
+ * @param {string} filePath - Used to pick the format.
+ * @param {string} content
+ * @param {object} [options]
+ * @param {string} [options.lang] - Language of the file.
+ * @returns {{ data: any, document: any, format: object }}
+ * @throws {SyntaxError} On invalid content.
+ */
+export function parseLocaleContent(filePath, content, { lang } = {}) {
+    const format = requireFormat(filePath);
+    return { ...format.parse(content, { lang }), format };
+}
+
+/**
+ * Serializes data according to the file's extension.
+ * @param {string} filePath - Used to pick the format.
+ * @param {any} data
+ * @param {any} [document] - Parsed document to preserve formatting from.
+ * @param {object} [options]
+ * @param {string} [options.lang] - Language of the file.
+ * @returns {string}
+ */
+export function serializeLocaleContent(filePath, data, document = null, { lang } = {}) {
+    return requireFormat(filePath).serialize(data, document, { lang });
+}
+
+/**
+ * Reads and parses a locale file.
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.lang] - Language of the file.
+ * @returns {Promise<{ data: any, document: any, format: object }>}
+ */
+export async function readLocaleFile(filePath, options = {}) {
+    return parseLocaleContent(filePath, await fs.readFile(filePath, 'utf-8'), options);
+}
+
+/**
+ * Reads and parses a locale file that may not exist yet.
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.lang] - Language of the file.
+ * @returns {Promise<{ data: any, document: any, format: object } | null>} Null if the file does not exist.
+ */
+export async function readLocaleFileIfExists(filePath, options = {}) {
+    try {
+        return await readLocaleFile(filePath, options);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Serializes and writes a locale file, creating its directory (e.g., a nested namespace directory) if needed.
+ * @param {string} filePath
+ * @param {any} data
+ * @param {any} [document] - Parsed document to preserve formatting from.
+ * @param {object} [options]
+ * @param {string} [options.lang] - Language of the file.
+ */
+export async function writeLocaleFile(filePath, data, document = null, options = {}) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, serializeLocaleContent(filePath, data, document, options), 'utf-8');
+}
@@ -0,0 +1,27 @@
+// formats/json.js
+
+/**
+ * JSON locale files. Output uses 2-space indentation, as the tool always has.
+ */
+export const jsonFormat = {
+    name: 'json',
+    label: 'JSON',
+    extensions: ['.json'],
+
+    /**
+     * @param {string} content
+     * @returns {{ data: any, document: null }}
+     * @throws {SyntaxError} On invalid JSON.
+     */
+    parse(content) {
+        return { data: JSON.parse(content), document: null };
+    },
+
+    /**
+     * @param {any} data
+     * @returns {string}
+     */
+    serialize(data) {
+        return JSON.stringify(data, null, 2);
+    },
+};
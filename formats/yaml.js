@@ -0,0 +1,149 @@
+// formats/yaml.js
+import { Document, parseDocument, isAlias, isMap, isScalar, isSeq } from 'yaml';
+
+const MERGE_KEY = '<<';
+// Documents of Rails-style files, whose keys are wrapped in the file's language (`en:`); see yamlFormat.parse
+const languageRootDocuments = new WeakSet();
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isDeepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function getKeyValue(pair) {
+    return isScalar(pair.key) ? pair.key.value : pair.key;
+}
+
+// With `merge: true` the parser represents `<<` keys by a symbol
+function isMergePair(pair) {
+    return isScalar(pair.key) && (pair.key.value === MERGE_KEY || pair.key.source === MERGE_KEY);
+}
+
+function normalizeLanguage(code) {
+    return String(code).replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * @returns {import('yaml').Pair | null} The only pair of the document's root map if its key is the given
+ *   language ('en', 'pt-BR' or 'pt_BR') and its value a map, e.g. `en: { greeting: Hello }`.
+ */
+function getLanguageRootPair(doc, lang) {
+    if (!lang || !isMap(doc.contents) || doc.contents.items.length !== 1) return null;
+    const [pair] = doc.contents.items;
+    if (isMergePair(pair) || !isMap(pair.value)) return null;
+    return normalizeLanguage(getKeyValue(pair)) === normalizeLanguage(lang) ? pair : null;
+}
+
+/**
+ * Values a map inherits through YAML merge keys (`<<: *base`).
+ * @returns {object}
+ */
+function getInheritedValues(doc, mapNode) {
+    const inherited = {};
+    for (const pair of mapNode.items) {
+        if (!isMergePair(pair)) continue;
+        const sources = isSeq(pair.value) ? pair.value.items : [pair.value];
+        for (const source of sources) {
+            const resolved = isAlias(source) ? source.resolve(doc) : source;
+            if (isMap(resolved)) Object.assign(inherited, resolved.toJS(doc));
+        }
+    }
+    return inherited;
+}
+
+/**
+ * Applies plain data onto an existing YAML node, keeping the node (and with it its comments,
+ * anchors and scalar style such as block literals) wherever the value still fits.
+ * @param {import('yaml').Document} doc
+ * @param {any} node - Existing YAML node (may be undefined).
+ * @param {any} value - New plain value.
+ * @returns {any} The node to store (the same node when it could be updated in place).
+ */
+function applyValue(doc, node, value) {
+    if (isAlias(node)) {
+        // Keep aliases whose target still has the wanted value; otherwise the alias is replaced
+        return isDeepEqual(node.resolve(doc)?.toJS(doc), value) ? node : doc.createNode(value);
+    }
+    if (isScalar(node) && !isPlainObject(value) && !Array.isArray(value)) {
+        if (node.value !== value) node.value = value;
+        return node;
+    }
+    if (isMap(node) && isPlainObject(value)) {
+        const inherited = getInheritedValues(doc, node);
+        node.items = node.items.filter(pair => isMergePair(pair) || Object.prototype.hasOwnProperty.call(value, getKeyValue(pair)));
+        const ownKeys = new Set(node.items.filter(pair => !isMergePair(pair)).map(getKeyValue));
+        for (const pair of node.items) {
+            if (!isMergePair(pair)) pair.value = applyValue(doc, pair.value, value[getKeyValue(pair)]);
+        }
+        for (const key of Object.keys(value)) {
+            if (ownKeys.has(key)) continue;
+            if (Object.prototype.hasOwnProperty.call(inherited, key) && isDeepEqual(inherited[key], value[key])) continue;
+            node.items.push(doc.createPair(key, value[key]));
+        }
+        return node;
+    }
+    if (isSeq(node) && Array.isArray(value)) {
+        node.items = value.map((element, index) => applyValue(doc, node.items[index], element));
+        return node;
+    }
+    return doc.createNode(value);
+}
+
+/**
+ * YAML locale files (Rails, Symfony, ...). Parsing keeps the YAML document so that writing
+ * back preserves comments, anchors/aliases and multi-line string styles. Rails files, whose only
+ * root key is their language (`en:`), are read without it and written with the language of the
+ * file being written, so a target created from the source document gets `de:` instead of `en:`.
+ */
+export const yamlFormat = {
+    name: 'yaml',
+    label: 'YAML',
+    extensions: ['.yml', '.yaml'],
+
+    /**
+     * @param {string} content
+     * @param {object} [options]
+     * @param {string} [options.lang] - Language of the file; a root key equal to it is unwrapped.
+     * @returns {{ data: any, document: import('yaml').Document }}
+     * @throws {SyntaxError} On invalid YAML.
+     */
+    parse(content, { lang } = {}) {
+        const document = parseDocument(content, { merge: true });
+        if (document.errors.length > 0) {
+            throw new SyntaxError(document.errors[0].message);
+        }
+        const data = document.toJS() ?? {};
+        const rootPair = getLanguageRootPair(document, lang);
+        if (rootPair) {
+            languageRootDocuments.add(document);
+            return { data: data[getKeyValue(rootPair)], document };
+        }
+        return { data, document };
+    },
+
+    /**
+     * @param {any} data
+     * @param {import('yaml').Document} [document] - Parsed document to write the data into
+     *   (a target's own document, or the source's as a template for new files).
+     * @param {object} [options]
+     * @param {string} [options.lang] - Language of the file; replaces the root key of Rails-style documents.
+     * @returns {string}
+     */
+    serialize(data, document = null, { lang } = {}) {
+        if (!document) {
+            return new Document(data).toString();
+        }
+        const target = document.clone();
+        if (languageRootDocuments.has(document)) {
+            const [rootPair] = target.contents.items;
+            if (lang && isScalar(rootPair.key)) rootPair.key.value = lang;
+            rootPair.value = applyValue(target, rootPair.value, data);
+        } else {
+            target.contents = applyValue(target, target.contents, data);
+        }
+        return target.toString();
+    },
+};
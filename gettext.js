@@ -0,0 +1,139 @@
+// gettext.js
+// Minimal reader/writer for gettext PO/POT files (single-form entries with msgctxt).
+
+/**
+ * Escapes a string for use inside a PO double-quoted literal.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapePoString(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Reverses escapePoString.
+ * @param {string} text - Literal content without the surrounding quotes.
+ * @returns {string}
+ */
+function unescapePoString(text) {
+    return text.replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }[char] ?? char));
+}
+
+/**
+ * Formats one PO keyword and value, splitting multi-line values after each newline
+ * like msgmerge does.
+ * @param {string} keyword - e.g., 'msgid'.
+ * @param {string} value
+ * @returns {string[]} Lines.
+ */
+function formatPoField(keyword, value) {
+    if (!value.includes('\n') || value.indexOf('\n') === value.length - 1) {
+        return [`${keyword} "${escapePoString(value)}"`];
+    }
+    const chunks = value.split(/(?<=\n)/);
+    return [`${keyword} ""`, ...chunks.map(chunk => `"${escapePoString(chunk)}"`)];
+}
+
+/**
+ * Serializes entries to PO/POT content.
+ * @param {Array<{ msgctxt?: string, msgid: string, msgstr?: string, comments?: string[], flags?: string[] }>} entries
+ * @param {Record<string, string>} headers - Header fields (e.g., { Language: 'fr' }).
+ * @returns {string}
+ */
+export function serializePo(entries, headers) {
+    const headerValue = Object.entries(headers).map(([name, value]) => `${name}: ${value}\n`).join('');
+    const blocks = [[...formatPoField('msgid', ''), ...formatPoField('msgstr', headerValue)].join('\n')];
+
+    for (const entry of entries) {
+        const lines = [];
+        (entry.comments || []).forEach(comment => lines.push(`#. ${comment}`));
+        if (entry.flags && entry.flags.length > 0) lines.push(`#, ${entry.flags.join(', ')}`);
+        if (entry.msgctxt !== undefined) lines.push(...formatPoField('msgctxt', entry.msgctxt));
+        lines.push(...formatPoField('msgid', entry.msgid));
+        lines.push(...formatPoField('msgstr', entry.msgstr ?? ''));
+        blocks.push(lines.join('\n'));
+    }
+    return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Parses PO/POT content. Obsolete (`#~`) entries are skipped; plural entries keep msgstr[0].
+ * @param {string} content
+ * @returns {{ headers: Record<string, string>, entries: Array<{ msgctxt?: string, msgid: string, msgstr: string, flags: string[], line: number }> }}
+ * @throws {SyntaxError} On malformed lines.
+ */
+export function parsePo(content) {
+    const entries = [];
+    let current = null;
+    let currentField = null;
+
+    const finishEntry = () => {
+        if (current && current.msgid !== undefined) entries.push(current);
+        current = null;
+        currentField = null;
+    };
+    const startEntryIfNeeded = lineNumber => {
+        if (!current) current = { flags: [], msgstr: '', line: lineNumber };
+    };
+    const isInMsgstr = () => currentField === 'msgstr' || currentField === 'ignoredPlural';
+
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+        if (!line) {
+            finishEntry();
+            return;
+        }
+        if (line.startsWith('#~')) return; // Obsolete entry
+        if (line.startsWith('#')) {
+            // A comment after a complete entry starts the next entry
+            if (current && current.msgid !== undefined && isInMsgstr()) finishEntry();
+            startEntryIfNeeded(lineNumber);
+            if (line.startsWith('#,')) {
+                current.flags.push(...line.slice(2).split(',').map(flag => flag.trim()).filter(Boolean));
+            }
+            return;
+        }
+
+        const fieldMatch = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/);
+        if (fieldMatch) {
+            const [, keyword, pluralIndex, value] = fieldMatch;
+            if ((keyword === 'msgctxt' || keyword === 'msgid') && current && isInMsgstr()) finishEntry();
+            startEntryIfNeeded(lineNumber);
+            if (keyword.startsWith('msgstr')) {
+                // Plural entries: only the first form maps onto a single key value
+                currentField = pluralIndex === undefined || pluralIndex === '0' ? 'msgstr' : 'ignoredPlural';
+                if (currentField === 'msgstr') current.msgstr = unescapePoString(value);
+            } else {
+                currentField = keyword;
+                current[keyword] = unescapePoString(value);
+            }
+            return;
+        }
+
+        const continuationMatch = line.match(/^"(.*)"$/);
+        if (continuationMatch && current && currentField) {
+            if (currentField !== 'ignoredPlural') current[currentField] += unescapePoString(continuationMatch[1]);
+            return;
+        }
+        throw new SyntaxError(`Unexpected content at line ${lineNumber}: ${line.substring(0, 80)}`);
+    });
+    finishEntry();
+
+    const headers = {};
+    const headerIndex = entries.findIndex(entry => entry.msgid === '' && entry.msgctxt === undefined);
+    if (headerIndex !== -1) {
+        entries[headerIndex].msgstr.split('\n').forEach(headerLine => {
+            const separatorIndex = headerLine.indexOf(':');
+            if (separatorIndex > 0) headers[headerLine.slice(0, separatorIndex).trim()] = headerLine.slice(separatorIndex + 1).trim();
+        });
+        entries.splice(headerIndex, 1);
+    }
+    return { headers, entries };
+}
@@ -0,0 +1,165 @@
+// glossary.js
+// Project termbase: required target terms per language and do-not-translate terms (brand names).
+// translator.js adds the entries relevant to a request to the LLM prompt and checks every translation.
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCsv } from './csv.js';
+import { normalizeLangCode } from './validators.js';
+import { escapeRegExp } from './utils.js';
+
+const TERM_COLUMN = 'term';
+const DO_NOT_TRANSLATE_COLUMN = 'donottranslate';
+const TRUE_VALUES = ['x', 'yes', 'true', '1'];
+
+let glossaryTerms = []; // { source, pattern, translations: { lang: target } }
+let doNotTranslateTerms = []; // { term, pattern }
+let matchCase = false;
+
+/** Matches a term as a whole word (letters and digits around it do not count as a match). */
+function createTermPattern(term, caseSensitive) {
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(term)}(?![\\p{L}\\p{N}_])`, caseSensitive ? 'u' : 'iu');
+}
+
+/**
+ * Reads a glossary file. JSON files have the shape of the inline config (`terms` and `doNotTranslate`);
+ * CSV files have a 'term' column, one column per target language and an optional 'doNotTranslate' column
+ * marking brand names (x, yes, true or 1).
+ * @param {string} filePath - Absolute path.
+ * @returns {Promise<{ terms: object, doNotTranslate: string[] }>}
+ * @throws {Error} If the file cannot be read or has an unsupported format.
+ */
+async function readGlossaryFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.json') return JSON.parse(content);
+    if (extension !== '.csv') throw new Error(`Unsupported glossary file '${filePath}' (use .json or .csv)`);
+
+    const [header = [], ...rows] = parseCsv(content);
+    const columns = header.map(name => name.trim());
+    const termIndex = columns.findIndex(name => name.toLowerCase() === TERM_COLUMN);
+    if (termIndex === -1) throw new Error(`Glossary file '${filePath}' has no '${TERM_COLUMN}' column`);
+    const doNotTranslateIndex = columns.findIndex(name => name.toLowerCase() === DO_NOT_TRANSLATE_COLUMN);
+    const languageColumns = columns
+        .map((name, index) => ({ lang: normalizeLangCode(name), index }))
+        .filter(({ lang, index }) => lang && index !== termIndex && index !== doNotTranslateIndex);
+
+    const glossary = { terms: {}, doNotTranslate: [] };
+    for (const row of rows) {
+        const term = (row[termIndex] || '').trim();
+        if (!term) continue;
+        if (doNotTranslateIndex !== -1 && TRUE_VALUES.includes((row[doNotTranslateIndex] || '').trim().toLowerCase())) {
+            glossary.doNotTranslate.push(term);
+            continue;
+        }
+        const translations = {};
+        languageColumns.forEach(({ lang, index }) => {
+            if ((row[index] || '').trim()) translations[lang] = row[index].trim();
+        });
+        glossary.terms[term] = translations;
+    }
+    return glossary;
+}
+
+/**
+ * Loads the glossary from the `translation.glossary` config section. Entries of the file come first;
+ * inline entries are added on top (and win for the same term and language).
+ * @param {string | object | undefined} settings - A file path, or `{ file, terms, doNotTranslate, caseSensitive }`
+ *   where `terms` maps source terms to `{ lang: target term }` and `doNotTranslate` lists terms kept as-is.
+ * @param {string} rootDir - Directory relative file paths are resolved against.
+ * @returns {Promise<number>} Number of glossary entries (terms and do-not-translate terms).
+ * @throws {Error} If the file cannot be read or an entry is malformed.
+ */
+export async function loadGlossary(settings, rootDir) {
+    glossaryTerms = [];
+    doNotTranslateTerms = [];
+    matchCase = false;
+    if (!settings) return 0;
+
+    const options = typeof settings === 'string' ? { file: settings } : settings;
+    const sources = [];
+    if (options.file) sources.push(await readGlossaryFile(path.resolve(rootDir, options.file)));
+    sources.push({ terms: options.terms || {}, doNotTranslate: options.doNotTranslate || [] });
+
+    matchCase = options.caseSensitive === true;
+    const terms = new Map();
+    const doNotTranslate = new Set();
+    for (const source of sources) {
+        if (typeof source.terms !== 'object' || source.terms === null || Array.isArray(source.terms)) {
+            throw new Error("Glossary 'terms' must map source terms to { language: term } objects");
+        }
+        if (!Array.isArray(source.doNotTranslate) || !source.doNotTranslate.every(term => typeof term === 'string')) {
+            throw new Error("Glossary 'doNotTranslate' must be an array of strings");
+        }
+        for (const [term, translations] of Object.entries(source.terms)) {
+            if (typeof translations !== 'object' || translations === null || !Object.values(translations).every(value => typeof value === 'string')) {
+                throw new Error(`Glossary term '${term}' must map language codes to strings`);
+            }
+            const normalized = Object.fromEntries(Object.entries(translations).map(([lang, target]) => [normalizeLangCode(lang), target]));
+            terms.set(term, { ...terms.get(term), ...normalized });
+        }
+        source.doNotTranslate.forEach(term => doNotTranslate.add(term));
+    }
+
+    glossaryTerms = [...terms].filter(([term]) => term.trim()).map(([source, translations]) => ({ source, pattern: createTermPattern(source, matchCase), translations }));
+    doNotTranslateTerms = [...doNotTranslate].filter(term => term.trim()).map(term => ({ term, pattern: createTermPattern(term, matchCase) }));
+    return glossaryTerms.length + doNotTranslateTerms.length;
+}
+
+/** Target term for a language; regional codes fall back to the base language ('de-at' → 'de'). */
+function getTargetTerm(entry, targetLang) {
+    return entry.translations[targetLang] ?? entry.translations[targetLang.split('-')[0]];
+}
+
+/**
+ * Finds the glossary entries used by the given source texts, for the prompt.
+ * @param {string[]} texts - Source strings.
+ * @param {string} targetLang
+ * @returns {{ terms: Array<{ source: string, target: string }>, doNotTranslate: string[] } | null} Null if none apply.
+ */
+export function findGlossaryEntries(texts, targetLang) {
+    const usedIn = pattern => texts.some(text => pattern.test(text));
+    const terms = glossaryTerms
+        .filter(entry => getTargetTerm(entry, targetLang) !== undefined && usedIn(entry.pattern))
+        .map(entry => ({ source: entry.source, target: getTargetTerm(entry, targetLang) }));
+    const doNotTranslate = doNotTranslateTerms.filter(entry => usedIn(entry.pattern)).map(entry => entry.term);
+    return terms.length > 0 || doNotTranslate.length > 0 ? { terms, doNotTranslate } : null;
+}
+
+/**
+ * Lists the glossary violations of a translation: a source term whose required target term is missing,
+ * or a do-not-translate term that was not kept verbatim. Target terms are found anywhere in the translation
+ * (so inflected forms such as 'Arbeitsbereichs' count); do-not-translate terms must keep their exact spelling.
+ * @param {string} sourceText
+ * @param {string} translatedText
+ * @param {string} targetLang
+ * @returns {string[]} Human-readable violations (empty if the translation follows the glossary).
+ */
+export function findGlossaryViolations(sourceText, translatedText, targetLang) {
+    const violations = [];
+    const contains = (text, term) => (matchCase ? text.includes(term) : text.toLowerCase().includes(term.toLowerCase()));
+    for (const entry of glossaryTerms) {
+        const target = getTargetTerm(entry, targetLang);
+        if (target === undefined || !entry.pattern.test(sourceText)) continue;
+        if (!contains(translatedText, target)) violations.push(`"${entry.source}" must be translated as "${target}"`);
+    }
+    for (const { term, pattern } of doNotTranslateTerms) {
+        if (pattern.test(sourceText) && !translatedText.includes(term)) violations.push(`"${term}" must not be translated`);
+    }
+    return violations;
+}
+
+/**
+ * Checks a translation against the glossary, logging a warning for every violation.
+ * @param {string} sourceText
+ * @param {string} translatedText
+ * @param {string} targetLang
+ * @param {string} identifier - A path or index for logging warnings.
+ * @returns {boolean} True if the translation follows the glossary.
+ */
+export function checkGlossary(sourceText, translatedText, targetLang, identifier) {
+    const violations = findGlossaryViolations(sourceText, translatedText, targetLang);
+    if (violations.length === 0) return true;
+    console.warn(`  ⚠️ Glossary mismatch at '${identifier}':`);
+    violations.forEach(violation => console.warn(`     ${violation}`));
+    return false;
+}
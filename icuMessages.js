@@ -0,0 +1,229 @@
+// icuMessages.js
+// ICU MessageFormat support: messages such as `{count, plural, one {# file} other {# files}}` are parsed
+// into an AST so that only their literal text is translated and translations can be checked structurally.
+import { parse, TYPE } from '@formatjs/icu-messageformat-parser';
+import { printAST } from '@formatjs/icu-messageformat-parser/printer.js';
+import { comparePlaceholders } from './placeholders.js';
+
+// Element types that make a string an ICU message rather than text with simple placeholders
+const ICU_FORMAT_TYPES = new Set([TYPE.number, TYPE.date, TYPE.time, TYPE.select, TYPE.plural]);
+const PLURAL_CATEGORY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Calls the visitor for every element of an AST, including those nested in plural/select options and tags.
+ * @param {Array<object>} elements
+ * @param {(element: object) => void} visitor
+ */
+function visitElements(elements, visitor) {
+    for (const element of elements) {
+        visitor(element);
+        if (element.options) Object.values(element.options).forEach(option => visitElements(option.value, visitor));
+        if (element.children) visitElements(element.children, visitor);
+    }
+}
+
+/**
+ * Parses a string as an ICU message.
+ * @param {string} text
+ * @returns {Array<object> | null} The AST, or null if the string does not parse or has no plural, select,
+ *   number, date or time argument (plain `{name}` placeholders are handled by PLACEHOLDER_REGEX instead).
+ */
+export function parseIcuMessage(text) {
+    if (typeof text !== 'string' || !text.includes('{')) return null;
+    let ast;
+    try {
+        ast = parse(text);
+    } catch {
+        return null;
+    }
+    let hasFormatElement = false;
+    visitElements(ast, element => {
+        if (ICU_FORMAT_TYPES.has(element.type)) hasFormatElement = true;
+    });
+    return hasFormatElement ? ast : null;
+}
+
+/**
+ * Splits a literal into its surrounding whitespace and its core text. Only the core is translated,
+ * so that spacing around arguments and `#` is kept.
+ */
+function splitWhitespace(text) {
+    const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return { leading, core, trailing };
+}
+
+function isTranslatableText(text) {
+    return /\p{L}/u.test(text);
+}
+
+/**
+ * Returns the unique literal text segments of an ICU message that need translating
+ * (trimmed, and only segments containing letters).
+ * @param {Array<object>} ast
+ * @returns {string[]}
+ */
+export function getTranslatableSegments(ast) {
+    const segments = new Set();
+    visitElements(ast, element => {
+        if (element.type !== TYPE.literal) return;
+        const { core } = splitWhitespace(element.value);
+        if (isTranslatableText(core)) segments.add(core);
+    });
+    return [...segments];
+}
+
+/**
+ * Returns the CLDR plural categories of a locale.
+ * @param {string} lang
+ * @param {'cardinal'|'ordinal'} [type='cardinal']
+ * @returns {string[]} Categories in CLDR order (e.g., Polish cardinal: one, few, many, other).
+ */
+export function getPluralCategories(lang, type = 'cardinal') {
+    let categories;
+    try {
+        categories = new Intl.PluralRules(lang, { type }).resolvedOptions().pluralCategories;
+    } catch {
+        categories = ['other'];
+    }
+    return PLURAL_CATEGORY_ORDER.filter(category => categories.includes(category));
+}
+
+/**
+ * Builds the plural options of a target locale from translated source options: exact matches (`=0`)
+ * are kept, categories the locale does not use are dropped and missing ones start as a copy of `other`.
+ */
+function adaptPluralOptions(options, targetLang, pluralType) {
+    const adapted = {};
+    for (const [key, option] of Object.entries(options)) {
+        if (key.startsWith('=')) adapted[key] = option;
+    }
+    for (const category of getPluralCategories(targetLang, pluralType)) {
+        adapted[category] = options[category] || structuredClone(options.other);
+    }
+    return adapted;
+}
+
+/**
+ * Rewrites the literal text of an ICU message and prints it back.
+ * @param {Array<object>} ast - Parsed message (see parseIcuMessage); not modified.
+ * @param {(segment: string) => string} transformSegment - Called with the trimmed text of every literal
+ *   that contains letters; surrounding whitespace is kept.
+ * @param {object} [options]
+ * @param {string} [options.targetLang] - If given, plural options are adapted to the locale's CLDR categories.
+ * @returns {string}
+ */
+export function rewriteIcuMessage(ast, transformSegment, { targetLang = null } = {}) {
+    const rewrite = elements => elements.map(element => {
+        if (element.type === TYPE.literal) {
+            const { leading, core, trailing } = splitWhitespace(element.value);
+            return isTranslatableText(core) ? { ...element, value: `${leading}${transformSegment(core)}${trailing}` } : element;
+        }
+        if (element.options) {
+            let options = Object.fromEntries(Object.entries(element.options)
+                .map(([key, option]) => [key, { ...option, value: rewrite(option.value) }]));
+            if (element.type === TYPE.plural && targetLang) options = adaptPluralOptions(options, targetLang, element.pluralType);
+            return { ...element, options };
+        }
+        if (element.children) return { ...element, children: rewrite(element.children) };
+        return element;
+    });
+    return printAST(rewrite(ast));
+}
+
+function describeArgumentType(element) {
+    switch (element.type) {
+        case TYPE.argument: return 'argument';
+        case TYPE.number: return 'number';
+        case TYPE.date: return 'date';
+        case TYPE.time: return 'time';
+        case TYPE.select: return 'select';
+        case TYPE.plural: return element.pluralType === 'ordinal' ? 'selectordinal' : 'plural';
+        case TYPE.tag: return 'tag';
+        default: return null;
+    }
+}
+
+/**
+ * Collects the arguments of a message as 'name:type' strings, plus the option keys of its select arguments.
+ */
+function describeArguments(ast) {
+    const argumentsUsed = new Set();
+    const selectKeys = new Map();
+    visitElements(ast, element => {
+        const type = describeArgumentType(element);
+        if (type) argumentsUsed.add(`${element.value}:${type}`);
+        if (element.type === TYPE.select) {
+            if (!selectKeys.has(element.value)) selectKeys.set(element.value, new Set());
+            Object.keys(element.options).forEach(key => selectKeys.get(element.value).add(key));
+        }
+    });
+    return { argumentsUsed: [...argumentsUsed].sort(), selectKeys };
+}
+
+/**
+ * Validates a translated ICU message: it must parse, use the same argument names and types as the
+ * source (and the same select options), and every plural/selectordinal must use exactly the target
+ * locale's CLDR plural categories (besides exact `=N` matches). Logs a warning for each problem.
+ * @param {string} sourceText - Source ICU message.
+ * @param {string} translatedText
+ * @param {string} targetLang - Target language code (for Intl.PluralRules).
+ * @param {string} identifier - A path or index for logging warnings.
+ * @returns {boolean} True if the translation is valid.
+ */
+export function validateIcuMessage(sourceText, translatedText, targetLang, identifier) {
+    const sourceAst = parseIcuMessage(sourceText);
+    if (!sourceAst) return comparePlaceholders(sourceText, translatedText, identifier);
+
+    let translatedAst;
+    try {
+        translatedAst = parse(translatedText);
+    } catch (error) {
+        console.warn(`  ⚠️ Translated ICU message at '${identifier}' does not parse (${error.message}).`);
+        return false;
+    }
+
+    const problems = [];
+    const source = describeArguments(sourceAst);
+    const translated = describeArguments(translatedAst);
+    if (source.argumentsUsed.join() !== translated.argumentsUsed.join()) {
+        problems.push(`arguments differ: source [${source.argumentsUsed.join(', ')}], target [${translated.argumentsUsed.join(', ')}]`);
+    }
+    for (const [name, keys] of source.selectKeys) {
+        const translatedKeys = translated.selectKeys.get(name);
+        if (translatedKeys && [...keys].sort().join() !== [...translatedKeys].sort().join()) {
+            problems.push(`select '${name}' options differ: source [${[...keys].join(', ')}], target [${[...translatedKeys].join(', ')}]`);
+        }
+    }
+    visitElements(translatedAst, element => {
+        if (element.type !== TYPE.plural) return;
+        const expected = getPluralCategories(targetLang, element.pluralType);
+        const used = Object.keys(element.options).filter(key => !key.startsWith('='));
+        const missing = expected.filter(category => !used.includes(category));
+        const unexpected = used.filter(category => !expected.includes(category));
+        if (missing.length > 0 || unexpected.length > 0) {
+            problems.push(`'${element.value}' plural categories for ${targetLang} should be [${expected.join(', ')}]`
+                + `${missing.length > 0 ? `, missing [${missing.join(', ')}]` : ''}${unexpected.length > 0 ? `, unexpected [${unexpected.join(', ')}]` : ''}`);
+        }
+    });
+
+    if (problems.length > 0) {
+        console.warn(`  ⚠️ Invalid ICU message translation at '${identifier}':`);
+        problems.forEach(problem => console.warn(`     ${problem}`));
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validates a translation: ICU messages with validateIcuMessage, other strings with comparePlaceholders.
+ * @param {string} sourceText
+ * @param {string} translatedText
+ * @param {string} targetLang
+ * @param {string} identifier - A path or index for logging warnings.
+ * @returns {boolean}
+ */
+export function validateTranslation(sourceText, translatedText, targetLang, identifier) {
+    return parseIcuMessage(sourceText)
+        ? validateIcuMessage(sourceText, translatedText, targetLang, identifier)
+        : comparePlaceholders(sourceText, translatedText, identifier);
+}
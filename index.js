@@ -8,28 +8,124 @@ import path from 'path';
 import inquirer from 'inquirer';
 
 import { getSourceFiles, processLanguage } from './fileOperations.js';
-// Removed astUpdater imports
+import { updateI18nConfigFile } from './astUpdater.js';
 import { runSync } from './syncOperations.js';
 // Import translator initialization function AND the counter getter
 import { initializeTranslator, getApiCallCount } from './translator.js';
+import { runLanguageTasks, getSchedulerStats, QuotaExceededError } from './scheduler.js';
+import { PROVIDER_NAMES, PROVIDER_LABELS, providerRequiresApiKey } from './providers/index.js';
+import { configurePseudoLocalization } from './pseudoLocalization.js';
+import { normalizeLangCode } from './validators.js';
+import { createChangePlan, printChangePlan, writeChangePlan } from './changePlan.js';
+import { loadSourceLock, saveSourceLock, SOURCE_LOCK_FILE_NAME } from './sourceLock.js';
+import { loadTranslationMemory, saveTranslationMemory, getTranslationMemoryStats, DEFAULT_TRANSLATION_MEMORY_FILE } from './translationMemory.js';
+import { loadGlossary } from './glossary.js';
+import { runExportPo, runImportPo, DEFAULT_PO_DIR } from './poOperations.js';
+import { runExportXliff, runImportXliff, DEFAULT_XLIFF_DIR, DEFAULT_XLIFF_VERSION } from './xliffOperations.js';
+import { XLIFF_VERSIONS } from './xliff.js';
+import { runExportCsv, runImportCsv, DEFAULT_CSV_FILE } from './csvOperations.js';
+import { runCheck } from './checkOperations.js';
+import { runStatus } from './statusOperations.js';
+import { runUsage } from './usageOperations.js';
+import { runExtract } from './extractOperations.js';
+import { runTranslateMissing } from './translateMissingOperations.js';
+import { runKeyCommand } from './keyOperations.js';
+import { DEFAULT_SCAN_OPTIONS } from './codeScanner.js';
+import { CHECK_REPORT_FORMATS } from './checkReport.js';
+import { configurePathTemplate, getPathTemplate, getLanguageRoot, DEFAULT_PATH_TEMPLATE } from './localePaths.js';
 
 
 const CONFIG_FILE_NAME = '.i18n-generatorrc.json';
 
+// Supported commands; only commands that write translated content need the translation setup
+const COMMANDS = {
+    generate: { label: 'Generation', usesTranslation: true },
+    sync: { label: 'Synchronization', usesTranslation: true },
+    'translate-missing': { label: 'Missing Translation Fill', usesTranslation: true },
+    'export-po': { label: 'Gettext PO Export', usesTranslation: false },
+    'import-po': { label: 'Gettext PO Import', usesTranslation: false },
+    'export-xliff': { label: 'XLIFF Export', usesTranslation: false },
+    'import-xliff': { label: 'XLIFF Import', usesTranslation: false },
+    'export-csv': { label: 'CSV Export', usesTranslation: false },
+    'import-csv': { label: 'CSV Import', usesTranslation: false },
+    check: { label: 'Locale Check', usesTranslation: false },
+    status: { label: 'Translation Status', usesTranslation: false },
+    usage: { label: 'Key Usage Scan', usesTranslation: false },
+    extract: { label: 'Key Extraction', usesTranslation: false }, // With --sync it also needs the translation setup
+    key: { label: 'Key Refactoring', usesTranslation: false },
+};
+
+// Options that take a value (see getOptionValue); the value is not a positional argument
+const VALUE_OPTIONS = ['--plan-out', '--dir', '--file', '--xliff-version', '--format', '--fail-on', '--output',
+    '--json', '--html', '--src', '--lang', '--ns', '--keys'];
+
+/**
+ * Finds the command named on the command line.
+ * @param {string[]} args - Command-line arguments.
+ * @returns {string} The command name, 'generate' if none is given.
+ */
+function getCommandName(args) {
+    return args.find(arg => Object.prototype.hasOwnProperty.call(COMMANDS, arg)) || 'generate';
+}
+
+/**
+ * Reads the value of a command-line option given as `--name value` or `--name=value`.
+ * @param {string[]} args - Command-line arguments.
+ * @param {string} name - Option name including dashes (e.g., '--plan-out').
+ * @returns {string | undefined} The option value, or undefined if not present.
+ */
+function getOptionValue(args, name) {
+    const inline = args.find(arg => arg.startsWith(`${name}=`));
+    if (inline) return inline.slice(name.length + 1);
+    const index = args.indexOf(name);
+    if (index !== -1 && index + 1 < args.length && !args[index + 1].startsWith('--')) return args[index + 1];
+    return undefined;
+}
+
+/**
+ * Collects the positional arguments after a command name, skipping options and the values of VALUE_OPTIONS.
+ * @param {string[]} args - Command-line arguments.
+ * @param {string} command - Command name.
+ * @returns {string[]}
+ */
+function getPositionalArgs(args, command) {
+    const positionals = [];
+    const rest = args.slice(args.indexOf(command) + 1);
+    for (let index = 0; index < rest.length; index++) {
+        const arg = rest[index];
+        if (!arg.startsWith('--')) positionals.push(arg);
+        else if (VALUE_OPTIONS.includes(arg) && index + 1 < rest.length && !rest[index + 1].startsWith('--')) index++; // Skip its value
+    }
+    return positionals;
+}
+
+/**
+ * Reads a comma-separated list option (e.g., `--lang de,fr`).
+ * @param {string[]} args - Command-line arguments.
+ * @param {string} name - Option name including dashes.
+ * @returns {string[]} The listed values; empty if the option is not present.
+ */
+function getListOption(args, name) {
+    const value = getOptionValue(args, name);
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
 /**
  * Attempts to load configuration from the config file in the current directory.
+ * @param {object} [options]
+ * @param {(...args: any[]) => void} [options.log=console.log] - Progress output.
  * @returns {Promise<object | null>} Configuration object or null if not found/error.
  */
-async function loadConfig() {
+async function loadConfig({ log = console.log } = {}) {
     const configPath = path.join(process.cwd(), CONFIG_FILE_NAME);
     try {
         const configFileContent = await fs.readFile(configPath, 'utf-8');
         const config = JSON.parse(configFileContent);
-        console.log(`✅ Loaded configuration from ${CONFIG_FILE_NAME}`);
+        log(`✅ Loaded configuration from ${CONFIG_FILE_NAME}`);
         return config;
     } catch (error) {
         if (error.code === 'ENOENT') {
-            console.log(`ℹ️ No ${CONFIG_FILE_NAME} found in current directory. Will use prompts.`);
+            log(`ℹ️ No ${CONFIG_FILE_NAME} found in current directory. Will use prompts.`);
         } else if (error instanceof SyntaxError) {
             console.warn(`⚠️ Error parsing ${CONFIG_FILE_NAME}: ${error.message}. Please check its JSON syntax. Falling back to prompts.`);
         } else {
@@ -42,16 +138,19 @@ async function loadConfig() {
 /**
  * Gets configuration, prioritizing config file, then prompts with defaults.
  * @param {object | null} loadedConfig - Config object loaded from file, or null.
+ * @param {object} [options]
+ * @param {boolean} [options.usesTranslation=true] - If false, translation settings are neither read nor prompted for.
+ * @param {(...args: any[]) => void} [options.log=console.log] - Progress output.
  * @returns {Promise<object>} Final configuration object.
  */
-async function getConfiguration(loadedConfig) {
+async function getConfiguration(loadedConfig, { usesTranslation = true, log = console.log } = {}) {
     const config = loadedConfig || {}; // Use empty object if no config loaded
     const finalConfig = {};
 
     // --- Base Directory ---
     if (config.baseDir && typeof config.baseDir === 'string') {
         finalConfig.baseDir = config.baseDir;
-        console.log(`   Using baseDir from config: ${finalConfig.baseDir}`);
+        log(`   Using baseDir from config: ${finalConfig.baseDir}`);
     } else {
         const { baseDir } = await inquirer.prompt([{
             type: 'input', name: 'baseDir', message: 'Enter the base directory containing language folders:', default: './translations'
@@ -59,6 +158,20 @@ async function getConfiguration(loadedConfig) {
         finalConfig.baseDir = baseDir;
     }
 
+    // --- Path Template ---
+    if (typeof config.pathTemplate === 'string' && config.pathTemplate.trim()) {
+        finalConfig.pathTemplate = config.pathTemplate.trim();
+        log(`   Using pathTemplate from config: ${finalConfig.pathTemplate}`);
+    } else {
+        finalConfig.pathTemplate = DEFAULT_PATH_TEMPLATE;
+    }
+
+    // --- i18n Setup File (resources registration) ---
+    if (typeof config.i18nConfigFile === 'string' && config.i18nConfigFile.trim()) {
+        finalConfig.i18nConfigFile = config.i18nConfigFile.trim();
+        log(`   Using i18nConfigFile from config: ${finalConfig.i18nConfigFile}`);
+    }
+
     // --- Source Language ---
     if (config.sourceLang && typeof config.sourceLang === 'string') {
         // TODO: Add validation here too? Or assume config is valid? Let's validate.
@@ -66,7 +179,7 @@ async function getConfiguration(loadedConfig) {
         const validationResult = validator(config.sourceLang);
         if (validationResult === true) {
             finalConfig.sourceLang = config.sourceLang.toLowerCase();
-            console.log(`   Using sourceLang from config: ${finalConfig.sourceLang}`);
+            log(`   Using sourceLang from config: ${finalConfig.sourceLang}`);
         } else {
             console.warn(`   Invalid sourceLang '${config.sourceLang}' in config file: ${validationResult}. Prompting...`);
         }
@@ -84,49 +197,145 @@ async function getConfiguration(loadedConfig) {
     // --- Target Languages ---
     if (Array.isArray(config.targetLangs) && config.targetLangs.length > 0) {
         // TODO: Add validation for each lang in the array?
-        finalConfig.targetLangsString = config.targetLangs.map(l => l.toLowerCase()); // Assuming config array is valid
-        console.log(`   Using targetLangs from config: ${finalConfig.targetLangsString.join(', ')}`);
+        finalConfig.targetLangsString = config.targetLangs.map(normalizeLangCode); // Assuming config array is valid
+        log(`   Using targetLangs from config: ${finalConfig.targetLangsString.join(', ')}`);
     } else {
         const { targetLangsString } = await inquirer.prompt([{
             type: 'input', name: 'targetLangsString', message: 'Enter target language codes (ISO 639-1), comma-separated:',
-            validate: (await import('./validators.js')).validateTargetLangs, filter: input => input.split(',').map(lang => lang.trim().toLowerCase()).filter(Boolean)
+            validate: (await import('./validators.js')).validateTargetLangs, filter: input => input.split(',').map(lang => lang.trim()).filter(Boolean).map(normalizeLangCode)
         }]);
         finalConfig.targetLangsString = targetLangsString; // Already an array from filter
     }
 
+    // --- Check Settings ---
+    if (config.check && typeof config.check === 'object') {
+        finalConfig.check = config.check;
+        log(`   Using check settings from config: ${JSON.stringify(finalConfig.check)}`);
+    } else {
+        finalConfig.check = {};
+    }
+
+    // --- Usage Scan Settings ---
+    finalConfig.usage = { ...DEFAULT_SCAN_OPTIONS };
+    if (config.usage && typeof config.usage === 'object') {
+        for (const name of ['srcDirs', 'functions', 'hooks', 'components']) {
+            if (config.usage[name] === undefined) continue;
+            if (Array.isArray(config.usage[name]) && config.usage[name].every(item => typeof item === 'string')) finalConfig.usage[name] = config.usage[name];
+            else console.warn(`   Invalid usage.${name} in config file (expected an array of strings). Using ${JSON.stringify(DEFAULT_SCAN_OPTIONS[name])}.`);
+        }
+        if (typeof config.usage.namespaceSeparator === 'string' || config.usage.namespaceSeparator === false) {
+            finalConfig.usage.namespaceSeparator = config.usage.namespaceSeparator;
+        }
+        if (typeof config.usage.defaultNamespace === 'string') finalConfig.usage.defaultNamespace = config.usage.defaultNamespace;
+        log(`   Using usage scan settings from config: ${JSON.stringify(config.usage)}`);
+    }
+
     // --- Translation Settings ---
-    finalConfig.translation = { enable: false }; // Default disabled
+    finalConfig.translation = { enable: false, provider: 'gemini' }; // Default disabled
+    if (!usesTranslation) {
+        finalConfig.apiKey = null;
+        return finalConfig;
+    }
     if (config.translation && typeof config.translation === 'object') {
         if (typeof config.translation.enable === 'boolean') {
             finalConfig.translation.enable = config.translation.enable;
-            console.log(`   Using enableTranslation from config: ${finalConfig.translation.enable}`);
+            log(`   Using enableTranslation from config: ${finalConfig.translation.enable}`);
+        }
+        if (typeof config.translation.provider === 'string') {
+            const provider = config.translation.provider.toLowerCase();
+            if (PROVIDER_NAMES.includes(provider) || provider === 'pseudo') {
+                finalConfig.translation.provider = provider;
+                log(`   Using translation provider from config: ${provider}`);
+            } else {
+                console.warn(`   Invalid translation provider '${config.translation.provider}' in config file. Supported: ${PROVIDER_NAMES.join(', ')}. Using 'gemini'.`);
+            }
+        }
+        if (config.translation.pseudo && typeof config.translation.pseudo === 'object') {
+            finalConfig.translation.pseudo = { ...config.translation.pseudo };
+            const { expansion } = finalConfig.translation.pseudo;
+            const isRatio = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+            const isExpansionRule = rule => rule && typeof rule === 'object' && isRatio(rule.ratio)
+                && (rule.maxLength === undefined || (isRatio(rule.maxLength) && rule.maxLength > 0));
+            if (expansion !== undefined && !isRatio(expansion) && !(Array.isArray(expansion) && expansion.length > 0 && expansion.every(isExpansionRule))) {
+                console.warn(`   Invalid translation.pseudo.expansion in config file (expected a ratio of at least 0 or a list of { maxLength, ratio } rules). Using the default.`);
+                delete finalConfig.translation.pseudo.expansion;
+            }
+            log(`   Using pseudo-localization settings from config: ${JSON.stringify(finalConfig.translation.pseudo)}`);
+        }
+        if (typeof config.translation.baseUrl === 'string') {
+            finalConfig.translation.baseUrl = config.translation.baseUrl;
+            log(`   Using baseUrl from config: ${finalConfig.translation.baseUrl}`);
         }
         if (typeof config.translation.apiKeyEnvVar === 'string') {
             finalConfig.translation.apiKeyEnvVar = config.translation.apiKeyEnvVar;
-            console.log(`   Using apiKeyEnvVar from config: ${finalConfig.translation.apiKeyEnvVar}`);
+            log(`   Using apiKeyEnvVar from config: ${finalConfig.translation.apiKeyEnvVar}`);
         }
         if (typeof config.translation.modelName === 'string') {
             finalConfig.translation.modelName = config.translation.modelName;
-            console.log(`   Using modelName from config: ${finalConfig.translation.modelName}`);
+            log(`   Using modelName from config: ${finalConfig.translation.modelName}`);
+        }
+        if (typeof config.translation.memory === 'boolean') {
+            finalConfig.translation.memory = config.translation.memory;
+            log(`   Using translation memory setting from config: ${finalConfig.translation.memory}`);
         }
+        if (typeof config.translation.memoryFile === 'string') {
+            finalConfig.translation.memoryFile = config.translation.memoryFile;
+            log(`   Using memoryFile from config: ${finalConfig.translation.memoryFile}`);
+        }
+        if (typeof config.translation.glossary === 'string' || (config.translation.glossary && typeof config.translation.glossary === 'object' && !Array.isArray(config.translation.glossary))) {
+            finalConfig.translation.glossary = config.translation.glossary;
+            log(`   Using glossary from config: ${typeof finalConfig.translation.glossary === 'string' ? finalConfig.translation.glossary : 'inline terms'}`);
+        } else if (config.translation.glossary !== undefined) {
+            console.warn(`   Invalid glossary in config file (expected a file path or an object). Glossary disabled.`);
+        }
+        if (config.translation.rateLimit && typeof config.translation.rateLimit === 'object') {
+            finalConfig.translation.rateLimit = {};
+            for (const [name, minimum] of [['requestsPerMinute', 0], ['maxConcurrent', 1], ['maxRetries', 0], ['timeoutSeconds', 1]]) {
+                const value = config.translation.rateLimit[name];
+                if (value === undefined) continue;
+                if (Number.isInteger(value) && value >= minimum) finalConfig.translation.rateLimit[name] = value;
+                else console.warn(`   Invalid translation.rateLimit.${name} in config file (expected a whole number of at least ${minimum}). Using the provider default.`);
+            }
+            log(`   Using rate limit settings from config: ${JSON.stringify(finalConfig.translation.rateLimit)}`);
+        }
+        if (Number.isInteger(config.translation.maxChunkTokens) && config.translation.maxChunkTokens >= 100) {
+            finalConfig.translation.maxChunkTokens = config.translation.maxChunkTokens;
+            log(`   Using maxChunkTokens from config: ${finalConfig.translation.maxChunkTokens}`);
+        } else if (config.translation.maxChunkTokens !== undefined) {
+            console.warn(`   Invalid maxChunkTokens in config file (expected a whole number of at least 100). Using the default.`);
+        }
+    }
+
+    // Pseudo-localization needs no API and no prompts
+    if (finalConfig.translation.provider === 'pseudo') {
+        finalConfig.translation.enable = config.translation?.enable !== false;
+        finalConfig.apiKey = null;
+        return finalConfig;
     }
 
+    const providerLabel = PROVIDER_LABELS[finalConfig.translation.provider];
+
     // Prompt for enabling translation ONLY if not specified in config
     if (config.translation?.enable === undefined) { // Check if 'enable' was explicitly missing
         const { enableTranslationPrompt } = await inquirer.prompt([{
-            type: 'confirm', name: 'enableTranslationPrompt', message: `Do you want to translate content using Google AI?`, default: false,
+            type: 'confirm', name: 'enableTranslationPrompt', message: `Do you want to translate content using ${providerLabel}?`, default: false,
         }]);
         finalConfig.translation.enable = enableTranslationPrompt;
     }
 
     // API Key Handling (Prompt only if enabled and not found via env var from config)
     finalConfig.apiKey = null; // Start with no key
-    if (finalConfig.translation.enable) {
+    if (finalConfig.translation.enable && !providerRequiresApiKey(finalConfig.translation.provider)) {
+        // Local servers usually need no key; use one only if an env var is configured and set
+        if (finalConfig.translation.apiKeyEnvVar && process.env[finalConfig.translation.apiKeyEnvVar]) {
+            finalConfig.apiKey = process.env[finalConfig.translation.apiKeyEnvVar];
+        }
+    } else if (finalConfig.translation.enable) {
         let keyFound = false;
         if (finalConfig.translation.apiKeyEnvVar) {
             const keyFromEnv = process.env[finalConfig.translation.apiKeyEnvVar];
             if (keyFromEnv) {
-                console.log(`   Using API Key from environment variable: ${finalConfig.translation.apiKeyEnvVar}`);
+                log(`   Using API Key from environment variable: ${finalConfig.translation.apiKeyEnvVar}`);
                 finalConfig.apiKey = keyFromEnv;
                 keyFound = true;
             } else {
@@ -136,11 +345,11 @@ async function getConfiguration(loadedConfig) {
 
         if (!keyFound) {
             // Prompt for key if translation enabled but not found via config's env var
-            const { googleApiKey } = await inquirer.prompt([{
-                type: 'password', name: 'googleApiKey', message: 'Enter your Google AI API Key:', mask: '*',
+            const { providerApiKey } = await inquirer.prompt([{
+                type: 'password', name: 'providerApiKey', message: `Enter your ${providerLabel} API Key:`, mask: '*',
                 validate: input => input && input.trim().length > 0 || 'API Key cannot be empty.',
             }]);
-            finalConfig.apiKey = googleApiKey.trim();
+            finalConfig.apiKey = providerApiKey.trim();
         }
     }
 
@@ -153,61 +362,232 @@ async function getConfiguration(loadedConfig) {
  * Executes the 'generate' command logic.
  * @param {object} config
  * @param {boolean} enableTranslation
+ * @param {object} [options]
+ * @param {object} [options.plan] - Change plan; when given, nothing is written (dry run).
  */
-async function runGenerate(config, enableTranslation) {
+async function runGenerate(config, enableTranslation, { plan = null } = {}) {
     const { baseDir, sourceLang, targetLangsString: targetLangs } = config; // Extract from final config
     const absoluteBaseDir = path.resolve(process.cwd(), baseDir);
-    const sourceDir = path.join(absoluteBaseDir, sourceLang);
+    const sourceDir = getLanguageRoot(absoluteBaseDir, sourceLang);
     const mode = enableTranslation ? 'Translation (Whole JSON Mode)' : 'Generation';
-    console.log(`\nRunning Structure ${mode}`);
-    console.log(`Source directory: ${sourceDir} (using language code: ${sourceLang})`);
+    console.log(`\nRunning Structure ${mode}${plan ? ' (dry run)' : ''}`);
+    console.log(`Source directory: ${sourceDir} (using language code: ${sourceLang}, path template: ${getPathTemplate()})`);
     console.log(`Target languages: ${targetLangs.join(', ')}`);
-    console.log(`Automatic i18n config file update: Feature Removed.`);
+    console.log(`Automatic i18n config file update: ${config.i18nConfigFile || 'off (set "i18nConfigFile" to enable)'}`);
 
     if (targetLangs.includes(sourceLang)) { console.warn(`\n⚠️ Warning: Source language '${sourceLang}' is also listed as a target language.`); console.warn(`   Files in '${sourceDir}' may be overwritten during structure generation.`); }
 
     let sourceFiles; let sourceFilesFound = false;
     try {
-        sourceFiles = await getSourceFiles(sourceDir);
+        sourceFiles = await getSourceFiles(absoluteBaseDir, sourceLang);
         if (sourceFiles && sourceFiles.length > 0) { sourceFilesFound = true; }
-        else { console.log("\nNo source JSON files found to process."); sourceFiles = []; }
+        else { console.log("\nNo source locale files found to process."); sourceFiles = []; }
     } catch (error) {
         if (error.message.includes("Source directory not found")) { console.error(`\n❌ Error: ${error.message}`); process.exit(1); }
         else { console.error(`\n❌ Initialization failed: ${error.message}`); throw error; }
     }
 
-    let filesProcessedTotal = 0; const languagesFullyProcessed = [];
+    let filesProcessedTotal = 0; const languagesFullyProcessed = []; const languagesFailed = []; let quotaError = null;
     console.log("Ensuring target directories exist...");
     let dirCreationSuccess = true;
     for (const targetLang of targetLangs) {
-        const targetDir = path.join(absoluteBaseDir, targetLang);
+        if (plan) break; // Dry run: directories are not created
+        const targetDir = getLanguageRoot(absoluteBaseDir, targetLang);
         try { await fs.mkdir(targetDir, { recursive: true }); }
         catch (error) { console.error(`❌ Error creating directory ${targetDir}: ${error.message}`); dirCreationSuccess = false; }
     }
 
     if (dirCreationSuccess && sourceFilesFound) {
         console.log("Processing target language files...");
-        for (const targetLang of targetLangs) {
-            const targetDir = path.join(absoluteBaseDir, targetLang);
+        const sourceLock = plan ? null : await loadSourceLock(absoluteBaseDir);
+        quotaError = await runLanguageTasks(targetLangs, async targetLang => {
             try {
-                const success = await processLanguage(targetLang, targetDir, sourceDir, sourceFiles, enableTranslation, sourceLang);
+                const success = await processLanguage(targetLang, absoluteBaseDir, sourceFiles, enableTranslation, sourceLang, { plan, sourceLock });
                 if (success) { languagesFullyProcessed.push(targetLang); filesProcessedTotal += sourceFiles.length; }
-            } catch (error) { console.error(`\n❌ Unexpected error generating structure for language ${targetLang}: ${error.message}`); }
+                else languagesFailed.push(targetLang);
+            } catch (error) {
+                if (error instanceof QuotaExceededError) throw error;
+                console.error(`\n❌ Unexpected error generating structure for language ${targetLang}: ${error.message}`);
+                languagesFailed.push(targetLang);
+            }
+        }, { concurrent: enableTranslation && !plan });
+        if (quotaError) console.error(`\n🛑 ${quotaError.message}`);
+        if (sourceLock) {
+            try { await saveSourceLock(absoluteBaseDir, sourceLock); }
+            catch (error) { console.error(`❌ Failed to write ${SOURCE_LOCK_FILE_NAME}: ${error.message}`); }
         }
     } else if (!dirCreationSuccess) { console.error("❌ Cannot proceed with file processing due to directory creation errors."); }
 
-    console.log(`\n🎉 File structure ${mode} complete.`);
+    if (plan) {
+        console.log(`\n🎉 File structure ${mode} dry run complete. No files were written.`);
+        return;
+    }
+
+    console.log(quotaError ? `\n⚠️ File structure ${mode} stopped early.` : `\n🎉 File structure ${mode} complete.`);
     if (filesProcessedTotal > 0) { console.log(`  Processed structure for ${filesProcessedTotal} files across ${languagesFullyProcessed.length} successfully processed languages.`); }
     else if (!sourceFilesFound) { console.log(`  Source directory checked. No source files found to process.`); console.log(`  Target directories ensured/checked for ${targetLangs.length} languages.`); }
     else { console.log(`  Target directories ensured/checked for ${targetLangs.length} languages.`); }
+    if (languagesFailed.length > 0) {
+        // Failed files are left unwritten; CI must not mistake the run for a success
+        console.error(`  ❌ Some files could not be ${enableTranslation ? 'translated' : 'generated'} for: ${languagesFailed.join(', ')}. See the errors above.`);
+        process.exitCode = 1;
+    }
 
-    if (languagesFullyProcessed.length > 0 && sourceFilesFound) {
+    if (languagesFullyProcessed.length > 0 && sourceFilesFound && !config.i18nConfigFile) {
         console.log("\n✨ Manual Action Required ✨");
         console.log("   Remember to manually update your main i18n configuration file (e.g., i18n.js/ts)");
         console.log("   to import the newly created/updated files and add them to your resources object.");
     }
 }
 
+/**
+ * Executes the 'translate-missing' command: translates the empty and untranslated values of existing target files.
+ * @param {object} config
+ * @param {string[]} args - Command-line arguments (`--lang`, `--ns` and `--keys` filters).
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only list the values that would be translated.
+ */
+async function runTranslateMissingCommand(config, args, { dryRun = false } = {}) {
+    const absoluteBaseDir = path.resolve(process.cwd(), config.baseDir);
+    const languageFilter = getListOption(args, '--lang').map(normalizeLangCode);
+    languageFilter
+        .filter(lang => !config.targetLangsString.includes(lang))
+        .forEach(lang => console.warn(`⚠️ '${lang}' is not a configured target language. Ignoring it.`));
+    const targetLangs = languageFilter.length > 0
+        ? config.targetLangsString.filter(lang => languageFilter.includes(lang))
+        : config.targetLangsString;
+    try {
+        await runTranslateMissing(absoluteBaseDir, config.sourceLang, targetLangs, {
+            namespaces: getListOption(args, '--ns'),
+            keyPatterns: getListOption(args, '--keys'),
+            dryRun,
+        });
+    } catch (error) {
+        console.error(`\n❌ ${COMMANDS['translate-missing'].label} failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Runs one of the commands that never translate: export/import of PO, XLIFF or CSV files, `check`, `status`,
+ * `usage`, `extract` and `key`.
+ * @param {string} command - Command name (e.g., 'export-po').
+ * @param {string[]} args - Command-line arguments.
+ * @param {object} config - Final configuration.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Imports only report what would change.
+ */
+async function runExchangeCommand(command, args, config, { dryRun = false } = {}) {
+    const absoluteBaseDir = path.resolve(process.cwd(), config.baseDir);
+    const { sourceLang, targetLangsString: targetLangs } = config;
+    const resolveOption = (name, defaultValue) => path.resolve(process.cwd(), getOptionValue(args, name) || defaultValue);
+
+    switch (command) {
+        case 'export-po':
+            await runExportPo(absoluteBaseDir, sourceLang, targetLangs, resolveOption('--dir', DEFAULT_PO_DIR));
+            break;
+        case 'import-po':
+            await runImportPo(absoluteBaseDir, sourceLang, targetLangs, resolveOption('--dir', DEFAULT_PO_DIR), { dryRun });
+            break;
+        case 'export-xliff': {
+            const version = getOptionValue(args, '--xliff-version') || DEFAULT_XLIFF_VERSION;
+            if (!XLIFF_VERSIONS.includes(version)) {
+                console.error(`\n❌ Unsupported XLIFF version '${version}'. Supported: ${XLIFF_VERSIONS.join(', ')}.`);
+                process.exit(1);
+            }
+            await runExportXliff(absoluteBaseDir, sourceLang, targetLangs, resolveOption('--dir', DEFAULT_XLIFF_DIR), { version });
+            break;
+        }
+        case 'import-xliff':
+            await runImportXliff(absoluteBaseDir, sourceLang, targetLangs, resolveOption('--dir', DEFAULT_XLIFF_DIR), { dryRun });
+            break;
+        case 'export-csv':
+            await runExportCsv(absoluteBaseDir, sourceLang, targetLangs, resolveOption('--file', DEFAULT_CSV_FILE));
+            break;
+        case 'import-csv':
+            try {
+                await runImportCsv(absoluteBaseDir, sourceLang, targetLangs, resolveOption('--file', DEFAULT_CSV_FILE), { dryRun });
+            } catch (error) {
+                console.error(`\n❌ CSV import failed: ${error.message}`);
+                process.exitCode = 1;
+            }
+            break;
+        case 'check': {
+            const format = getOptionValue(args, '--format') || config.check.format || 'text';
+            const failOn = getOptionValue(args, '--fail-on') || config.check.failOn || 'error';
+            const output = getOptionValue(args, '--output') || config.check.output;
+            if (!CHECK_REPORT_FORMATS.includes(format)) {
+                console.error(`\n❌ Unsupported check report format '${format}'. Supported: ${CHECK_REPORT_FORMATS.join(', ')}.`);
+                process.exit(1);
+            }
+            if (!['error', 'warning'].includes(failOn)) {
+                console.error(`\n❌ Invalid --fail-on value '${failOn}'. Use 'error' or 'warning'.`);
+                process.exit(1);
+            }
+            const { passed } = await runCheck(absoluteBaseDir, sourceLang, targetLangs, {
+                rules: config.check.rules,
+                failOn,
+                format,
+                outputFile: output ? path.resolve(process.cwd(), output) : null,
+            });
+            if (!passed) process.exitCode = 1;
+            break;
+        }
+        case 'status': {
+            const jsonFile = getOptionValue(args, '--json');
+            const htmlFile = getOptionValue(args, '--html');
+            await runStatus(absoluteBaseDir, sourceLang, targetLangs, {
+                jsonFile: jsonFile ? path.resolve(process.cwd(), jsonFile) : null,
+                htmlFile: htmlFile ? path.resolve(process.cwd(), htmlFile) : null,
+            });
+            break;
+        }
+        case 'usage':
+        case 'extract': {
+            const srcOption = getOptionValue(args, '--src');
+            const srcDirs = (srcOption ? srcOption.split(',').map(dir => dir.trim()).filter(Boolean) : config.usage.srcDirs)
+                .map(dir => path.resolve(process.cwd(), dir));
+            const jsonFile = getOptionValue(args, '--json');
+            try {
+                if (command === 'usage') {
+                    await runUsage(absoluteBaseDir, sourceLang, {
+                        srcDirs,
+                        scanOptions: config.usage,
+                        jsonFile: jsonFile ? path.resolve(process.cwd(), jsonFile) : null,
+                    });
+                } else {
+                    await runExtract(absoluteBaseDir, sourceLang, { srcDirs, scanOptions: config.usage, dryRun });
+                }
+            } catch (error) {
+                console.error(`\n❌ ${COMMANDS[command].label} failed: ${error.message}`);
+                process.exitCode = 1;
+            }
+            break;
+        }
+        case 'key': {
+            // `key <action> <from> [<to>]`: positional arguments follow the command name
+            const [action, from, to] = getPositionalArgs(args, 'key');
+            try {
+                const { filesCreated } = await runKeyCommand(absoluteBaseDir, sourceLang, targetLangs, {
+                    action,
+                    from,
+                    to,
+                    defaultNamespace: config.usage.defaultNamespace,
+                    dryRun,
+                    yes: args.includes('--yes'),
+                });
+                if (filesCreated > 0 && config.i18nConfigFile) {
+                    await updateI18nConfigFile(path.resolve(process.cwd(), config.i18nConfigFile), absoluteBaseDir, [sourceLang, ...targetLangs]);
+                }
+            } catch (error) {
+                console.error(`\n❌ ${COMMANDS[command].label} failed: ${error.message}`);
+                process.exitCode = 1;
+            }
+            break;
+        }
+    }
+}
+
 /**
  * Main execution function
  */
@@ -215,22 +595,60 @@ async function main() {
     console.time('Total Execution Time'); // Start timer
 
     const args = process.argv.slice(2);
-    const isSyncCommand = args.includes('sync');
-    const commandName = isSyncCommand ? 'Synchronization' : 'Generation';
+    const command = getCommandName(args);
+    const { label: commandName } = COMMANDS[command];
+    const syncAfterExtract = command === 'extract' && args.includes('--sync');
+    const usesTranslation = COMMANDS[command].usesTranslation || syncAfterExtract;
+    const planOutPath = getOptionValue(args, '--plan-out');
+    const isDryRun = args.includes('--dry-run') || planOutPath !== undefined; // Saving a plan implies a dry run
+    // `check` writes its report to stdout (see runCheck): progress goes to stderr so JSON/JUnit reports can be piped
+    const log = command === 'check' ? console.error : console.log;
 
-    console.log(`🚀 Starting i18n Structure ${commandName}...`);
+    log(`🚀 Starting i18n Structure ${commandName}${isDryRun ? ' (dry run)' : ''}...`);
 
     // 1. Load configuration from file first
-    const loadedConfig = await loadConfig();
+    const loadedConfig = await loadConfig({ log });
 
     // 2. Get final configuration, using loadedConfig and prompting for missing values
-    const config = await getConfiguration(loadedConfig);
+    const config = await getConfiguration(loadedConfig, { usesTranslation, log });
+    try {
+        configurePathTemplate(config.pathTemplate);
+    } catch (error) {
+        console.error(`\n❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    // Exchange commands (gettext/XLIFF/CSV export and import), check, status and usage never translate: run them and stop here
+    if (!usesTranslation) {
+        await runExchangeCommand(command, args, config, { dryRun: isDryRun });
+        log("\n✅ Script finished.");
+        if (command !== 'check') console.timeEnd('Total Execution Time'); // Printed to stdout
+        return;
+    }
 
     // 3. Initialize Translator if enabled and API key is available
     let translationInitialized = false;
-    if (config.translation?.enable && config.apiKey) {
+    const pseudoSettings = config.translation.pseudo || {};
+    configurePseudoLocalization({
+        allTargets: config.translation.provider === 'pseudo' && config.translation.enable,
+        mirror: pseudoSettings.mirror === true,
+        ...(pseudoSettings.expansion !== undefined ? { expansion: pseudoSettings.expansion } : {}),
+    });
+    const providerCanStart = config.apiKey || !providerRequiresApiKey(config.translation.provider);
+    if (config.translation.provider === 'pseudo') {
+        console.log(config.translation.enable
+            ? "🧪 Pseudo-localization enabled for all target languages (no API calls)."
+            : "ℹ️ Translation disabled.");
+    } else if (config.translation?.enable && providerCanStart) {
         try {
-            initializeTranslator(config.apiKey, config.translation.modelName); // Pass model name from config if available
+            initializeTranslator({
+                provider: config.translation.provider,
+                apiKey: config.apiKey,
+                modelName: config.translation.modelName, // Each provider falls back to its own default model
+                baseUrl: config.translation.baseUrl,
+                rateLimit: config.translation.rateLimit,
+                maxChunkTokens: config.translation.maxChunkTokens,
+            });
             translationInitialized = true;
             console.log("✅ Translator initialized successfully.");
         } catch (initError) {
@@ -238,43 +656,121 @@ async function main() {
             console.warn("   Translation will be disabled due to initialization error.");
             translationInitialized = false;
         }
-    } else if (config.translation?.enable && !config.apiKey) {
+    } else if (config.translation?.enable) {
         console.warn("   Translation enabled but API Key was not found or provided. Translation disabled.");
         translationInitialized = false;
     } else {
         console.log("ℹ️ Translation disabled.");
     }
 
-    // 4. Execute Command
-    if (isSyncCommand) {
+    // 3b. Load the translation memory (skipped for dry runs, which never translate)
+    if (translationInitialized && !isDryRun && config.translation.memory !== false) {
+        const memoryFile = path.resolve(process.cwd(), config.translation.memoryFile || DEFAULT_TRANSLATION_MEMORY_FILE);
+        const entryCount = await loadTranslationMemory(memoryFile);
+        console.log(`💾 Translation memory loaded from ${memoryFile} (${entryCount} entries).`);
+    }
+
+    // 3c. Load the glossary (a broken glossary stops the run rather than translating without it)
+    if (translationInitialized && config.translation.glossary) {
+        try {
+            const glossarySize = await loadGlossary(config.translation.glossary, process.cwd());
+            console.log(`📖 Glossary loaded (${glossarySize} entries).`);
+        } catch (error) {
+            console.error(`\n❌ Could not load the glossary: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    // 4. Execute Command (`extract --sync` adds the keys from code first, then syncs the targets)
+    if (syncAfterExtract) {
+        await runExchangeCommand(command, args, config, { dryRun: isDryRun });
+        if (isDryRun) console.log("\nℹ️ Dry run: the sync plan below does not include the keys that would be extracted.");
+    }
+    const plan = isDryRun && command !== 'translate-missing' ? createChangePlan(syncAfterExtract ? 'sync' : command, config.sourceLang, translationInitialized) : null;
+    if (command === 'translate-missing') {
+        if (translationInitialized) {
+            await runTranslateMissingCommand(config, args, { dryRun: isDryRun });
+        } else {
+            console.error("\n❌ 'translate-missing' needs AI translation: set translation.enable in the config and provide an API key.");
+            process.exitCode = 1;
+        }
+    } else if (command === 'sync' || syncAfterExtract) {
         const absoluteBaseDir = path.resolve(process.cwd(), config.baseDir);
         // Pass only necessary info to runSync
         await runSync(
             absoluteBaseDir,
             config.sourceLang,
             config.targetLangsString, // The array of languages
-            translationInitialized
-            // No need for config file update params anymore
+            translationInitialized,
+            { plan }
         );
     } else {
         // Pass necessary info to runGenerate
         await runGenerate(
             config, // Pass the whole config object containing paths/langs
-            translationInitialized
-            // No need for config file update params anymore
+            translationInitialized,
+            { plan }
         );
     }
 
+    if (getSchedulerStats().quotaExceeded) {
+        console.error("\n🛑 Translation stopped early: the API quota is used up. Files finished before that were saved;");
+        console.error("   run 'sync' once the quota resets to translate the remaining files.");
+        process.exitCode = 1;
+    }
+
+    // 4b. Register added and deleted locale files in the i18n setup file (`translate-missing` adds none)
+    if (config.i18nConfigFile && command !== 'translate-missing') {
+        try {
+            await updateI18nConfigFile(
+                path.resolve(process.cwd(), config.i18nConfigFile),
+                path.resolve(process.cwd(), config.baseDir),
+                [config.sourceLang, ...config.targetLangsString],
+                { dryRun: isDryRun, plan }
+            );
+        } catch (error) {
+            console.error(`\n❌ Failed to update ${config.i18nConfigFile}: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+
+    // 5. Report dry-run plan
+    if (plan) {
+        printChangePlan(plan);
+        if (planOutPath) {
+            try {
+                const writtenPath = await writeChangePlan(plan, planOutPath);
+                console.log(`\n💾 Saved dry-run plan to ${writtenPath}`);
+            } catch (error) {
+                console.error(`\n❌ Failed to save dry-run plan to ${planOutPath}: ${error.message}`);
+            }
+        }
+    }
+
+    try {
+        if (await saveTranslationMemory()) console.log("💾 Translation memory updated.");
+    } catch (error) {
+        console.error(`❌ Failed to write translation memory: ${error.message}`);
+    }
+
     console.log("\n✅ Script finished.");
 
     // --- Log Summary ---
     console.log("--- Execution Summary ---");
     console.timeEnd('Total Execution Time'); // Log total time
-    if (config.translation?.enable) { // Base decision on initial intent
+    if (config.translation.provider === 'pseudo' && config.translation.enable) {
+        console.log("   Translation API Calls Made: 0 (Pseudo-localization)");
+    } else if (config.translation?.enable) { // Base decision on initial intent
         const apiCalls = getApiCallCount();
-        console.log(`   Google AI API Calls Made: ${apiCalls} (Translation was ${translationInitialized ? 'enabled' : 'disabled due to error'})`);
+        console.log(`   Translation API Calls Made (${config.translation.provider}): ${apiCalls} (Translation was ${translationInitialized ? 'enabled' : 'disabled due to error'})`);
+        const { retries } = getSchedulerStats();
+        if (retries > 0) console.log(`   Retried API Requests (rate limits, server errors): ${retries}`);
+        const memoryStats = getTranslationMemoryStats();
+        if (memoryStats.enabled) {
+            console.log(`   Translation Memory: ${memoryStats.hits}/${memoryStats.lookups} strings served from cache (${(memoryStats.hitRate * 100).toFixed(1)}% hit rate), ${memoryStats.stored} new entries stored`);
+        }
     } else {
-        console.log("   Google AI API Calls Made: 0 (Translation was disabled)");
+        console.log("   Translation API Calls Made: 0 (Translation was disabled)");
     }
     console.log("-------------------------");
 }
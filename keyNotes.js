@@ -0,0 +1,132 @@
+// keyNotes.js
+// Translator notes for source keys, read from a metadata file next to each source locale file
+// ('en/common.json' → 'en/common.meta.json'). The file maps keys in code notation to their notes:
+// { "actions.close": { "description": "Closes the dialog", "maxLength": 12, "screen": "Checkout", "tone": "neutral" } }
+import fs from 'fs/promises';
+import path from 'path';
+import { walkLeaves, toCodeKey } from './utils.js';
+import { getKeyNotesFilePath } from './localePaths.js';
+import { parsePluralKey } from './pluralKeys.js';
+
+const TEXT_FIELDS = ['description', 'screen', 'tone'];
+
+/**
+ * Validates the notes of one key; invalid fields are dropped with a warning.
+ * @returns {object | null} The note, or null if nothing usable is left.
+ */
+function normalizeNote(key, value, fileLabel) {
+    if (typeof value === 'string') return value.trim() ? { description: value.trim() } : null; // Shorthand: just a description
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        console.warn(`  ⚠️ Ignoring translator notes for '${key}' in ${fileLabel}: expected an object or a string.`);
+        return null;
+    }
+    const note = {};
+    for (const field of TEXT_FIELDS) {
+        if (value[field] === undefined) continue;
+        if (typeof value[field] === 'string' && value[field].trim()) note[field] = value[field].trim();
+        else console.warn(`  ⚠️ Ignoring '${field}' of '${key}' in ${fileLabel}: expected a non-empty string.`);
+    }
+    if (value.maxLength !== undefined) {
+        if (Number.isInteger(value.maxLength) && value.maxLength > 0) note.maxLength = value.maxLength;
+        else console.warn(`  ⚠️ Ignoring 'maxLength' of '${key}' in ${fileLabel}: expected a whole number above 0.`);
+    }
+    return Object.keys(note).length > 0 ? note : null;
+}
+
+/**
+ * Loads the translator notes of a source locale file. A missing notes file means no notes; an unreadable
+ * one is reported and ignored, so translation never fails because of it.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @param {string} filename - Language-independent file name (e.g., 'common.json').
+ * @returns {Promise<Map<string, object>>} Key in code notation (e.g., 'actions.close') → note.
+ */
+export async function loadKeyNotes(baseDir, sourceLang, filename) {
+    const filePath = getKeyNotesFilePath(baseDir, sourceLang, filename);
+    const fileLabel = path.relative(process.cwd(), filePath);
+    const notes = new Map();
+    let content;
+    try {
+        content = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`  ⚠️ Could not read translator notes ${fileLabel}: ${error.message}`);
+        return notes;
+    }
+    if (typeof content !== 'object' || content === null || Array.isArray(content)) {
+        console.warn(`  ⚠️ Ignoring translator notes ${fileLabel}: expected an object mapping keys to notes.`);
+        return notes;
+    }
+    for (const [key, value] of Object.entries(content)) {
+        const note = normalizeNote(key, value, fileLabel);
+        if (note) notes.set(key, note);
+    }
+    return notes;
+}
+
+/**
+ * Finds the note of a key. Plural forms without notes of their own use the notes of their base key
+ * ('cart.item_few' → 'cart.item').
+ * @param {Map<string, object> | null} notes - Notes loaded by loadKeyNotes.
+ * @param {string} keyPath - Key path as used by syncStructure (e.g., 'root.actions.close').
+ * @returns {object | undefined} The note with its `key`, or undefined.
+ */
+export function getKeyNote(notes, keyPath) {
+    if (!notes || notes.size === 0) return undefined;
+    const key = toCodeKey(keyPath);
+    const note = notes.get(key) ?? notes.get(parsePluralKey(key)?.base);
+    return note ? { key, ...note } : undefined;
+}
+
+/**
+ * Lists the notes of the translatable (non-empty) strings of a structure, in the order translator.js
+ * collects the strings, for the `notes` option of the translation functions.
+ * @param {Map<string, object> | null} notes
+ * @param {any} node - Source structure or fragment.
+ * @param {string} [basePath='root'] - Key path of `node` in its file.
+ * @returns {Array<object | undefined>}
+ */
+export function collectKeyNotes(notes, node, basePath = 'root') {
+    const collected = [];
+    walkLeaves(node, (value, keyPath) => {
+        if (typeof value === 'string' && value.trim()) collected.push(getKeyNote(notes, keyPath));
+    }, basePath);
+    return collected;
+}
+
+/**
+ * Describes a note in one line for prompts (the key itself is not part of it).
+ * @param {object} note
+ * @returns {string} e.g. 'Closes the dialog; screen: Checkout; tone: neutral; at most 12 characters'.
+ */
+export function formatKeyNote(note) {
+    return [
+        note.description,
+        note.screen && `screen: ${note.screen}`,
+        note.tone && `tone: ${note.tone}`,
+        note.maxLength && `at most ${note.maxLength} characters`,
+    ].filter(Boolean).join('; ');
+}
+
+/**
+ * Counts the characters of a string as users see them (an emoji or accented letter counts once).
+ * @param {string} text
+ * @returns {number}
+ */
+export function getDisplayLength(text) {
+    return [...new Intl.Segmenter().segment(text)].length;
+}
+
+/**
+ * Checks a translation against the note's maximum length, logging a warning if it is too long.
+ * @param {string} translatedText
+ * @param {object | undefined} note
+ * @param {string} identifier - A path or index for logging warnings.
+ * @returns {boolean} True if the translation fits (or the key has no maximum length).
+ */
+export function checkMaxLength(translatedText, note, identifier) {
+    if (!note?.maxLength || typeof translatedText !== 'string') return true;
+    const length = getDisplayLength(translatedText);
+    if (length <= note.maxLength) return true;
+    console.warn(`  ⚠️ Max length exceeded at '${identifier}': ${length} characters, max ${note.maxLength}: ${JSON.stringify(translatedText)}`);
+    return false;
+}
@@ -0,0 +1,283 @@
+// keyOperations.js
+// Key refactoring across all locales: `key rename`, `key move`, `key copy` and `key delete` change the source
+// file and every target file together, so reviewed translations follow their key instead of being deleted and
+// re-created (empty or re-translated) by the next sync.
+import fs from 'fs/promises';
+import inquirer from 'inquirer';
+import { walkLeaves, getValueAtPath, setValueAtPath, toCodeKey } from './utils.js';
+import { getLocaleFilePath, getKeyNotesFilePath, getPathTemplate, SINGLE_FILE_NAMESPACE } from './localePaths.js';
+import { readLocaleFileIfExists, writeLocaleFile } from './formats/index.js';
+import { parsePluralKey } from './pluralKeys.js';
+import { createNamespaceResolver } from './extractOperations.js';
+import { loadSourceLock, saveSourceLock, SOURCE_LOCK_FILE_NAME } from './sourceLock.js';
+import { loadFailureList, saveFailureList, getFailedPaths, setFailedPaths, FAILURE_LIST_FILE_NAME } from './failureList.js';
+
+export const KEY_ACTIONS = ['rename', 'move', 'copy', 'delete'];
+const ACTION_LABELS = { rename: 'Renaming', move: 'Moving', copy: 'Copying', delete: 'Deleting' };
+const KEY_PATH_REGEX = /^(.*)\.([^.[\]]+)$/; // Parent path and last object key
+
+/**
+ * Parses a key argument: an optional namespace and a key path in setValueAtPath notation
+ * ('common:menu.items[0].label'; a leading 'root.' is optional).
+ * @param {string} spec
+ * @param {string} defaultNamespace - Used when the argument has no namespace.
+ * @returns {{ namespace: string, path: string, parentPath: string, key: string }}
+ * @throws {Error} If the path is empty or does not end with an object key.
+ */
+function parseKeySpec(spec, defaultNamespace) {
+    const separatorIndex = spec.indexOf(':');
+    const namespace = separatorIndex === -1 ? defaultNamespace : spec.slice(0, separatorIndex);
+    const keyPath = spec.slice(separatorIndex + 1).replace(/^root\.?/, '');
+    const match = KEY_PATH_REGEX.exec(`root.${keyPath}`);
+    if (!keyPath || !match) {
+        throw new Error(`'${spec}' does not end with an object key (e.g. 'menu.home'). Array elements cannot be refactored one by one.`);
+    }
+    return { namespace, path: `root.${keyPath}`, parentPath: match[1], key: match[2] };
+}
+
+function formatKey(target) {
+    return `${target.namespace}:${toCodeKey(target.path)}`;
+}
+
+/**
+ * Finds the keys a refactoring applies to in one file: the key itself, or, if the file has no such key,
+ * the forms of the plural group it names ('cart.item' → 'cart.item_one', 'cart.item_other', ...).
+ * @returns {Array<{ fromPath: string, toPath: string | null }>} The matched paths and their new paths.
+ */
+function findMatches(data, from, to) {
+    const parent = getValueAtPath(data, from.parentPath);
+    if (typeof parent !== 'object' || parent === null || Array.isArray(parent)) return [];
+    const keys = Object.prototype.hasOwnProperty.call(parent, from.key)
+        ? [from.key]
+        : Object.keys(parent).filter(key => parsePluralKey(key)?.base === from.key);
+    return keys.map(key => ({
+        fromPath: `${from.parentPath}.${key}`,
+        toPath: to ? `${to.parentPath}.${to.key}${key.slice(from.key.length)}` : null,
+    }));
+}
+
+/**
+ * Checks whether a value can be written at a path: nothing may be there yet, and no parent may hold a
+ * non-object value.
+ * @returns {string | null} The conflicting path in code notation, or null if the path is free.
+ */
+function findCollision(data, keyPath) {
+    if (getValueAtPath(data, keyPath) !== undefined) return toCodeKey(keyPath);
+    let parentPath = keyPath;
+    for (let match = KEY_PATH_REGEX.exec(parentPath); match; match = KEY_PATH_REGEX.exec(parentPath)) {
+        parentPath = match[1];
+        const parent = getValueAtPath(data, parentPath);
+        if (parent !== undefined && (typeof parent !== 'object' || parent === null || Array.isArray(parent))) return toCodeKey(parentPath);
+    }
+    return null;
+}
+
+/** Removes a key, and the objects left empty above it. */
+function removeKey(data, keyPath) {
+    for (let match = KEY_PATH_REGEX.exec(keyPath); match; match = KEY_PATH_REGEX.exec(match[1])) {
+        const parent = getValueAtPath(data, match[1]);
+        delete parent[match[2]];
+        if (match[1] === 'root' || Object.keys(parent).length > 0) return;
+    }
+}
+
+/** Maps a path to its new path if it lies in one of the refactored subtrees; null if it is not affected. */
+function mapPath(keyPath, matches) {
+    for (const { fromPath, toPath } of matches) {
+        if (keyPath === fromPath || keyPath.startsWith(`${fromPath}.`) || keyPath.startsWith(`${fromPath}[`)) {
+            return { toPath: toPath === null ? null : `${toPath}${keyPath.slice(fromPath.length)}` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Applies a refactoring to the entries of a path-keyed map (lockfile entries, failed paths, translator notes).
+ * @param {object} fromEntries - Entries of the source file, modified in place.
+ * @param {object} toEntries - Entries of the destination file (may be `fromEntries`), modified in place.
+ * @param {Array<{ fromPath: string, toPath: string | null }>} matches - Paths in the notation of the map's keys.
+ * @param {string} action
+ */
+function relocateEntries(fromEntries, toEntries, matches, action) {
+    const moved = [];
+    for (const keyPath of Object.keys(fromEntries)) {
+        const mapped = mapPath(keyPath, matches);
+        if (!mapped) continue;
+        if (mapped.toPath !== null) moved.push([mapped.toPath, fromEntries[keyPath]]);
+        if (action !== 'copy') delete fromEntries[keyPath];
+    }
+    moved.forEach(([keyPath, value]) => { toEntries[keyPath] = value; });
+}
+
+function countStrings(data, matches) {
+    let count = 0;
+    matches.forEach(({ fromPath }) => walkLeaves(getValueAtPath(data, fromPath), value => {
+        if (typeof value === 'string') count++;
+    }, fromPath));
+    return count;
+}
+
+/**
+ * Moves, copies or deletes the translator notes of the refactored keys (source language only, see keyNotes.js).
+ * Notes keyed by a plural group's base key follow the group.
+ * @returns {Promise<boolean>} True if a notes file was written.
+ */
+async function relocateKeyNotes(baseDir, sourceLang, fromFile, toFile, matches, from, to, action) {
+    const readNotes = async filename => {
+        try {
+            const notes = JSON.parse(await fs.readFile(getKeyNotesFilePath(baseDir, sourceLang, filename), 'utf-8'));
+            return typeof notes === 'object' && notes !== null && !Array.isArray(notes) ? notes : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`  ⚠️ Could not read translator notes of ${sourceLang}/${filename}: ${error.message}`);
+            return null;
+        }
+    };
+    const fromNotes = await readNotes(fromFile);
+    if (!fromNotes) return false;
+    const toNotes = toFile === fromFile ? fromNotes : (await readNotes(toFile)) || {};
+    const codeMatches = matches.map(({ fromPath, toPath }) => ({ fromPath: toCodeKey(fromPath), toPath: toPath && toCodeKey(toPath) }));
+    codeMatches.push({ fromPath: toCodeKey(from.path), toPath: to ? toCodeKey(to.path) : null });
+    const before = JSON.stringify([fromNotes, toNotes]);
+    relocateEntries(fromNotes, toNotes, codeMatches, action);
+    if (JSON.stringify([fromNotes, toNotes]) === before) return false;
+
+    const writeNotes = (filename, notes) => writeLocaleFile(getKeyNotesFilePath(baseDir, sourceLang, filename), notes);
+    await writeNotes(fromFile, fromNotes);
+    if (toFile !== fromFile) await writeNotes(toFile, toNotes);
+    return true;
+}
+
+/**
+ * Renames, moves, copies or deletes a key (or a whole subtree, or a plural group by its base key) in the
+ * source file and every target file. The lockfile, the failure list and the source's translator notes follow.
+ * Every file is checked first: a missing source key, or a destination that is already taken in any file
+ * (see findCollision), stops the command before anything is written. The planned changes are shown and
+ * confirmed before writing.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {object} options
+ * @param {string} options.action - One of KEY_ACTIONS.
+ * @param {string} options.from - Key argument (see parseKeySpec).
+ * @param {string} [options.to] - Destination key argument; its namespace defaults to the one of `from`.
+ * @param {string} [options.defaultNamespace='translation'] - Namespace of key arguments without one.
+ * @param {boolean} [options.dryRun=false] - Only show the preview.
+ * @param {boolean} [options.yes=false] - Write without asking for confirmation.
+ * @returns {Promise<{ applied: boolean, filesWritten: number, filesCreated: number }>}
+ * @throws {Error} On invalid arguments, a missing key or collisions.
+ */
+export async function runKeyCommand(baseDir, sourceLang, targetLangs, { action, from: fromSpec, to: toSpec, defaultNamespace = 'translation', dryRun = false, yes = false }) {
+    if (!KEY_ACTIONS.includes(action)) throw new Error(`Unknown key action '${action}'. Use one of: ${KEY_ACTIONS.join(', ')}.`);
+    if (!fromSpec || (action !== 'delete' && !toSpec)) {
+        throw new Error(action === 'delete' ? "Usage: key delete <key>" : `Usage: key ${action} <from> <${action === 'move' ? 'namespace:' : ''}to>`);
+    }
+    const namespaceFallback = getPathTemplate().includes('{ns}') ? defaultNamespace : SINGLE_FILE_NAMESPACE;
+    const from = parseKeySpec(fromSpec, namespaceFallback);
+    const to = action === 'delete' ? null : parseKeySpec(toSpec, from.namespace);
+    if (action === 'rename' && to.namespace !== from.namespace) {
+        throw new Error(`'key rename' stays in namespace '${from.namespace}'. Use 'key move' to move a key to '${to.namespace}'.`);
+    }
+    if (to && to.namespace === from.namespace && (to.path === from.path || to.path.startsWith(`${from.path}.`) || to.path.startsWith(`${from.path}[`))) {
+        throw new Error(`${formatKey(to)} lies inside ${formatKey(from)}.`);
+    }
+
+    const resolveFile = await createNamespaceResolver(baseDir, sourceLang);
+    const fromFile = resolveFile(from.namespace);
+    const toFile = to ? resolveFile(to.namespace) : fromFile;
+    if (!fromFile || !toFile) throw new Error(`The path template has no {ns}: only the '${SINGLE_FILE_NAMESPACE}' namespace exists.`);
+
+    console.log(`\n🔑 ${ACTION_LABELS[action]} ${formatKey(from)}${to ? ` → ${formatKey(to)}` : ''}${dryRun ? ' (dry run)' : ''}...`);
+    const languages = [sourceLang, ...targetLangs.filter(lang => lang !== sourceLang)];
+    const changes = [];
+    const collisions = [];
+    for (const lang of languages) {
+        const fromLocale = await readLocaleFileIfExists(getLocaleFilePath(baseDir, lang, fromFile), { lang });
+        const matches = fromLocale ? findMatches(fromLocale.data, from, to) : [];
+        if (matches.length === 0) {
+            if (lang === sourceLang && !fromLocale) {
+                throw new Error(`${sourceLang}/${fromFile} does not exist. Name the key's namespace, e.g. 'common:${toCodeKey(from.path)}'.`);
+            }
+            if (lang === sourceLang) throw new Error(`${formatKey(from)} does not exist in ${sourceLang}/${fromFile}.`);
+            console.log(`  ⏭️ ${lang}/${fromFile}: ${fromLocale ? `no '${toCodeKey(from.path)}'` : 'file does not exist'}, skipped.`);
+            continue;
+        }
+        const toLocale = toFile === fromFile ? fromLocale : await readLocaleFileIfExists(getLocaleFilePath(baseDir, lang, toFile), { lang });
+        const toData = toLocale ? toLocale.data : {};
+        for (const { toPath } of to ? matches : []) {
+            const collision = findCollision(toData, toPath);
+            if (collision) collisions.push(`${lang}/${toFile}: '${collision}' already exists`);
+        }
+        changes.push({ lang, fromLocale, toLocale, toData, matches });
+    }
+
+    for (const { lang, fromLocale, matches } of changes) {
+        const keys = matches.map(({ fromPath, toPath }) => `${toCodeKey(fromPath)}${toPath ? ` → ${toFile !== fromFile ? `${to.namespace}:` : ''}${toCodeKey(toPath)}` : ''}`);
+        console.log(`  ✏️ ${lang}/${fromFile}: ${keys.join(', ')} (${countStrings(fromLocale.data, matches)} string(s))`);
+    }
+    if (collisions.length > 0) {
+        collisions.forEach(collision => console.error(`  ❌ ${collision}`));
+        throw new Error(`${collisions.length} collision(s): nothing was changed. Delete or rename the existing key(s) first.`);
+    }
+    if (dryRun) {
+        console.log(`\n✅ Dry run complete. ${changes.length} language(s) would be changed.`);
+        return { applied: false, filesWritten: 0, filesCreated: 0 };
+    }
+    if (!yes) {
+        if (!process.stdin.isTTY) {
+            console.log("\nℹ️ Not applied: run again with --yes to apply these changes without a prompt.");
+            return { applied: false, filesWritten: 0, filesCreated: 0 };
+        }
+        const { confirmed } = await inquirer.prompt([{ type: 'confirm', name: 'confirmed', message: `Apply these changes to ${changes.length} language(s)?`, default: false }]);
+        if (!confirmed) {
+            console.log("ℹ️ Cancelled. Nothing was changed.");
+            return { applied: false, filesWritten: 0, filesCreated: 0 };
+        }
+    }
+
+    const sourceLock = await loadSourceLock(baseDir);
+    const failureList = await loadFailureList(baseDir);
+    let filesWritten = 0;
+    let filesCreated = 0;
+    for (const { lang, fromLocale, toLocale, toData, matches } of changes) {
+        for (const { fromPath, toPath } of matches) {
+            if (toPath) setValueAtPath(toData, toPath, structuredClone(getValueAtPath(fromLocale.data, fromPath)));
+            if (action !== 'copy') removeKey(fromLocale.data, fromPath);
+        }
+        if (action !== 'copy' || toFile === fromFile) {
+            await writeLocaleFile(getLocaleFilePath(baseDir, lang, fromFile), fromLocale.data, fromLocale.document, { lang });
+            filesWritten++;
+        }
+        if (toFile !== fromFile) {
+            await writeLocaleFile(getLocaleFilePath(baseDir, lang, toFile), toData, toLocale?.document ?? null, { lang });
+            filesWritten++;
+            if (!toLocale) filesCreated++;
+        }
+
+        if (lang === sourceLang) continue; // The lockfile and the failure list are kept per target language
+        const languageLock = sourceLock.languages[lang];
+        if (languageLock?.[fromFile]) {
+            languageLock[toFile] = languageLock[toFile] || {};
+            relocateEntries(languageLock[fromFile], languageLock[toFile], matches, action);
+        }
+        const fromFailures = Object.fromEntries([...getFailedPaths(failureList, lang, fromFile)].map(keyPath => [keyPath, true]));
+        const toFailures = toFile === fromFile ? fromFailures : Object.fromEntries([...getFailedPaths(failureList, lang, toFile)].map(keyPath => [keyPath, true]));
+        relocateEntries(fromFailures, toFailures, matches, action);
+        setFailedPaths(failureList, lang, fromFile, Object.keys(fromFailures));
+        if (toFile !== fromFile) setFailedPaths(failureList, lang, toFile, Object.keys(toFailures));
+    }
+    if (await relocateKeyNotes(baseDir, sourceLang, fromFile, toFile, changes[0].matches, from, to, action)) {
+        console.log(`  📝 Updated the translator notes of ${sourceLang}.`);
+    }
+    try {
+        await saveSourceLock(baseDir, sourceLock);
+    } catch (error) {
+        console.error(`❌ Failed to write ${SOURCE_LOCK_FILE_NAME}: ${error.message}`);
+    }
+    try {
+        await saveFailureList(baseDir, failureList);
+    } catch (error) {
+        console.error(`❌ Failed to write ${FAILURE_LIST_FILE_NAME}: ${error.message}`);
+    }
+    console.log(`\n✅ ${ACTION_LABELS[action]} complete. ${filesWritten} file(s) written${filesCreated > 0 ? `, ${filesCreated} of them new` : ''}.`);
+    return { applied: true, filesWritten, filesCreated };
+}
@@ -0,0 +1,145 @@
+// localePaths.js
+// Locale file layouts: every locale file is addressed by its language and a language-independent file name
+// (the namespace plus its extension, e.g. 'common.json' or 'admin/users.json'). A path template maps both
+// to a path on disk, e.g. '{baseDir}/{lang}/{ns}.{ext}' (default) or '{baseDir}/{ns}.{lang}.json'.
+import fs from 'fs/promises';
+import path from 'path';
+import { SUPPORTED_EXTENSIONS } from './formats/index.js';
+import { escapeRegExp } from './utils.js';
+
+export const DEFAULT_PATH_TEMPLATE = '{baseDir}/{lang}/{ns}.{ext}';
+// Name of the only namespace of templates without {ns} (e.g., 'locales/{lang}.json')
+export const SINGLE_FILE_NAMESPACE = 'translation';
+// Translator notes live next to a source locale file (see keyNotes.js) and are never locale files themselves
+export const KEY_NOTES_SUFFIX = '.meta.json';
+
+const TOKEN_REGEX = /\{(baseDir|lang|ns|ext)\}/g;
+const SKIPPED_DIRECTORIES = new Set(['node_modules']);
+
+let pathTemplate = DEFAULT_PATH_TEMPLATE;
+
+/**
+ * Sets the path template used to find and create locale files.
+ * Tokens: {baseDir}, {lang} (required), {ns} (namespace, may span nested directories) and {ext}
+ * (any supported extension); the template must end with `.{ext}` or a supported extension such as `.json`.
+ * @param {string} [template=DEFAULT_PATH_TEMPLATE]
+ * @throws {Error} If the template is invalid.
+ */
+export function configurePathTemplate(template = DEFAULT_PATH_TEMPLATE) {
+    const normalized = template.replace(/\\/g, '/');
+    const count = token => normalized.split(`{${token}}`).length - 1;
+    const fileName = normalized.slice(normalized.lastIndexOf('/') + 1);
+    const unknownToken = normalized.match(/\{(?!(?:baseDir|lang|ns|ext)\})[^}]*\}/);
+
+    if (unknownToken) throw new Error(`Unknown token '${unknownToken[0]}' in path template '${template}'.`);
+    if (count('lang') === 0) throw new Error(`Path template '${template}' must contain {lang}.`);
+    if (count('ns') > 1 || count('ext') > 1) throw new Error(`Path template '${template}' may contain {ns} and {ext} only once.`);
+    if (!fileName.endsWith('.{ext}') && !SUPPORTED_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+        throw new Error(`Path template '${template}' must end with '.{ext}' or one of: ${SUPPORTED_EXTENSIONS.join(', ')}.`);
+    }
+    if (count('ext') === 1 && !fileName.endsWith('.{ext}')) throw new Error(`{ext} must be the extension of the file name in '${template}'.`);
+    pathTemplate = normalized;
+}
+
+/**
+ * @returns {string} The active path template.
+ */
+export function getPathTemplate() {
+    return pathTemplate;
+}
+
+/**
+ * Fills in the template for one language and splits it into the directory to scan (the part without
+ * {ns}/{ext}) and the pattern of the remaining, relative part.
+ */
+function resolveTemplate(baseDir, lang) {
+    const filled = pathTemplate.replace(/\{baseDir\}/g, baseDir.replace(/\\/g, '/')).replace(/\{lang\}/g, lang);
+    const segments = filled.split('/');
+    const firstDynamic = segments.findIndex(segment => /\{(ns|ext)\}/.test(segment));
+    const rootLength = firstDynamic === -1 ? segments.length - 1 : firstDynamic;
+    return {
+        root: path.resolve(process.cwd(), segments.slice(0, rootLength).join('/') || '/'),
+        pattern: segments.slice(rootLength).join('/'),
+    };
+}
+
+/**
+ * Directory that holds the locale files of a language (for the default template: `<baseDir>/<lang>`).
+ * Languages may share it, e.g. with '{baseDir}/{ns}.{lang}.json'.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} lang
+ * @returns {string} Absolute directory path.
+ */
+export function getLanguageRoot(baseDir, lang) {
+    return resolveTemplate(baseDir, lang).root;
+}
+
+/**
+ * Builds the path of a locale file.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} lang
+ * @param {string} filename - Language-independent file name as returned by listLanguageFiles (e.g., 'admin/users.json').
+ * @returns {string} Absolute file path.
+ */
+export function getLocaleFilePath(baseDir, lang, filename) {
+    const extension = path.extname(filename);
+    const { root, pattern } = resolveTemplate(baseDir, lang);
+    const relativePath = pattern
+        .replace('{ns}', filename.slice(0, filename.length - extension.length))
+        .replace('{ext}', extension.slice(1));
+    return path.join(root, relativePath);
+}
+
+/**
+ * Builds the path of the translator notes file of a locale file ('en/common.json' → 'en/common.meta.json').
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} lang
+ * @param {string} filename - Language-independent file name (e.g., 'admin/users.yml').
+ * @returns {string} Absolute file path.
+ */
+export function getKeyNotesFilePath(baseDir, lang, filename) {
+    const filePath = getLocaleFilePath(baseDir, lang, filename);
+    return `${filePath.slice(0, filePath.length - path.extname(filePath).length)}${KEY_NOTES_SUFFIX}`;
+}
+
+/** Lists all files below a directory as '/'-separated relative paths, skipping hidden and dependency directories. */
+async function listFilesRecursively(directory, relativeDir = '') {
+    const entries = await fs.readdir(path.join(directory, relativeDir), { withFileTypes: true });
+    const files = [];
+    for (const dirent of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+        if (dirent.isDirectory() && !dirent.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(dirent.name)) {
+            files.push(...await listFilesRecursively(directory, relativePath));
+        } else if (dirent.isFile()) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Lists the locale files of a language through the path template, including nested namespace directories.
+ * Translator notes files ('*.meta.json') are skipped.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} lang
+ * @returns {Promise<string[]>} Language-independent file names (namespace plus extension, e.g. 'common.json',
+ *   'admin/users.json', or 'translation.json' for templates without {ns}), sorted.
+ * @throws {Error} The fs error (e.g., ENOENT) if the language's directory cannot be read.
+ */
+export async function listLanguageFiles(baseDir, lang) {
+    const { root, pattern } = resolveTemplate(baseDir, lang);
+    const extensions = SUPPORTED_EXTENSIONS.map(extension => escapeRegExp(extension.slice(1))).join('|');
+    const regex = new RegExp(`^${pattern.split(TOKEN_REGEX).map((part, index) => {
+        if (index % 2 === 0) return escapeRegExp(part); // Literal text between tokens
+        return part === 'ns' ? '(?<ns>.+?)' : `(?:${extensions})`;
+    }).join('')}$`);
+
+    const filenames = [];
+    for (const file of await listFilesRecursively(root)) {
+        const match = regex.exec(file);
+        if (match && SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()) && !file.toLowerCase().endsWith(KEY_NOTES_SUFFIX)) {
+            filenames.push(`${match.groups?.ns ?? SINGLE_FILE_NAMESPACE}${path.extname(file)}`);
+        }
+    }
+    return filenames.sort();
+}
@@ -0,0 +1,46 @@
+// placeholders.js
+
+// Regular expression to find common placeholder patterns
+export const PLACEHOLDER_REGEX = /(\{\{\s*[\w.]+\s*\}\}|{\s*[\w.]+\s*}|%[sd]|\%\{[\w.]+\}|:\w+)/g;
+
+/**
+ * Extracts unique, sorted placeholders from a text string.
+ * @param {string} text The text to scan.
+ * @returns {string[]} A sorted array of unique placeholders found.
+ */
+export function extractPlaceholders(text) {
+    if (typeof text !== 'string') return [];
+    const matches = text.match(PLACEHOLDER_REGEX);
+    if (!matches) return [];
+    return [...new Set(matches)].sort();
+}
+
+/**
+ * Compares placeholders between source and translated strings. Logs warning on mismatch.
+ * @param {string} sourceText Original text.
+ * @param {string} translatedText Text received from LLM.
+ * @param {string} identifier A path or index for logging warnings.
+ * @returns {boolean} True if placeholders match or none exist in source, false otherwise.
+ */
+export function comparePlaceholders(sourceText, translatedText, identifier) {
+    const sourcePlaceholders = extractPlaceholders(sourceText);
+    const translatedPlaceholders = extractPlaceholders(translatedText);
+
+    if (sourcePlaceholders.length === 0) return true; // No source placeholders, nothing to mismatch
+
+    if (sourcePlaceholders.length !== translatedPlaceholders.length) {
+        console.warn(`  ⚠️ Placeholder count mismatch at '${identifier}':`);
+        console.warn(`     Source (${sourcePlaceholders.length}): [${sourcePlaceholders.join(', ')}]`);
+        console.warn(`     Target (${translatedPlaceholders.length}): [${translatedPlaceholders.join(', ')}]`);
+        return false;
+    }
+
+    const mismatch = sourcePlaceholders.some((ph, index) => ph !== translatedPlaceholders[index]);
+    if (mismatch) {
+        console.warn(`  ⚠️ Placeholder content mismatch at '${identifier}':`);
+        console.warn(`     Source: [${sourcePlaceholders.join(', ')}]`);
+        console.warn(`     Target: [${translatedPlaceholders.join(', ')}]`);
+        return false;
+    }
+    return true; // Match
+}
@@ -0,0 +1,117 @@
+// pluralKeys.js
+// i18next-style plural keys: sibling keys such as `item_one` / `item_other` (or `place_ordinal_two`) form a
+// plural group, and every target language needs the suffixes of its own CLDR plural categories.
+import { getPluralCategories } from './icuMessages.js';
+
+const PLURAL_KEY_REGEX = /^(.+?)_(ordinal_)?(zero|one|two|few|many|other)$/;
+
+/**
+ * Splits an i18next plural key into its base key, plural type and category.
+ * @param {string} key - e.g., 'item_few' or 'place_ordinal_two'.
+ * @returns {{ base: string, type: 'cardinal'|'ordinal', category: string } | null} Null if the key has no plural suffix.
+ */
+export function parsePluralKey(key) {
+    const match = PLURAL_KEY_REGEX.exec(key);
+    if (!match) return null;
+    return { base: match[1], type: match[2] ? 'ordinal' : 'cardinal', category: match[3] };
+}
+
+function buildPluralKey(base, type, category) {
+    return `${base}_${type === 'ordinal' ? 'ordinal_' : ''}${category}`;
+}
+
+/**
+ * Finds the plural groups among the keys of an object. A group needs an `_other` form and at least
+ * one more form, so that a lone key such as `option_other` is not mistaken for a plural.
+ * @param {object} objectNode
+ * @returns {Map<string, { base: string, type: 'cardinal'|'ordinal', forms: Map<string, string> }>}
+ *   Groups by their `_other` key; `forms` maps each category to its key.
+ */
+function findPluralGroups(objectNode) {
+    const candidates = new Map();
+    for (const key of Object.keys(objectNode)) {
+        const parsed = parsePluralKey(key);
+        if (!parsed) continue;
+        const groupId = buildPluralKey(parsed.base, parsed.type, 'other');
+        if (!candidates.has(groupId)) candidates.set(groupId, { base: parsed.base, type: parsed.type, forms: new Map() });
+        candidates.get(groupId).forms.set(parsed.category, key);
+    }
+    for (const [groupId, group] of candidates) {
+        if (!group.forms.has('other') || group.forms.size < 2) candidates.delete(groupId);
+    }
+    return candidates;
+}
+
+/**
+ * Lists the keys a plural group needs in a target language: one per CLDR category of the language,
+ * plus a `_zero` form if the source has one (i18next uses it for a count of 0 in every language).
+ */
+function getTargetForms(group, targetLang) {
+    const categories = getPluralCategories(targetLang, group.type);
+    if (group.forms.has('zero') && !categories.includes('zero')) categories.unshift('zero');
+    return categories.map(category => ({ category, key: buildPluralKey(group.base, group.type, category) }));
+}
+
+/**
+ * Returns the keys of the plural group an object key belongs to.
+ * @param {any} objectNode - The object containing the key.
+ * @param {string} key
+ * @returns {string[] | null} All keys of the group, or null if the key is not part of a plural group.
+ */
+export function getPluralGroupKeys(objectNode, key) {
+    if (typeof objectNode !== 'object' || objectNode === null || Array.isArray(objectNode)) return null;
+    const parsed = parsePluralKey(key);
+    if (!parsed) return null;
+    const group = findPluralGroups(objectNode).get(buildPluralKey(parsed.base, parsed.type, 'other'));
+    return group && group.forms.has(parsed.category) ? Object.keys(objectNode).filter(name => [...group.forms.values()].includes(name)) : null;
+}
+
+/**
+ * Checks whether a structure contains at least one plural group.
+ * @param {any} node
+ * @returns {boolean}
+ */
+export function hasPluralGroups(node) {
+    if (Array.isArray(node)) return node.some(hasPluralGroups);
+    if (typeof node !== 'object' || node === null) return false;
+    return findPluralGroups(node).size > 0 || Object.values(node).some(hasPluralGroups);
+}
+
+/**
+ * Adapts the plural groups of a source structure to a target language: every group gets exactly the
+ * keys of the language's CLDR plural categories (via Intl.PluralRules), in CLDR order and at the position
+ * of the group. Forms the source lacks start as a copy of its `_other` value (the source text for the
+ * translator); forms the language does not use are left out. Everything else is copied unchanged.
+ *
+ * The result is used instead of the source structure when creating, syncing and translating target files,
+ * so that e.g. Arabic files get `_zero`/`_two`/`_few`/`_many` keys and Japanese files only `_other`.
+ *
+ * @param {any} sourceNode - Source structure (not modified).
+ * @param {string} targetLang - Target language code.
+ * @returns {any} The structure with localized plural keys.
+ */
+export function localizePluralKeys(sourceNode, targetLang) {
+    if (Array.isArray(sourceNode)) return sourceNode.map(element => localizePluralKeys(element, targetLang));
+    if (typeof sourceNode !== 'object' || sourceNode === null) return sourceNode;
+
+    const groups = findPluralGroups(sourceNode);
+    const groupByKey = new Map();
+    groups.forEach(group => group.forms.forEach(key => groupByKey.set(key, group)));
+
+    const localized = {};
+    const emittedGroups = new Set();
+    for (const key of Object.keys(sourceNode)) {
+        const group = groupByKey.get(key);
+        if (!group) {
+            localized[key] = localizePluralKeys(sourceNode[key], targetLang);
+            continue;
+        }
+        if (emittedGroups.has(group)) continue;
+        emittedGroups.add(group);
+        for (const { category, key: formKey } of getTargetForms(group, targetLang)) {
+            const sourceKey = group.forms.get(category) || group.forms.get('other');
+            localized[formKey] = structuredClone(sourceNode[sourceKey]);
+        }
+    }
+    return localized;
+}
@@ -0,0 +1,251 @@
+// poOperations.js
+import fs from 'fs/promises';
+import path from 'path';
+import { walkLeaves, getValueAtPath, setValueAtPath, createEmptyStructure } from './utils.js';
+import { validateTranslation } from './icuMessages.js';
+import { localizePluralKeys } from './pluralKeys.js';
+import { serializePo, parsePo } from './gettext.js';
+import { getSourceFiles } from './fileOperations.js';
+import { getLocaleFilePath } from './localePaths.js';
+import { parseLocaleContent, readLocaleFile, readLocaleFileIfExists, writeLocaleFile } from './formats/index.js';
+import { loadSourceLock, saveSourceLock, findStaleEntries, updateFileLock, SOURCE_LOCK_FILE_NAME } from './sourceLock.js';
+
+export const DEFAULT_PO_DIR = 'po';
+
+/**
+ * PO files are named after the locale file without its extension (common.json → common.pot / fr/common.po);
+ * nested namespaces keep their directories (admin/users.json → admin/users.pot / fr/admin/users.po).
+ * @param {string} filename - Path relative to the language directory.
+ * @returns {string}
+ */
+function getNamespace(filename) {
+    return filename.slice(0, filename.length - path.extname(filename).length);
+}
+
+/**
+ * Key paths are written as msgctxt without the internal 'root.' prefix (e.g., 'home.title', 'items[0]').
+ * @param {string} keyPath
+ * @returns {string}
+ */
+function toMessageContext(keyPath) {
+    return keyPath.replace(/^root\.?/, '');
+}
+
+/**
+ * Lists the non-empty source strings of a structure as PO entries (without msgstr).
+ * @param {any} sourceJson
+ * @returns {Array<{ keyPath: string, msgctxt: string, msgid: string }>}
+ */
+function collectSourceEntries(sourceJson) {
+    const entries = [];
+    walkLeaves(sourceJson, (value, keyPath) => {
+        if (typeof value === 'string' && value.trim()) {
+            entries.push({ keyPath, msgctxt: toMessageContext(keyPath), msgid: value });
+        }
+    });
+    return entries;
+}
+
+function buildHeaders(sourceLang, language = null) {
+    return {
+        'Project-Id-Version': 'PACKAGE VERSION',
+        'POT-Creation-Date': `${new Date().toISOString().slice(0, 16).replace('T', ' ')}+0000`, // gettext date format
+        ...(language ? { Language: language } : {}),
+        'MIME-Version': '1.0',
+        'Content-Type': 'text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding': '8bit',
+        'X-Source-Language': sourceLang,
+    };
+}
+
+/**
+ * Exports the source tree as gettext templates and every target language as PO catalogs.
+ * Writes `<outputDir>/<namespace>.pot` with the dotted key path of every source string as msgctxt
+ * and the source string as msgid, plus `<outputDir>/<lang>/<namespace>.po` with the current target
+ * values as msgstr. Values marked stale in the source lockfile are exported as fuzzy.
+ * @param {string} baseDir - Absolute base directory containing the language folders.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {string} outputDir - Absolute directory to write the PO/POT files to.
+ */
+export async function runExportPo(baseDir, sourceLang, targetLangs, outputDir) {
+    console.log(`\n📤 Exporting gettext catalogs to ${outputDir}...`);
+    const sourceFiles = await getSourceFiles(baseDir, sourceLang);
+    const sourceLock = await loadSourceLock(baseDir);
+    let filesWritten = 0;
+
+    await fs.mkdir(outputDir, { recursive: true });
+    for (const filename of sourceFiles) {
+        const namespace = getNamespace(filename);
+        let sourceJson;
+        try {
+            ({ data: sourceJson } = await readLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang }));
+        } catch (error) {
+            console.error(`  ❌ Could not read source file ${filename}: ${error.message}`);
+            continue;
+        }
+
+        const sourceEntries = collectSourceEntries(sourceJson);
+
+        const templatePath = path.join(outputDir, `${namespace}.pot`);
+        await fs.mkdir(path.dirname(templatePath), { recursive: true });
+        await fs.writeFile(templatePath, serializePo(sourceEntries, buildHeaders(sourceLang)), 'utf-8');
+        console.log(`  ✅ ${path.relative(process.cwd(), templatePath)} (${sourceEntries.length} entries)`);
+        filesWritten++;
+
+        for (const targetLang of targetLangs) {
+            if (targetLang === sourceLang) continue;
+            try {
+                // Catalogs hold the plural keys of the target language (see pluralKeys.js)
+                const localizedSource = localizePluralKeys(sourceJson, targetLang);
+                const target = await readLocaleFileIfExists(getLocaleFilePath(baseDir, targetLang, filename), { lang: targetLang });
+                const targetJson = target ? target.data : createEmptyStructure(localizedSource);
+                const stalePaths = new Set(findStaleEntries(localizedSource, targetJson, sourceLock, targetLang, filename).map(entry => entry.path));
+                const entries = collectSourceEntries(localizedSource).map(({ keyPath, msgctxt, msgid }) => {
+                    const targetValue = getValueAtPath(targetJson, keyPath);
+                    const msgstr = typeof targetValue === 'string' ? targetValue : '';
+                    return { msgctxt, msgid, msgstr, flags: msgstr && stalePaths.has(keyPath) ? ['fuzzy'] : [] };
+                });
+                const translatedCount = entries.filter(entry => entry.msgstr).length;
+
+                const catalogPath = path.join(outputDir, targetLang, `${namespace}.po`);
+                await fs.mkdir(path.dirname(catalogPath), { recursive: true });
+                await fs.writeFile(catalogPath, serializePo(entries, buildHeaders(sourceLang, targetLang)), 'utf-8');
+                console.log(`  ✅ ${path.relative(process.cwd(), catalogPath)} (${translatedCount}/${entries.length} translated${stalePaths.size > 0 ? `, ${stalePaths.size} fuzzy` : ''})`);
+                filesWritten++;
+            } catch (error) {
+                console.error(`  ❌ Could not export ${targetLang}/${filename}: ${error.message}`);
+            }
+        }
+    }
+
+    console.log(`\n✅ Gettext export complete. ${filesWritten} file(s) written.`);
+}
+
+/**
+ * Merges one parsed PO catalog into a target structure.
+ * @returns {{ imported: string[], unchanged: number, fuzzy: string[], untranslated: string[], outdated: string[], unknown: string[], placeholderMismatches: string[] }}
+ */
+function mergeCatalog(entries, sourceJson, targetJson, targetLang, identifier) {
+    const report = { imported: [], unchanged: 0, fuzzy: [], untranslated: [], outdated: [], unknown: [], placeholderMismatches: [] };
+
+    for (const entry of entries) {
+        const keyPath = entry.msgctxt;
+        const sourceValue = keyPath === undefined ? undefined : getValueAtPath(sourceJson, keyPath);
+        if (typeof sourceValue !== 'string') {
+            report.unknown.push(keyPath ?? `(no msgctxt, line ${entry.line})`);
+        } else if (entry.msgid !== sourceValue) {
+            report.outdated.push(keyPath); // Source string changed since the catalog was exported
+        } else if (entry.flags.includes('fuzzy')) {
+            report.fuzzy.push(keyPath);
+        } else if (!entry.msgstr) {
+            report.untranslated.push(keyPath);
+        } else if (!validateTranslation(sourceValue, entry.msgstr, targetLang, `${identifier}:${keyPath}`)) {
+            report.placeholderMismatches.push(keyPath);
+        } else if (getValueAtPath(targetJson, keyPath) === entry.msgstr) {
+            report.unchanged++;
+        } else {
+            setValueAtPath(targetJson, keyPath, entry.msgstr);
+            report.imported.push(keyPath);
+        }
+    }
+    return report;
+}
+
+function printKeyList(symbol, label, keys) {
+    if (keys.length === 0) return;
+    console.log(`     ${symbol} ${keys.length} ${label}:`);
+    keys.forEach(keyPath => console.log(`        ${keyPath}`));
+}
+
+/**
+ * Imports translated PO catalogs (`<inputDir>/<lang>/<namespace>.po`) back into the target locale files.
+ * Entries are matched by msgctxt key path and merged with setValueAtPath. Fuzzy and untranslated entries,
+ * entries whose msgid no longer matches the source, unknown keys and placeholder mismatches are reported
+ * and left untouched, so no target value is ever replaced by an empty string.
+ * @param {string} baseDir - Absolute base directory containing the language folders.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {string} inputDir - Absolute directory containing the language folders with PO files.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would be imported without writing.
+ */
+export async function runImportPo(baseDir, sourceLang, targetLangs, inputDir, { dryRun = false } = {}) {
+    console.log(`\n📥 Importing gettext catalogs from ${inputDir}${dryRun ? ' (dry run)' : ''}...`);
+    const sourceFiles = await getSourceFiles(baseDir, sourceLang);
+    const sourceLock = await loadSourceLock(baseDir);
+    const totals = { imported: 0, fuzzy: 0, untranslated: 0, skipped: 0, filesWritten: 0 };
+
+    for (const targetLang of targetLangs) {
+        if (targetLang === sourceLang) continue;
+        console.log(`\nLanguage: ${targetLang}`);
+
+        for (const filename of sourceFiles) {
+            const catalogPath = path.join(inputDir, targetLang, `${getNamespace(filename)}.po`);
+            const targetFilePath = getLocaleFilePath(baseDir, targetLang, filename);
+            try {
+                let catalogContent;
+                try {
+                    catalogContent = await fs.readFile(catalogPath, 'utf-8');
+                } catch (error) {
+                    if (error.code === 'ENOENT') {
+                        console.log(`  ℹ️ No catalog for ${targetLang}/${filename} (${path.relative(process.cwd(), catalogPath)}). Skipping.`);
+                        continue;
+                    }
+                    throw error;
+                }
+
+                let entries;
+                try {
+                    ({ entries } = parsePo(catalogContent));
+                } catch (parseError) {
+                    console.error(`  ❌ Invalid PO file ${catalogPath}: ${parseError.message}`);
+                    continue;
+                }
+
+                const sourceFilePath = getLocaleFilePath(baseDir, sourceLang, filename);
+                const { data: sourceData, document: sourceDocument } = parseLocaleContent(sourceFilePath, await fs.readFile(sourceFilePath, 'utf-8'), { lang: sourceLang });
+                const sourceJson = localizePluralKeys(sourceData, targetLang);
+                const target = await readLocaleFileIfExists(targetFilePath, { lang: targetLang });
+                const targetJson = target ? target.data : createEmptyStructure(sourceJson);
+
+                const report = mergeCatalog(entries, sourceJson, targetJson, targetLang, `${targetLang}/${filename}`);
+                const skippedCount = report.outdated.length + report.unknown.length + report.placeholderMismatches.length;
+                totals.imported += report.imported.length;
+                totals.fuzzy += report.fuzzy.length;
+                totals.untranslated += report.untranslated.length;
+                totals.skipped += skippedCount;
+
+                const verb = dryRun ? 'would be imported' : 'imported';
+                console.log(`  ${report.imported.length > 0 ? '✏️' : '✨'} ${targetLang}/${filename}: ${report.imported.length} ${verb}, ${report.unchanged} unchanged`);
+                printKeyList('⏳', 'fuzzy (not imported)', report.fuzzy);
+                printKeyList('∅', 'untranslated (not imported)', report.untranslated);
+                printKeyList('⚠️', 'with a changed source string since export (not imported)', report.outdated);
+                printKeyList('⚠️', 'unknown key(s) (not imported)', report.unknown);
+                printKeyList('⚠️', 'with placeholder mismatches (not imported)', report.placeholderMismatches);
+
+                if (report.imported.length === 0 || dryRun) continue;
+                await fs.mkdir(path.dirname(targetFilePath), { recursive: true });
+                await writeLocaleFile(targetFilePath, targetJson, target ? target.document : sourceDocument, { lang: targetLang });
+                // Keep values that are still stale flagged; imported values now match the current source
+                const stalePaths = findStaleEntries(sourceJson, targetJson, sourceLock, targetLang, filename).map(entry => entry.path);
+                updateFileLock(sourceLock, targetLang, filename, sourceJson, targetJson, stalePaths);
+                totals.filesWritten++;
+            } catch (error) {
+                console.error(`  ❌ Error importing ${targetLang}/${filename}: ${error.message}`);
+            }
+        }
+    }
+
+    if (totals.filesWritten > 0) {
+        try {
+            await saveSourceLock(baseDir, sourceLock);
+        } catch (error) {
+            console.error(`\n❌ Failed to write ${SOURCE_LOCK_FILE_NAME}: ${error.message}`);
+        }
+    }
+
+    const summary = `${totals.imported} translation(s) ${dryRun ? 'would be imported' : `imported into ${totals.filesWritten} file(s)`}; `
+        + `${totals.fuzzy} fuzzy, ${totals.untranslated} untranslated and ${totals.skipped} other entries skipped.`;
+    console.log(`\n✅ Gettext import ${dryRun ? 'dry run ' : ''}complete. ${summary}`);
+}
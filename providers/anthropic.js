@@ -0,0 +1,42 @@
+// providers/anthropic.js
+import { createLlmProvider } from './prompts.js';
+import { postJson, DEFAULT_REQUEST_TIMEOUT_MS } from './http.js';
+
+export const DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-haiku-latest';
+export const DEFAULT_ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const MAX_OUTPUT_TOKENS = 8192;
+
+/**
+ * Creates the Anthropic Messages API provider.
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.modelName]
+ * @param {string} [options.baseUrl]
+ * @param {number} [options.timeoutMs] - Time allowed per request.
+ * @returns {object} A translation provider.
+ */
+export function createAnthropicProvider({ apiKey, modelName = DEFAULT_ANTHROPIC_MODEL, baseUrl = DEFAULT_ANTHROPIC_BASE_URL, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS }) {
+    if (!apiKey) throw new Error("API Key is required for the Anthropic provider.");
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/messages`;
+
+    return createLlmProvider({
+        name: 'anthropic',
+        model: modelName,
+        async complete(promptText) {
+            const data = await postJson(endpoint, {
+                model: modelName,
+                max_tokens: MAX_OUTPUT_TOKENS,
+                temperature: 0,
+                messages: [{ role: 'user', content: promptText }],
+            }, {
+                'x-api-key': apiKey,
+                'anthropic-version': ANTHROPIC_API_VERSION,
+            }, timeoutMs);
+            return (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+        },
+    });
+}
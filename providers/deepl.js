@@ -0,0 +1,67 @@
+// providers/deepl.js
+import { postJson, DEFAULT_REQUEST_TIMEOUT_MS } from './http.js';
+import { PLACEHOLDER_REGEX } from '../placeholders.js';
+import { escapeXml } from '../utils.js';
+
+const DEEPL_FREE_BASE_URL = 'https://api-free.deepl.com/v2';
+const DEEPL_PRO_BASE_URL = 'https://api.deepl.com/v2';
+// DeepL requires a regional variant for some target languages
+const DEEPL_TARGET_DEFAULTS = { en: 'EN-US', pt: 'PT-PT', zh: 'ZH-HANS' };
+const PROTECTED_TAG = 'x';
+
+function unescapeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+/**
+ * Wraps placeholders in ignored XML tags so DeepL leaves them untouched.
+ * @param {string} text
+ * @returns {string}
+ */
+function protectPlaceholders(text) {
+    // split() with a capturing regex returns text and placeholders alternately
+    return text.split(PLACEHOLDER_REGEX)
+        .map((part, index) => (index % 2 === 1 ? `<${PROTECTED_TAG}>${escapeXml(part)}</${PROTECTED_TAG}>` : escapeXml(part)))
+        .join('');
+}
+
+function restorePlaceholders(text) {
+    const tagPattern = new RegExp(`<${PROTECTED_TAG}>(.*?)</${PROTECTED_TAG}>`, 'g');
+    return unescapeXml(text.replace(tagPattern, '$1'));
+}
+
+function toDeepLLanguage(code, isTarget) {
+    const [base, region] = code.toLowerCase().split('-');
+    if (!isTarget) return base.toUpperCase(); // Source languages never take a variant
+    if (region) return `${base}-${region}`.toUpperCase();
+    return DEEPL_TARGET_DEFAULTS[base] || base.toUpperCase();
+}
+
+/**
+ * Creates the DeepL provider. DeepL has no whole-document JSON mode, so it only implements
+ * `translateBatch`; translator.js translates whole files through batches for it.
+ * @param {object} options
+ * @param {string} options.apiKey - DeepL auth key (keys ending in ':fx' use the free API).
+ * @param {string} [options.baseUrl]
+ * @param {number} [options.timeoutMs] - Time allowed per request.
+ * @returns {object} A translation provider.
+ */
+export function createDeepLProvider({ apiKey, baseUrl, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS }) {
+    if (!apiKey) throw new Error("API Key is required for the DeepL provider.");
+    const apiRoot = (baseUrl || (apiKey.endsWith(':fx') ? DEEPL_FREE_BASE_URL : DEEPL_PRO_BASE_URL)).replace(/\/+$/, '');
+
+    return {
+        name: 'deepl',
+        model: 'deepl',
+        async translateBatch(texts, { sourceLangCode, targetLangCode }) {
+            const data = await postJson(`${apiRoot}/translate`, {
+                text: texts.map(protectPlaceholders),
+                source_lang: toDeepLLanguage(sourceLangCode, false),
+                target_lang: toDeepLLanguage(targetLangCode, true),
+                tag_handling: 'xml',
+                ignore_tags: [PROTECTED_TAG],
+            }, { authorization: `DeepL-Auth-Key ${apiKey}` }, timeoutMs);
+            return (data.translations || []).map(item => restorePlaceholders(item.text));
+        },
+    };
+}
@@ -0,0 +1,106 @@
+// providers/gemini.js
+
+// IMPORTANT: Assumes '@google/genai' package providing this syntax is installed.
+import { GoogleGenAI, Type } from '@google/genai';
+import { createLlmProvider } from './prompts.js';
+import { DEFAULT_REQUEST_TIMEOUT_MS } from './http.js';
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash';
+
+/**
+ * The SDK reports API failures only in the message ('got status: 429 Too Many Requests. {...}'): copies the
+ * status and the retry delay of rate-limit responses onto the error, as providers/http.js does, for the scheduler.
+ * Requests aborted by their timeout ('exception AbortError: ... sending request') become `TimeoutError`s.
+ * @param {Error} error
+ * @returns {Error} The same error.
+ */
+function annotateApiError(error) {
+    const message = error.message || '';
+    if (/^exception (AbortError|TimeoutError)\b/.test(message)) error.name = 'TimeoutError';
+    const status = message.match(/got status: (\d{3})/);
+    if (status && error.status === undefined) error.status = Number(status[1]);
+    const retryDelay = message.match(/"retryDelay":\s*"(\d+(?:\.\d+)?)s"/);
+    if (retryDelay) error.retryAfter = Number(retryDelay[1]);
+    return error;
+}
+
+/**
+ * Describes the shape of a value as a Gemini response schema, so the model returns exactly the source's keys
+ * and value types. Empty containers, and arrays whose elements differ in shape, cannot be described.
+ * @param {any} value - A batch's texts or a source document.
+ * @returns {object | null} The schema, or null if (part of) the value cannot be described.
+ */
+function buildResponseSchema(value) {
+    if (typeof value === 'string') return { type: Type.STRING };
+    if (typeof value === 'number') return { type: Number.isInteger(value) ? Type.INTEGER : Type.NUMBER };
+    if (typeof value === 'boolean') return { type: Type.BOOLEAN };
+    if (value === null) return { type: Type.STRING, nullable: true };
+    if (Array.isArray(value)) {
+        if (value.length === 0 || Object.keys(value).length !== value.length) return null; // Empty, or a chunk's partial array
+        const itemSchemas = value.map(buildResponseSchema);
+        const itemSchema = itemSchemas[0];
+        if (itemSchemas.some(schema => !schema || JSON.stringify(schema) !== JSON.stringify(itemSchema))) return null;
+        const length = String(value.length);
+        return { type: Type.ARRAY, items: itemSchema, minItems: length, maxItems: length };
+    }
+    if (typeof value !== 'object') return null;
+    const keys = Object.keys(value);
+    if (keys.length === 0) return null;
+    const properties = {};
+    for (const key of keys) {
+        properties[key] = buildResponseSchema(value[key]);
+        if (!properties[key]) return null;
+    }
+    return { type: Type.OBJECT, properties, required: keys, propertyOrdering: keys };
+}
+
+/**
+ * Creates the Google Gemini provider.
+ * @param {object} options
+ * @param {string} options.apiKey - Google AI API key.
+ * @param {string} [options.modelName]
+ * @param {number} [options.timeoutMs] - Time allowed per request.
+ * @returns {object} A translation provider.
+ */
+export function createGeminiProvider({ apiKey, modelName = DEFAULT_GEMINI_MODEL, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS }) {
+    if (!apiKey) throw new Error("API Key is required for the Gemini provider.");
+    let aiClientInstance;
+    try {
+        // Initialize using the exact syntax: new GoogleGenAI({ apiKey })
+        aiClientInstance = new GoogleGenAI({ apiKey });
+    } catch (error) {
+        console.error("Failed to initialize Google AI Client:", error.message);
+        console.error("Ensure the package providing 'new GoogleGenAI({ apiKey })' syntax (e.g., '@google/genai'?) is installed.");
+        throw new Error(`Failed to initialize Google AI Client.`);
+    }
+
+    return createLlmProvider({
+        name: 'gemini',
+        model: modelName,
+        async complete(promptText, { source }) {
+            const contents = [{ role: 'user', parts: [{ text: promptText }] }];
+            const config = { responseMimeType: 'application/json' }; // Request JSON output
+            const responseSchema = buildResponseSchema(source);
+            if (responseSchema) config.responseSchema = responseSchema; // Constrains the output to the source's structure
+            // Use the exact API call structure: ai.models.generateContent({...}), with a fresh timeout per attempt
+            const generate = () => aiClientInstance.models.generateContent({ model: modelName, config: { ...config, abortSignal: AbortSignal.timeout(timeoutMs) }, contents });
+            let response;
+            try {
+                response = await generate();
+            } catch (error) {
+                annotateApiError(error);
+                // Very large or deeply nested documents can exceed the schema limits of the model
+                if (!(responseSchema && error.status === 400 && /schema/i.test(error.message))) throw error;
+                console.warn(`  ⚠️ The model rejected the response schema (${error.message.substring(0, 200)}). Retrying without it...`);
+                delete config.responseSchema;
+                try {
+                    response = await generate();
+                } catch (retryError) {
+                    throw annotateApiError(retryError);
+                }
+            }
+            // Use the exact response handling: response.text
+            return response.text;
+        },
+    });
+}
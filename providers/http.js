@@ -0,0 +1,32 @@
+// providers/http.js
+
+// Long enough for a whole-document response at the chunk size limit; a stalled connection fails after this
+export const DEFAULT_REQUEST_TIMEOUT_MS = 300000;
+
+/**
+ * POSTs a JSON body and returns the parsed JSON response.
+ * @param {string} url
+ * @param {object} body
+ * @param {Record<string, string>} [headers]
+ * @param {number} [timeoutMs=DEFAULT_REQUEST_TIMEOUT_MS] - Time allowed for the whole request.
+ * @returns {Promise<any>}
+ * @throws {Error} On non-2xx responses; the error carries `status` and, when sent, `retryAfter` (seconds).
+ *   A request that takes too long rejects with a `TimeoutError`.
+ */
+export async function postJson(url, body, headers = {}, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs), // Also covers reading the body below
+    });
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        const error = new Error(`HTTP ${response.status} from ${new URL(url).host}: ${errorText.substring(0, 300)}`);
+        error.status = response.status;
+        const retryAfter = Number(response.headers.get('retry-after'));
+        if (!Number.isNaN(retryAfter) && retryAfter > 0) error.retryAfter = retryAfter;
+        throw error;
+    }
+    return response.json();
+}
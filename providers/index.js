@@ -0,0 +1,75 @@
+// providers/index.js
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiCompatibleProvider, createLocalProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createDeepLProvider } from './deepl.js';
+
+export { DEFAULT_REQUEST_TIMEOUT_MS } from './http.js';
+
+/**
+ * Every provider implements the same contract:
+ * - `name` / `model`: identify the provider (used in logs and translation memory keys).
+ * - `translateBatch(texts, languages)`: resolves with one raw translation per input string.
+ * - `translateDocument(json, languages)` (optional): resolves with the translated document.
+ *   Providers without it get whole files translated through batches.
+ * `languages` is `{ sourceLangCode, targetLangCode, sourceLangName, targetLangName, glossary, notes }`, where `glossary`
+ *   holds the glossary entries used by the request (see glossary.js) and `notes` the translator notes of its strings
+ *   as `{ label, note }` entries (see keyNotes.js), each null if there are none; LLM providers add them to the prompt.
+ * Providers throw AppError for unusable responses and plain errors (with `status` and, for rate limits,
+ * `retryAfter` in seconds) for API failures; placeholder validation, batching and call counting happen in
+ * translator.js, request limits and retries in scheduler.js.
+ */
+const PROVIDER_FACTORIES = {
+    gemini: createGeminiProvider,
+    openai: createOpenAiCompatibleProvider,
+    anthropic: createAnthropicProvider,
+    deepl: createDeepLProvider,
+    local: createLocalProvider,
+};
+
+export const PROVIDER_LABELS = {
+    gemini: 'Google Gemini',
+    openai: 'OpenAI-compatible API',
+    anthropic: 'Anthropic',
+    deepl: 'DeepL',
+    local: 'Local OpenAI-compatible server',
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+/**
+ * Default request limits per provider (see scheduler.js), sized for entry-level API tiers;
+ * `translation.rateLimit` overrides them. Local servers handle one request at a time without a rate limit.
+ */
+export const PROVIDER_RATE_LIMITS = {
+    gemini: { requestsPerMinute: 15, maxConcurrent: 4 },
+    openai: { requestsPerMinute: 500, maxConcurrent: 8 },
+    anthropic: { requestsPerMinute: 50, maxConcurrent: 4 },
+    deepl: { requestsPerMinute: 60, maxConcurrent: 4 },
+    local: { requestsPerMinute: 0, maxConcurrent: 1 },
+};
+
+/**
+ * @param {string} name - Provider name.
+ * @returns {boolean} True if the provider cannot work without an API key.
+ */
+export function providerRequiresApiKey(name) {
+    return name !== 'local';
+}
+
+/**
+ * Creates a translation provider by name.
+ * @param {string} name - One of PROVIDER_NAMES.
+ * @param {{ apiKey?: string, modelName?: string, baseUrl?: string, timeoutMs?: number }} options
+ * @returns {object} The provider.
+ * @throws {Error} For unknown providers or invalid options.
+ */
+export function createProvider(name, options) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown translation provider '${name}'. Supported providers: ${PROVIDER_NAMES.join(', ')}.`);
+    }
+    // Drop undefined options so each factory's defaults apply
+    const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+    return factory(definedOptions);
+}
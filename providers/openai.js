@@ -0,0 +1,56 @@
+// providers/openai.js
+import { createLlmProvider } from './prompts.js';
+import { postJson, DEFAULT_REQUEST_TIMEOUT_MS } from './http.js';
+
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+export const DEFAULT_LOCAL_MODEL = 'llama3.1';
+export const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1'; // Ollama's OpenAI-compatible endpoint
+
+/**
+ * Creates a provider for any OpenAI-compatible `/chat/completions` endpoint
+ * (OpenAI, Azure-style proxies, OpenRouter, vLLM, Ollama, llama.cpp server, ...).
+ * @param {object} options
+ * @param {string} [options.name='openai'] - Provider name reported in logs.
+ * @param {string} [options.apiKey] - Bearer token; optional for local servers.
+ * @param {string} [options.modelName]
+ * @param {string} [options.baseUrl] - API root that `/chat/completions` is appended to.
+ * @param {boolean} [options.jsonMode=true] - Request `response_format: json_object` for whole documents.
+ *   Some local servers do not support it.
+ * @param {number} [options.timeoutMs] - Time allowed per request.
+ * @returns {object} A translation provider.
+ */
+export function createOpenAiCompatibleProvider({ name = 'openai', apiKey, modelName = DEFAULT_OPENAI_MODEL, baseUrl = DEFAULT_OPENAI_BASE_URL, jsonMode = true, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    const headers = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+
+    return createLlmProvider({
+        name,
+        model: modelName,
+        async complete(promptText, { expect }) {
+            const body = {
+                model: modelName,
+                temperature: 0,
+                messages: [{ role: 'user', content: promptText }],
+            };
+            // json_object mode only allows objects at the top level, so arrays rely on the prompt alone
+            if (jsonMode && expect === 'object') body.response_format = { type: 'json_object' };
+            const data = await postJson(endpoint, body, headers, timeoutMs);
+            return data.choices?.[0]?.message?.content;
+        },
+    });
+}
+
+/**
+ * Creates a provider for a local OpenAI-compatible server such as Ollama or llama.cpp.
+ * No API key is required and JSON mode is left to the prompt.
+ * @param {object} options
+ * @param {string} [options.apiKey]
+ * @param {string} [options.modelName]
+ * @param {string} [options.baseUrl]
+ * @param {number} [options.timeoutMs]
+ * @returns {object} A translation provider.
+ */
+export function createLocalProvider({ apiKey, modelName = DEFAULT_LOCAL_MODEL, baseUrl = DEFAULT_LOCAL_BASE_URL, timeoutMs }) {
+    return createOpenAiCompatibleProvider({ name: 'local', apiKey, modelName, baseUrl, jsonMode: false, timeoutMs });
+}
@@ -0,0 +1,135 @@
+// providers/prompts.js
+import { AppError } from '../utils.js';
+
+/**
+ * Builds the glossary section of a prompt (see glossary.js).
+ * @param {{ terms: Array<{ source: string, target: string }>, doNotTranslate: string[] } | null} glossary
+ * @param {string} targetLangName
+ * @returns {string} The section followed by a blank line, or an empty string without glossary entries.
+ */
+function buildGlossarySection(glossary, targetLangName) {
+    if (!glossary) return '';
+    const lines = [
+        ...glossary.terms.map(({ source, target }) => `- Translate "${source}" as "${target}".`),
+        ...glossary.doNotTranslate.map(term => `- Keep "${term}" exactly as written; do not translate it.`),
+    ];
+    return `GLOSSARY: Always use these ${targetLangName} terms, consistently in every string:
+${lines.join('\n')}
+
+`;
+}
+
+/**
+ * Builds the translator notes section of a prompt (see keyNotes.js).
+ * @param {Array<{ label: string, note: string }> | null} notes - One entry per string (or key) with notes.
+ * @param {string} subject - What the labels refer to, e.g. 'keys'.
+ * @returns {string} The section followed by a blank line, or an empty string without notes.
+ */
+function buildNotesSection(notes, subject) {
+    if (!notes || notes.length === 0) return '';
+    return `TRANSLATOR NOTES: Context for some of the ${subject}. Use it to choose the right meaning and wording, and never exceed a maximum length:
+${notes.map(({ label, note }) => `- ${label}: ${note}`).join('\n')}
+
+`;
+}
+
+/**
+ * Builds the prompt asking an LLM to translate a list of strings into a JSON array.
+ * @param {string[]} texts - Strings to translate.
+ * @param {string} sourceLangName - Human-readable source language name.
+ * @param {string} targetLangName - Human-readable target language name.
+ * @param {object | null} [glossary] - Glossary entries used by the texts.
+ * @param {Array<{ label: string, note: string }> | null} [notes] - Translator notes, labelled by position ('#0' is the first text).
+ * @returns {string}
+ */
+export function buildBatchPrompt(texts, sourceLangName, targetLangName, glossary = null, notes = null) {
+    return `Translate the following list of ${texts.length} text strings accurately from ${sourceLangName} to ${targetLangName}.
+IMPORTANT: Preserve any interpolation placeholders exactly as they appear in the source text (e.g., {{variable}}, %s, :value, {0}). Do not translate the content within placeholders.
+Return ONLY a valid JSON array where each element is the translated string corresponding to the input strings, in the exact same order.
+Do not include explanations, markdown formatting, or anything outside the JSON array structure (e.g., ["translation1", "translation2", ...]).
+
+${buildGlossarySection(glossary, targetLangName)}${buildNotesSection(notes, 'input strings, by position in the list (#0 is the first)')}Input Texts:
+${JSON.stringify(texts, null, 2)}
+
+JSON Array Output:`;
+}
+
+/**
+ * Builds the prompt asking an LLM to translate the string values of a whole JSON document.
+ * @param {object | Array} sourceJson - The source document.
+ * @param {string} sourceLangName
+ * @param {string} targetLangName
+ * @param {object | null} [glossary] - Glossary entries used by the document.
+ * @param {Array<{ label: string, note: string }> | null} [notes] - Translator notes, labelled by dotted key path.
+ * @returns {string}
+ */
+export function buildDocumentPrompt(sourceJson, sourceLangName, targetLangName, glossary = null, notes = null) {
+    return `Translate the text values within the following JSON object from ${sourceLangName} to ${targetLangName}.Dont forget the plurals to handle and to make them make sense.
+IMPORTANT INSTRUCTIONS:
+1. Preserve the exact JSON structure (all keys, nesting, arrays, etc.).
+2. Translate only the user-facing string values. Do not translate keys or non-string values.
+3. Preserve any interpolation placeholders exactly as they appear (e.g., {{variable}}, %s, :value, {0}). Do not translate inside placeholders.
+4. Keys ending in _zero, _one, _two, _few, _many or _other (or _ordinal_one, _ordinal_other, ...) are plural forms. Translate each with the wording ${targetLangName} uses for that plural category, even when several source values are identical.
+5. Output ONLY the raw translated JSON object. Do not include \`\`\`json markdown, explanations, or any text outside the JSON structure itself.
+
+${buildGlossarySection(glossary, targetLangName)}${buildNotesSection(notes, 'keys (dotted key paths)')}Source JSON:
+\`\`\`json
+${JSON.stringify(sourceJson, null, 2)}
+\`\`\`
+
+Translated JSON object only:`;
+}
+
+/**
+ * Parses a JSON model response, tolerating a surrounding markdown code fence.
+ * @param {string} responseText - Raw text returned by the model.
+ * @param {string} description - What was requested, used in error messages (e.g., 'string batch').
+ * @returns {any} The parsed value.
+ * @throws {AppError} With code 'EMPTY_RESPONSE' or 'INVALID_RESPONSE'.
+ */
+export function parseJsonResponse(responseText, description) {
+    if (!responseText || !responseText.trim()) {
+        throw new AppError(`Received empty text response for ${description}`, 'EMPTY_RESPONSE');
+    }
+    const unfenced = responseText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(unfenced);
+    } catch (parseError) {
+        const preview = responseText.substring(0, 500) + (responseText.length > 500 ? '...' : '');
+        throw new AppError(`Failed to parse ${description} response as JSON (${parseError.message}). Raw response: ${preview}`, 'INVALID_RESPONSE');
+    }
+}
+
+/**
+ * Wraps a text-completion function into the shared provider contract
+ * (`translateBatch` and `translateDocument`) used by translator.js.
+ * @param {object} options
+ * @param {string} options.name - Provider name (e.g., 'openai').
+ * @param {string} options.model - Model name.
+ * @param {(prompt: string, options: { expect: 'array'|'object', source: string[] | object | Array }) => Promise<string>} options.complete -
+ *   Sends one prompt and resolves with the raw response text. `source` is the batch's texts or the source document,
+ *   for providers that can constrain the response to its shape.
+ * @returns {object} A translation provider.
+ */
+export function createLlmProvider({ name, model, complete }) {
+    return {
+        name,
+        model,
+        async translateBatch(texts, { sourceLangName, targetLangName, glossary, notes }) {
+            const responseText = await complete(buildBatchPrompt(texts, sourceLangName, targetLangName, glossary, notes), { expect: 'array', source: texts });
+            const translated = parseJsonResponse(responseText, 'string batch');
+            if (!Array.isArray(translated)) {
+                throw new AppError('String batch response was not a valid JSON array', 'INVALID_RESPONSE');
+            }
+            return translated;
+        },
+        async translateDocument(sourceJson, { sourceLangName, targetLangName, glossary, notes }) {
+            const responseText = await complete(buildDocumentPrompt(sourceJson, sourceLangName, targetLangName, glossary, notes), { expect: 'object', source: sourceJson });
+            const translated = parseJsonResponse(responseText, 'JSON document');
+            if (typeof translated !== 'object' || translated === null) {
+                throw new AppError('API response was not a valid JSON object/array after parsing', 'INVALID_RESPONSE');
+            }
+            return translated;
+        },
+    };
+}
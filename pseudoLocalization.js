@@ -0,0 +1,151 @@
+// pseudoLocalization.js
+import { PLACEHOLDER_REGEX } from './placeholders.js';
+import { parseIcuMessage, rewriteIcuMessage } from './icuMessages.js';
+
+// Pseudo-locales recognised as target languages (canonical casing as used for directories)
+const PSEUDO_LOCALES = {
+    'en-XA': { mirror: false }, // Accented, expanded
+    'ar-XB': { mirror: true },  // Right-to-left mirrored
+};
+
+const ACCENTED_CHARACTERS = {
+    a: 'å', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+    n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+    A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+    N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž',
+};
+
+const RIGHT_TO_LEFT_MARK = '\u200F';
+const RIGHT_TO_LEFT_OVERRIDE = '\u202E';
+const POP_DIRECTIONAL_FORMATTING = '\u202C';
+const PAD_CHARACTER = '~';
+
+// Default expansion: roughly what translated UI text grows by; short strings grow the most
+const DEFAULT_EXPANSION = [
+    { maxLength: 10, ratio: 0.5 },
+    { maxLength: 20, ratio: 0.4 },
+    { maxLength: Infinity, ratio: 0.3 },
+];
+
+let pseudoSettings = { allTargets: false, mirror: false, expansion: DEFAULT_EXPANSION };
+
+/**
+ * Configures pseudo-localization from the `translation.pseudo` config section.
+ * @param {object} [settings]
+ * @param {boolean} [settings.allTargets=false] - Pseudo-localize every target language (the 'pseudo' provider),
+ *   not only pseudo-locales such as en-XA.
+ * @param {boolean} [settings.mirror=false] - Use the right-to-left mirrored variant for all pseudo output.
+ * @param {number | Array<{maxLength: number, ratio: number}>} [settings.expansion] - Extra length added as padding,
+ *   either one ratio for all strings or ratios by source length (first rule whose maxLength fits wins).
+ */
+export function configurePseudoLocalization({ allTargets = false, mirror = false, expansion = DEFAULT_EXPANSION } = {}) {
+    pseudoSettings = { allTargets, mirror, expansion };
+}
+
+/**
+ * @param {string} code - Language code.
+ * @returns {boolean} True if the code is a pseudo-locale (e.g., 'en-XA', 'ar-XB'), case-insensitively.
+ */
+export function isPseudoLocale(code) {
+    return Boolean(canonicalPseudoLocale(code));
+}
+
+/**
+ * Returns the canonical spelling of a pseudo-locale code (e.g., 'en-xa' → 'en-XA').
+ * @param {string} code
+ * @returns {string | null} The canonical code, or null if it is not a pseudo-locale.
+ */
+export function canonicalPseudoLocale(code) {
+    if (typeof code !== 'string') return null;
+    return Object.keys(PSEUDO_LOCALES).find(locale => locale.toLowerCase() === code.trim().toLowerCase()) || null;
+}
+
+/**
+ * @param {string} targetLang
+ * @returns {boolean} True if files for this target language are pseudo-localized instead of translated.
+ */
+export function shouldPseudoLocalize(targetLang) {
+    return pseudoSettings.allTargets || isPseudoLocale(targetLang);
+}
+
+function getExpansionRatio(length) {
+    const { expansion } = pseudoSettings;
+    if (typeof expansion === 'number') return expansion;
+    const rule = expansion.find(candidate => length <= (candidate.maxLength ?? Infinity));
+    return rule ? rule.ratio : 0;
+}
+
+function accentText(text) {
+    return [...text].map(char => ACCENTED_CHARACTERS[char] || char).join('');
+}
+
+/**
+ * Accents the text segments of a string, leaving placeholders untouched.
+ * @returns {{ text: string, textLength: number }} The transformed string and the length of its text segments.
+ */
+function accentSegments(text, mirror) {
+    // split() with a capturing regex returns text and placeholders alternately
+    const parts = text.split(PLACEHOLDER_REGEX);
+    const textLength = parts.filter((part, index) => index % 2 === 0).join('').length;
+    const transformed = parts.map((part, index) => {
+        if (index % 2 === 1 || !part) return part; // Placeholder or empty segment
+        const accented = accentText(part);
+        return mirror ? `${RIGHT_TO_LEFT_OVERRIDE}${accented}${POP_DIRECTIONAL_FORMATTING}` : accented;
+    }).join('');
+    return { text: transformed, textLength };
+}
+
+/**
+ * Pseudo-localizes one string: accents letters, pads it by the expansion ratio and brackets it,
+ * leaving every placeholder recognised by PLACEHOLDER_REGEX untouched. In ICU messages only the
+ * literal text is accented, so plural/select syntax keeps working.
+ * e.g. "Save {{count}} items" → "[!! Šåṽé {{count}} íţéɱš ~~~~~ !!]"
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.mirror=false] - Wrap text segments in right-to-left overrides.
+ * @returns {string}
+ */
+export function pseudoLocalizeString(text, { mirror = false } = {}) {
+    if (typeof text !== 'string' || !text.trim()) return text;
+
+    let transformed;
+    let textLength;
+    const icuMessage = parseIcuMessage(text);
+    if (icuMessage) {
+        textLength = 0;
+        transformed = rewriteIcuMessage(icuMessage, segment => {
+            const result = accentSegments(segment, mirror);
+            textLength += result.textLength;
+            return result.text;
+        });
+    } else {
+        ({ text: transformed, textLength } = accentSegments(text, mirror));
+    }
+
+    const padLength = Math.ceil(textLength * getExpansionRatio(textLength));
+    const padding = padLength > 0 ? ` ${PAD_CHARACTER.repeat(padLength)}` : '';
+    const result = `[!! ${transformed}${padding} !!]`;
+    return mirror ? `${RIGHT_TO_LEFT_MARK}${result}` : result;
+}
+
+/**
+ * Pseudo-localizes every string in a structure for a target language.
+ * @param {any} node - Source structure.
+ * @param {string} targetLang - Target language (ar-XB and the `mirror` setting select the mirrored variant).
+ * @returns {any} New structure with pseudo-localized strings; non-string values are kept.
+ */
+export function pseudoLocalizeStructure(node, targetLang) {
+    const mirror = pseudoSettings.mirror || Boolean(PSEUDO_LOCALES[canonicalPseudoLocale(targetLang)]?.mirror);
+    const transform = value => {
+        if (Array.isArray(value)) return value.map(transform);
+        if (typeof value === 'object' && value !== null) {
+            const newObj = {};
+            for (const key in value) {
+                if (Object.prototype.hasOwnProperty.call(value, key)) newObj[key] = transform(value[key]);
+            }
+            return newObj;
+        }
+        return typeof value === 'string' ? pseudoLocalizeString(value, { mirror }) : value;
+    };
+    return transform(node);
+}
@@ -0,0 +1,172 @@
+// scheduler.js
+// Runs translation API requests concurrently under the provider's limits (requests per minute and requests
+// in flight), retrying rate-limit and server errors with exponential backoff. Once a quota is used up,
+// every pending and later request fails with QuotaExceededError so the run can stop cleanly.
+import pLimit from 'p-limit';
+
+const DEFAULT_SETTINGS = { requestsPerMinute: 60, maxConcurrent: 4, maxRetries: 5 };
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+// Per-minute rate limits and used-up budgets both arrive as 429s; these mark budgets that do not come back soon
+// (OpenAI's billing quota, Gemini's per-day quotas, Anthropic's credit balance)
+const QUOTA_EXHAUSTED_PATTERN = /insufficient_quota|quota exceeded|PerDay|per day|credit balance is too low/i;
+const QUOTA_STATUSES = [400, 402, 403, 429];
+
+/**
+ * Thrown for every request once the provider reported a used-up quota (see isQuotaExhausted).
+ */
+export class QuotaExceededError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuotaExceededError';
+        this.code = 'QUOTA_EXCEEDED';
+    }
+}
+
+let settings = { ...DEFAULT_SETTINGS };
+let limit = pLimit(DEFAULT_SETTINGS.maxConcurrent);
+let nextSlotAt = 0; // Earliest start of the next request (requests per minute)
+let pausedUntil = 0; // Set by rate-limit responses: no request starts before this time
+let quotaError = null;
+let retryCounter = 0;
+
+/**
+ * Configures the scheduler for the active provider and resets its state.
+ * @param {object} [options]
+ * @param {number} [options.requestsPerMinute=60] - Requests started per minute; 0 for no limit.
+ * @param {number} [options.maxConcurrent=4] - Requests in flight at the same time.
+ * @param {number} [options.maxRetries=5] - Retries of a request after 429, 5xx or network errors.
+ */
+export function configureScheduler({ requestsPerMinute = DEFAULT_SETTINGS.requestsPerMinute, maxConcurrent = DEFAULT_SETTINGS.maxConcurrent, maxRetries = DEFAULT_SETTINGS.maxRetries } = {}) {
+    settings = { requestsPerMinute, maxConcurrent, maxRetries };
+    limit = pLimit(maxConcurrent);
+    nextSlotAt = 0;
+    pausedUntil = 0;
+    quotaError = null;
+    retryCounter = 0;
+}
+
+/**
+ * @returns {{ requestsPerMinute: number, maxConcurrent: number, maxRetries: number }} The active limits.
+ */
+export function getSchedulerSettings() {
+    return { ...settings };
+}
+
+/**
+ * @returns {{ retries: number, quotaExceeded: boolean }}
+ */
+export function getSchedulerStats() {
+    return { retries: retryCounter, quotaExceeded: quotaError !== null };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/** Waits for the next request slot: requests per minute are spread evenly, and rate-limit pauses are honoured. */
+async function waitForSlot() {
+    const interval = settings.requestsPerMinute > 0 ? 60000 / settings.requestsPerMinute : 0;
+    const startAt = Math.max(Date.now(), nextSlotAt);
+    nextSlotAt = startAt + interval; // Reserved synchronously, so concurrent callers get distinct slots
+    if (startAt > Date.now()) await sleep(startAt - Date.now());
+    while (Date.now() < pausedUntil) await sleep(pausedUntil - Date.now());
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the provider reported a quota that retrying will not restore
+ *   (daily limits, billing quotas, DeepL's 456 status).
+ */
+function isQuotaExhausted(error) {
+    if (error.status === 456) return true;
+    return QUOTA_STATUSES.includes(error.status) && QUOTA_EXHAUSTED_PATTERN.test(error.message || '');
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True for rate limits (429), timeouts (408 and requests aborted by their own timeout),
+ *   server errors (5xx) and dropped connections.
+ */
+function isRetryable(error) {
+    if (error.status !== undefined) return error.status === 408 || error.status === 429 || error.status >= 500;
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') return true;
+    const code = error.code || error.cause?.code;
+    return RETRYABLE_NETWORK_CODES.has(code) || (error.name === 'TypeError' && /fetch failed/i.test(error.message));
+}
+
+/**
+ * Delay before the next attempt: the provider's retry-after hint if it sent one, otherwise exponential
+ * backoff (1s, 2s, 4s, ... up to 60s) with jitter, so parallel requests do not retry in lockstep.
+ */
+function getRetryDelay(error, attempt) {
+    if (error.retryAfter > 0) return error.retryAfter * 1000 + Math.random() * BASE_RETRY_DELAY_MS;
+    const backoff = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+    return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Runs an API request under the configured limits. Rate-limit, server and network errors are retried
+ * (a 429 pauses all requests until its retry delay has passed); other errors are thrown right away.
+ * @template T
+ * @param {() => Promise<T>} request - Sends the request; called once per attempt.
+ * @param {string} description - Used in retry messages (e.g., 'string batch en → de').
+ * @returns {Promise<T>}
+ * @throws {QuotaExceededError} If the quota is used up (now or by an earlier request).
+ * @throws {Error} The request's last error once it is not retryable or the retries are used up.
+ */
+export async function scheduleRequest(request, description) {
+    for (let attempt = 0; ; attempt++) {
+        if (quotaError) throw quotaError;
+        try {
+            return await limit(async () => {
+                await waitForSlot();
+                if (quotaError) throw quotaError; // Used up while this request was waiting
+                return request();
+            });
+        } catch (error) {
+            if (error instanceof QuotaExceededError) throw error;
+            if (isQuotaExhausted(error)) {
+                quotaError = quotaError || new QuotaExceededError(`Translation quota used up: ${error.message}`);
+                throw quotaError;
+            }
+            if (!isRetryable(error) || attempt >= settings.maxRetries) throw error;
+            const delay = getRetryDelay(error, attempt);
+            if (error.status === 429) pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+            retryCounter++;
+            console.warn(`  ⏳ ${description}: ${error.status ? `HTTP ${error.status}` : error.message}. Retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${settings.maxRetries + 1})...`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Runs a task for every target language: concurrently when translating (the requests are kept within the
+ * limits above), otherwise one after another so the output stays in order. Concurrent tasks all run to
+ * their end, so no file is written after this returns.
+ * @param {string[]} languages
+ * @param {(language: string) => Promise<void>} task - Handles its own errors; only QuotaExceededError is expected to escape.
+ * @param {object} [options]
+ * @param {boolean} [options.concurrent=false]
+ * @returns {Promise<QuotaExceededError | null>} The quota error if the run stopped on a used-up quota.
+ */
+export async function runLanguageTasks(languages, task, { concurrent = false } = {}) {
+    const failures = [];
+    if (concurrent) {
+        const results = await Promise.allSettled(languages.map(task));
+        results.filter(result => result.status === 'rejected').forEach(result => failures.push(result.reason));
+    } else {
+        for (const language of languages) {
+            try {
+                await task(language);
+            } catch (error) {
+                failures.push(error);
+                if (error instanceof QuotaExceededError) break;
+            }
+        }
+    }
+    const unexpected = failures.find(error => !(error instanceof QuotaExceededError));
+    if (unexpected) throw unexpected;
+    return failures[0] ?? null;
+}
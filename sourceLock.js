@@ -0,0 +1,160 @@
+// sourceLock.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { walkLeaves, getValueAtPath } from './utils.js';
+
+export const SOURCE_LOCK_FILE_NAME = '.i18n-lock.json';
+const SOURCE_LOCK_VERSION = 1;
+
+/**
+ * Hashes a value for change detection. Short hashes keep the lockfile readable in diffs.
+ * @param {any} value
+ * @returns {string} 16-character hex hash.
+ */
+export function hashValue(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Loads the source lockfile from the base directory.
+ * The lockfile records, per target language, file and key path, the hash of the source string
+ * a target value was produced from and the hash of that target value.
+ * @param {string} baseDir - Absolute base directory containing the language folders.
+ * @returns {Promise<{ version: number, languages: object }>} The lock, or an empty lock if none exists.
+ */
+export async function loadSourceLock(baseDir) {
+    const lockPath = path.join(baseDir, SOURCE_LOCK_FILE_NAME);
+    try {
+        const lock = JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+        if (typeof lock !== 'object' || lock === null || typeof lock.languages !== 'object' || lock.languages === null) {
+            console.warn(`⚠️ Unexpected content in ${SOURCE_LOCK_FILE_NAME}. Starting a new lockfile.`);
+            return { version: SOURCE_LOCK_VERSION, languages: {} };
+        }
+        return lock;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Could not read ${SOURCE_LOCK_FILE_NAME}: ${error.message}. Starting a new lockfile.`);
+        }
+        return { version: SOURCE_LOCK_VERSION, languages: {} };
+    }
+}
+
+/**
+ * Writes the source lockfile to the base directory.
+ * @param {string} baseDir
+ * @param {object} lock
+ */
+export async function saveSourceLock(baseDir, lock) {
+    const lockPath = path.join(baseDir, SOURCE_LOCK_FILE_NAME);
+    await fs.writeFile(lockPath, JSON.stringify({ ...lock, version: SOURCE_LOCK_VERSION }, null, 2), 'utf-8');
+}
+
+/**
+ * Finds target entries whose source string changed since the target value was last written.
+ * An entry is stale when its source hash no longer matches the lock AND the target value is still
+ * the one recorded in the lock (a target edited by hand since then counts as updated).
+ * Files without lock entries yet are treated as up to date.
+ * @param {any} sourceJson
+ * @param {any} targetJson - The (already structure-synced) target content.
+ * @param {object} lock
+ * @param {string} lang - Target language code.
+ * @param {string} filename
+ * @returns {Array<{ path: string, sourceValue: string }>} Stale entries.
+ */
+export function findStaleEntries(sourceJson, targetJson, lock, lang, filename) {
+    const fileLock = lock.languages[lang]?.[filename];
+    if (!fileLock) return [];
+
+    const staleEntries = [];
+    walkLeaves(sourceJson, (sourceValue, keyPath) => {
+        if (typeof sourceValue !== 'string') return;
+        const entry = fileLock[keyPath];
+        if (!entry || entry.source === hashValue(sourceValue)) return;
+        const targetValue = getValueAtPath(targetJson, keyPath);
+        if (typeof targetValue === 'string' && hashValue(targetValue) === entry.target) {
+            staleEntries.push({ path: keyPath, sourceValue });
+        }
+    });
+    return staleEntries;
+}
+
+/**
+ * Records the current source/target hashes of every string leaf of a file.
+ * @param {object} lock
+ * @param {string} lang - Target language code.
+ * @param {string} filename
+ * @param {any} sourceJson
+ * @param {any} targetJson - The content written to the target file.
+ * @param {string[]} [stalePaths=[]] - Paths left stale (not re-translated); their previous source hash is kept
+ *   and they are flagged with `stale: true`.
+ */
+export function updateFileLock(lock, lang, filename, sourceJson, targetJson, stalePaths = []) {
+    const previousFileLock = lock.languages[lang]?.[filename] || {};
+    const staleSet = new Set(stalePaths);
+    const fileLock = {};
+
+    walkLeaves(sourceJson, (sourceValue, keyPath) => {
+        if (typeof sourceValue !== 'string') return;
+        const targetValue = getValueAtPath(targetJson, keyPath);
+        if (typeof targetValue !== 'string') return;
+        if (staleSet.has(keyPath) && previousFileLock[keyPath]) {
+            fileLock[keyPath] = { ...previousFileLock[keyPath], stale: true };
+        } else {
+            fileLock[keyPath] = { source: hashValue(sourceValue), target: hashValue(targetValue) };
+        }
+    });
+
+    if (!lock.languages[lang]) lock.languages[lang] = {};
+    lock.languages[lang][filename] = fileLock;
+}
+
+/**
+ * Records the current source/target hashes of some string leaves of a file, leaving its other entries
+ * (including stale flags) as they are.
+ * @param {object} lock
+ * @param {string} lang - Target language code.
+ * @param {string} filename
+ * @param {any} sourceJson
+ * @param {any} targetJson - The content written to the target file.
+ * @param {string[]} keyPaths - Paths whose target value was just written.
+ */
+export function updateLockEntries(lock, lang, filename, sourceJson, targetJson, keyPaths) {
+    if (!lock.languages[lang]) lock.languages[lang] = {};
+    const fileLock = lock.languages[lang][filename] || {};
+    for (const keyPath of keyPaths) {
+        const sourceValue = getValueAtPath(sourceJson, keyPath);
+        const targetValue = getValueAtPath(targetJson, keyPath);
+        if (typeof sourceValue !== 'string' || typeof targetValue !== 'string') continue;
+        fileLock[keyPath] = { source: hashValue(sourceValue), target: hashValue(targetValue) };
+    }
+    lock.languages[lang][filename] = fileLock;
+}
+
+/**
+ * Checks whether the lock records a target value as written for the current source value (and not stale),
+ * e.g. a translation that is identical to its source ('OK') and was accepted as such.
+ * @param {object} lock
+ * @param {string} lang - Target language code.
+ * @param {string} filename
+ * @param {string} keyPath
+ * @param {string} sourceValue
+ * @param {string} targetValue
+ * @returns {boolean}
+ */
+export function isLockedValue(lock, lang, filename, keyPath, sourceValue, targetValue) {
+    const entry = lock.languages[lang]?.[filename]?.[keyPath];
+    return Boolean(entry) && !entry.stale && entry.source === hashValue(sourceValue) && entry.target === hashValue(targetValue);
+}
+
+/**
+ * Removes the lock entries of a deleted target file.
+ * @param {object} lock
+ * @param {string} lang
+ * @param {string} filename
+ */
+export function removeFileLock(lock, lang, filename) {
+    if (lock.languages[lang]) {
+        delete lock.languages[lang][filename];
+    }
+}
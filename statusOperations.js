@@ -0,0 +1,129 @@
+// statusOperations.js
+import fs from 'fs/promises';
+import path from 'path';
+import { walkLeaves, getValueAtPath } from './utils.js';
+import { getSourceFiles } from './fileOperations.js';
+import { getLocaleFilePath } from './localePaths.js';
+import { readLocaleFile, readLocaleFileIfExists } from './formats/index.js';
+import { localizePluralKeys } from './pluralKeys.js';
+import { loadSourceLock, findStaleEntries } from './sourceLock.js';
+import { formatStatusTable, formatStatusHtml } from './statusReport.js';
+
+// Strings with a letter; strings without one (e.g. '{{count}}' or '%') are expected to stay identical
+const LETTER_REGEX = /\p{L}/u;
+
+function createCounts() {
+    return { total: 0, translated: 0, empty: 0, identical: 0, stale: 0, missing: 0 };
+}
+
+function addCounts(totals, counts) {
+    for (const key of Object.keys(totals)) totals[key] += counts[key];
+}
+
+/**
+ * Classifies every non-empty source string of a file by the state of its target value.
+ * @param {any} sourceJson - Source structure, with plural keys localized for the target language.
+ * @param {any} targetJson - Target structure, or null if the file is missing or unreadable.
+ * @param {Set<string>} stalePaths - Key paths whose source changed since they were translated.
+ * @returns {{ counts: object, keys: { missing: string[], empty: string[], stale: string[], identical: string[] } }}
+ */
+function classifyFile(sourceJson, targetJson, stalePaths) {
+    const counts = createCounts();
+    const keys = { missing: [], empty: [], stale: [], identical: [] };
+    walkLeaves(sourceJson, (sourceValue, keyPath) => {
+        if (typeof sourceValue !== 'string' || !sourceValue.trim()) return;
+        const targetValue = targetJson === null ? undefined : getValueAtPath(targetJson, keyPath);
+        let category = 'translated';
+        if (typeof targetValue !== 'string') category = 'missing';
+        else if (!targetValue.trim()) category = 'empty';
+        else if (stalePaths.has(keyPath)) category = 'stale';
+        else if (targetValue === sourceValue && LETTER_REGEX.test(sourceValue)) category = 'identical';
+
+        counts.total++;
+        counts[category]++;
+        if (category !== 'translated') keys[category].push(keyPath);
+    });
+    return { counts, keys };
+}
+
+/**
+ * Computes translation coverage per language and per locale file, without changing anything.
+ * Every non-empty source string counts once and is either translated, missing (no string at its key path),
+ * empty, stale (source changed since it was translated, see the source lockfile) or identical to the source
+ * (probably untranslated; strings without letters are not counted as identical).
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @returns {Promise<object>} Report: `{ sourceLang, generatedAt, languages: [{ lang, counts, coverage, files }] }`. Each file entry is
+ *   `{ file, state, error?, counts, coverage, keys }`; `state` is 'present', 'missing' or 'invalid' (unparsable, see `error`)
+ *   and `keys` lists the key paths per untranslated category.
+ */
+export async function collectStatus(baseDir, sourceLang, targetLangs) {
+    const sourceFiles = await getSourceFiles(baseDir, sourceLang);
+    const sourceLock = await loadSourceLock(baseDir);
+    const sources = [];
+    for (const filename of sourceFiles) {
+        try {
+            const { data } = await readLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang });
+            sources.push({ filename, sourceJson: data });
+        } catch (error) {
+            console.error(`  ❌ Could not read source file ${filename}: ${error.message}`);
+        }
+    }
+
+    const coverage = counts => (counts.total === 0 ? 100 : Math.round((counts.translated / counts.total) * 1000) / 10);
+    const languages = [];
+    for (const targetLang of targetLangs) {
+        if (targetLang === sourceLang) continue;
+        const totals = createCounts();
+        const files = [];
+        for (const { filename, sourceJson: sourceData } of sources) {
+            const sourceJson = localizePluralKeys(sourceData, targetLang);
+            let targetJson = null;
+            let fileState = { state: 'present' };
+            try {
+                const target = await readLocaleFileIfExists(getLocaleFilePath(baseDir, targetLang, filename), { lang: targetLang });
+                if (target) targetJson = target.data;
+                else fileState = { state: 'missing' };
+            } catch (error) {
+                fileState = { state: 'invalid', error: error.message };
+            }
+            const stalePaths = targetJson === null
+                ? new Set()
+                : new Set(findStaleEntries(sourceJson, targetJson, sourceLock, targetLang, filename).map(entry => entry.path));
+
+            const { counts, keys } = classifyFile(sourceJson, targetJson, stalePaths);
+            addCounts(totals, counts);
+            files.push({ file: filename, ...fileState, counts, coverage: coverage(counts), keys });
+        }
+        languages.push({ lang: targetLang, counts: totals, coverage: coverage(totals), files });
+    }
+    return { sourceLang, generatedAt: new Date().toISOString(), languages };
+}
+
+/**
+ * Runs the `status` command: prints a coverage table and optionally writes JSON and HTML reports.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {object} [options]
+ * @param {string} [options.jsonFile] - Absolute path for the JSON report.
+ * @param {string} [options.htmlFile] - Absolute path for the standalone HTML report.
+ */
+export async function runStatus(baseDir, sourceLang, targetLangs, { jsonFile = null, htmlFile = null } = {}) {
+    console.log(`\n📊 Computing translation status against '${sourceLang}'...`);
+    const report = await collectStatus(baseDir, sourceLang, targetLangs);
+    console.log(formatStatusTable(report));
+
+    const outputs = [[jsonFile, 'JSON', () => `${JSON.stringify(report, null, 2)}\n`], [htmlFile, 'HTML', () => formatStatusHtml(report)]];
+    for (const [file, label, render] of outputs) {
+        if (!file) continue;
+        try {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, render(), 'utf-8');
+            console.log(`💾 Saved ${label} status report to ${path.relative(process.cwd(), file)}`);
+        } catch (error) {
+            console.error(`❌ Failed to write ${label} status report to ${file}: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,121 @@
+// statusReport.js
+// Renders the translation status computed by statusOperations.js as a terminal table or a standalone HTML page.
+
+const COLUMNS = [
+    { label: 'Total', key: 'total' },
+    { label: 'Translated', key: 'translated' },
+    { label: 'Empty', key: 'empty' },
+    { label: 'Identical', key: 'identical' },
+    { label: 'Stale', key: 'stale' },
+    { label: 'Missing', key: 'missing' },
+];
+// Key lists shown in the HTML drill-down, with their headings
+const KEY_SECTIONS = [
+    { key: 'missing', label: 'Missing' },
+    { key: 'empty', label: 'Empty' },
+    { key: 'stale', label: 'Stale (source changed)' },
+    { key: 'identical', label: 'Identical to source' },
+];
+
+function formatCoverage(coverage) {
+    return `${coverage.toFixed(1)}%`;
+}
+
+/**
+ * Renders the report as a table with one row per file and a total row per language.
+ * @param {object} report - Report built by collectStatus.
+ * @returns {string}
+ */
+export function formatStatusTable(report) {
+    if (report.languages.length === 0) return '\n  No target languages to report.';
+    const rows = [['Language', 'File', ...COLUMNS.map(column => column.label), 'Coverage']];
+    for (const { lang, counts, coverage, files } of report.languages) {
+        for (const file of files) {
+            rows.push([lang, file.state === 'present' ? file.file : `${file.file} (${file.state})`,
+                ...COLUMNS.map(column => String(file.counts[column.key])), formatCoverage(file.coverage)]);
+        }
+        rows.push([lang, 'Σ all files', ...COLUMNS.map(column => String(counts[column.key])), formatCoverage(coverage)]);
+    }
+
+    const widths = rows[0].map((_, index) => Math.max(...rows.map(row => row[index].length)));
+    const formatRow = row => `  ${row.map((cell, index) => (index < 2 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  ')}`;
+    const lines = [`\n  Translation status (source: ${report.sourceLang})\n`, formatRow(rows[0]), `  ${widths.map(width => '-'.repeat(width)).join('  ')}`];
+    rows.slice(1).forEach(row => lines.push(formatRow(row)));
+    return lines.join('\n');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderCountCells(counts, coverage) {
+    const cells = COLUMNS.map(column => `<td>${counts[column.key]}</td>`).join('');
+    return `${cells}<td><div class="bar"><span style="width:${coverage}%"></span></div>${formatCoverage(coverage)}</td>`;
+}
+
+/** Renders the key paths of a file that are not translated, without the internal 'root.' prefix. */
+function renderKeyLists(file) {
+    const sections = KEY_SECTIONS.filter(section => file.keys[section.key].length > 0).map(section => {
+        const items = file.keys[section.key].map(keyPath => `<li><code>${escapeHtml(keyPath.replace(/^root\.?/, ''))}</code></li>`).join('');
+        return `<h4>${section.label} (${file.keys[section.key].length})</h4><ul>${items}</ul>`;
+    });
+    return sections.join('');
+}
+
+/**
+ * Renders the report as a self-contained HTML page (no external assets) with one table per language;
+ * every file row with untranslated strings expands to the lists of their key paths.
+ * @param {object} report - Report built by collectStatus.
+ * @returns {string}
+ */
+export function formatStatusHtml(report) {
+    const header = `<tr><th>File</th>${COLUMNS.map(column => `<th>${column.label}</th>`).join('')}<th>Coverage</th></tr>`;
+    const sections = report.languages.map(({ lang, counts, coverage, files }) => {
+        const rows = files.map(file => {
+            const problem = file.state === 'missing' ? 'File is missing.' : `File cannot be read: ${file.error}`;
+            const name = `${escapeHtml(file.file)}${file.state === 'present' ? '' : ` <em>${escapeHtml(problem)}</em>`}`;
+            const details = renderKeyLists(file);
+            const cells = renderCountCells(file.counts, file.coverage);
+            return details
+                ? `<tr><td><details><summary>${name}</summary>${details}</details></td>${cells}</tr>`
+                : `<tr><td>${name}</td>${cells}</tr>`;
+        }).join('\n');
+        return `<section>
+<h2>${escapeHtml(lang)} <small>${formatCoverage(coverage)}</small></h2>
+<table>
+<thead>${header}</thead>
+<tbody>
+${rows}
+</tbody>
+<tfoot><tr><td>All files</td>${renderCountCells(counts, coverage)}</tr></tfoot>
+</table>
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Translation status</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+th, td { border-bottom: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: right; vertical-align: top; }
+th:first-child, td:first-child { text-align: left; }
+tfoot td { font-weight: bold; }
+summary { cursor: pointer; }
+em { color: #b00; font-size: 0.9em; }
+h4 { margin: 0.6rem 0 0.2rem; }
+ul { margin: 0; padding-left: 1.2rem; text-align: left; }
+.bar { display: inline-block; width: 6rem; height: 0.6rem; background: #eee; margin-right: 0.5rem; }
+.bar span { display: block; height: 100%; background: #3a3; }
+</style>
+</head>
+<body>
+<h1>Translation status</h1>
+<p>Source language: <strong>${escapeHtml(report.sourceLang)}</strong> · generated ${escapeHtml(report.generatedAt)}</p>
+${sections || '<p>No target languages to report.</p>'}
+</body>
+</html>
+`;
+}
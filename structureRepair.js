@@ -0,0 +1,116 @@
+// structureRepair.js
+// Verifies JSON documents returned by the translation model against the structure of their source.
+// The repaired document has exactly the source's keys and value types; every deviation is recorded so
+// translator.js can re-translate what is missing and report the repairs per file.
+import { toCodeKey } from './utils.js';
+
+function describeType(value) {
+    if (value === undefined) return 'nothing';
+    return Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+}
+
+/**
+ * @returns {{ removed: string[], retranslated: Array<{ path: string, sourceText: string, reason: string }>,
+ *   restored: Array<{ path: string, reason: string }>, reverted: Array<{ path: string, reason: string }>, fallbacks: string[] }}
+ *   An empty repair report: keys removed, strings to re-translate, non-string values restored from the source,
+ *   translations reverted to the source (placeholder and glossary mismatches) and documents (e.g. "JSON chunk 2/5 'settings'") whose response
+ *   was unusable and which were translated in batches instead, without a structure to verify.
+ */
+export function createRepairReport() {
+    return { removed: [], retranslated: [], restored: [], reverted: [], fallbacks: [] };
+}
+
+/**
+ * Adds the repairs of one document (e.g. a chunk) to the report of its file.
+ * @param {object} report
+ * @param {object} repairs
+ */
+export function addRepairs(report, repairs) {
+    for (const field of Object.keys(report)) report[field].push(...repairs[field]);
+}
+
+function rebuildNode(source, translated, path, repairs, inheritedReason) {
+    const sourceType = describeType(source);
+    const translatedType = describeType(translated);
+    const reason = inheritedReason
+        || (translated === undefined ? 'missing' : (translatedType !== sourceType ? `${translatedType} instead of ${sourceType}` : null));
+
+    if (sourceType === 'array' || sourceType === 'object') {
+        const container = sourceType === 'array' ? [] : {};
+        const translatedContainer = translatedType === sourceType ? translated : null;
+        const childPath = key => (sourceType === 'array' ? `${path}[${key}]` : `${path}.${key}`);
+        for (const key of Object.keys(source)) {
+            const hasTranslation = translatedContainer !== null && Object.prototype.hasOwnProperty.call(translatedContainer, key);
+            // A branch replaced by another type counts against each of its leaves
+            container[key] = rebuildNode(source[key], hasTranslation ? translatedContainer[key] : undefined, childPath(key), repairs,
+                translatedContainer === null ? reason : null);
+        }
+        if (translatedContainer !== null) {
+            Object.keys(translatedContainer)
+                .filter(key => !Object.prototype.hasOwnProperty.call(source, key))
+                .filter(key => !(sourceType === 'array' && Number(key) < source.length)) // Gaps of a chunk's partial array
+                .forEach(key => repairs.removed.push(childPath(key)));
+        }
+        return container;
+    }
+
+    if (sourceType === 'string') {
+        if (!source.trim()) return source; // Nothing to translate
+        if (!reason && translated.trim()) return translated;
+        repairs.retranslated.push({ path, sourceText: source, reason: reason || 'empty' });
+        return ''; // Filled in by the re-translation
+    }
+    // Numbers, booleans and null are never translated
+    if (!Object.is(source, translated)) repairs.restored.push({ path, reason: reason || `changed to ${JSON.stringify(translated)}` });
+    return source;
+}
+
+/**
+ * Rebuilds a translated document in the structure of its source: keys the source does not have are removed,
+ * strings that are missing, empty or of another type are left empty and listed for re-translation, and
+ * other values (numbers, booleans, null) always keep their source value.
+ * @param {any} source - The source document (key paths start at 'root').
+ * @param {any} translated - The parsed model response.
+ * @returns {{ document: any, repairs: object }} The repaired document and its repair report (see createRepairReport).
+ */
+export function repairStructure(source, translated) {
+    const repairs = createRepairReport();
+    const document = rebuildNode(source, translated, 'root', repairs, null);
+    return { document, repairs };
+}
+
+/**
+ * Counts the repairs in a report (batch fallbacks are not repairs).
+ * @param {object} report
+ * @returns {number}
+ */
+export function countRepairs(report) {
+    return Object.entries(report)
+        .filter(([field]) => field !== 'fallbacks')
+        .reduce((sum, [, entries]) => sum + entries.length, 0);
+}
+
+/**
+ * Logs the repair report of a translated file, listing every repaired key.
+ * @param {object} report
+ */
+export function printRepairReport(report) {
+    if (report.fallbacks.length > 0) {
+        console.warn(`    🧩 Structure not verified for ${report.fallbacks.join(', ')}: the response was unusable and the strings were translated in batches instead.`);
+    }
+    if (countRepairs(report) === 0) {
+        if (report.fallbacks.length === 0) console.log("    🧩 Structure verified: the translation matches the source structure.");
+        return;
+    }
+    const summary = [
+        report.removed.length > 0 && `${report.removed.length} extra key(s) removed`,
+        report.retranslated.length > 0 && `${report.retranslated.length} string(s) re-translated`,
+        report.restored.length > 0 && `${report.restored.length} value(s) restored from the source`,
+        report.reverted.length > 0 && `${report.reverted.length} translation(s) reverted to the source`,
+    ].filter(Boolean).join(', ');
+    console.warn(`    🧩 Repaired translated structure: ${summary}.`);
+    report.removed.forEach(keyPath => console.warn(`       - ${toCodeKey(keyPath)}: not in the source`));
+    report.retranslated.forEach(({ path, reason }) => console.warn(`       + ${toCodeKey(path)}: ${reason}`));
+    report.restored.forEach(({ path, reason }) => console.warn(`       = ${toCodeKey(path)}: ${reason}`));
+    report.reverted.forEach(({ path, reason }) => console.warn(`       ↩ ${toCodeKey(path)}: ${reason}`));
+}
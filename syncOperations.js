@@ -1,20 +1,36 @@
 // syncOperations.js
 import fs from 'fs/promises';
-import path from 'path';
-import { createEmptyStructure, syncStructure, setValueAtPath } from './utils.js';
-import { translateJsonFileContent, translateStructureInBatches } from './translator.js';
+import { syncStructure, getValueAtPath, setValueAtPath, countTranslatableStrings } from './utils.js';
+import { translateStructureInBatches, translateJsonFileContent } from './translator.js';
+import { createTargetContent, removeOrphanedDirectories } from './fileOperations.js';
+import { getLanguageRoot, getLocaleFilePath, listLanguageFiles } from './localePaths.js';
+import { shouldPseudoLocalize, pseudoLocalizeStructure } from './pseudoLocalization.js';
+import { getFormatForFile, parseLocaleContent, writeLocaleFile } from './formats/index.js';
+import { recordFilePlan, getLanguagePlan } from './changePlan.js';
+import { localizePluralKeys, getPluralGroupKeys, hasPluralGroups } from './pluralKeys.js';
+import { loadSourceLock, saveSourceLock, findStaleEntries, updateFileLock, removeFileLock, SOURCE_LOCK_FILE_NAME } from './sourceLock.js';
+import { loadKeyNotes, collectKeyNotes } from './keyNotes.js';
+import { runLanguageTasks, QuotaExceededError } from './scheduler.js';
 
-async function compareDirectories(sourceDir, targetDir, targetLang) {
+/**
+ * Compares the locale files (any supported format, including nested namespace directories) of a source
+ * and target language, as found through the path template (see localePaths.js).
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @param {string} targetLang
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - If true, a missing target directory is not created.
+ * @param {(...args: any[]) => void} [options.log=console.log] - Progress output.
+ * @returns {Promise<{ filesToAdd: string[], filesToDelete: string[], filesToSync: string[] }>} Language-independent file names.
+ */
+export async function compareDirectories(baseDir, sourceLang, targetLang, { dryRun = false, log = console.log } = {}) {
+    const sourceDir = getLanguageRoot(baseDir, sourceLang);
+    const targetDir = getLanguageRoot(baseDir, targetLang);
     let sourceFiles = new Set();
     let targetFiles = new Set();
 
     try {
-        const sourceEntries = await fs.readdir(sourceDir, { withFileTypes: true });
-        sourceFiles = new Set(
-            sourceEntries
-                .filter(dirent => dirent.isFile() && dirent.name.endsWith('.json'))
-                .map(dirent => dirent.name)
-        );
+        sourceFiles = new Set(await listLanguageFiles(baseDir, sourceLang));
     } catch (error) {
         if (error.code === 'ENOENT') {
             throw new Error(`Sync failed: Source directory not found: ${sourceDir}`);
@@ -24,15 +40,12 @@ async function compareDirectories(sourceDir, targetDir, targetLang) {
     }
 
     try {
-        const targetEntries = await fs.readdir(targetDir, { withFileTypes: true });
-        targetFiles = new Set(
-            targetEntries
-                .filter(dirent => dirent.isFile() && dirent.name.endsWith('.json'))
-                .map(dirent => dirent.name)
-        );
+        targetFiles = new Set(await listLanguageFiles(baseDir, targetLang));
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log(`  Target directory ${targetDir} not found. Will create it and add all source files.`);
+        if (error.code === 'ENOENT' && dryRun) {
+            log(`  Target directory ${targetDir} not found. It would be created and all source files added.`);
+        } else if (error.code === 'ENOENT') {
+            log(`  Target directory ${targetDir} not found. Will create it and add all source files.`);
             try {
                 await fs.mkdir(targetDir, { recursive: true });
             } catch (mkdirError) {
@@ -52,149 +65,356 @@ async function compareDirectories(sourceDir, targetDir, targetLang) {
     return { filesToAdd, filesToDelete, filesToSync };
 }
 
+/**
+ * Finds the plural group (see pluralKeys.js) a key path belongs to.
+ * @param {any} sourceJson - Source structure with plural keys localized for the target language.
+ * @param {string} keyPath - e.g., 'root.cart.item_few'.
+ * @returns {{ parentPath: string, key: string, keys: string[] } | null} Null if the path is not a plural form.
+ */
+export function findPluralGroup(sourceJson, keyPath) {
+    const match = /^(.*)\.([^.[\]]+)$/.exec(keyPath);
+    if (!match) return null;
+    const [, parentPath, key] = match;
+    const keys = getPluralGroupKeys(getValueAtPath(sourceJson, parentPath), key);
+    return keys ? { parentPath, key, keys } : null;
+}
 
-export async function runSync(baseDir, sourceLang, targetLangs, enableTranslation, attemptAutoUpdate, absoluteConfigFile, configDir) {
-    const mode = enableTranslation ? 'Translation & Sync' : 'Sync';
-    console.log(`\n🔄 Starting Structure ${mode}...`);
-    const sourceDir = path.join(baseDir, sourceLang);
-    let totalChangesCount = 0; 
+/**
+ * Translates plural forms group by group: every group is sent as one small document, so the translator
+ * sees the keys of all forms instead of several identical strings (missing forms start as a copy of `_other`).
+ * @param {Array<{ path: string }>} entries - Added or stale plural forms.
+ * @param {any} sourceJson - Source structure with plural keys localized for the target language.
+ * @param {string} sourceLang
+ * @param {string} targetLang
+ * @param {Map<string, object>} [keyNotes] - Translator notes of the source file (see keyNotes.js).
+ * @returns {Promise<Map<string, string>>} Translations by path; forms that could not be translated are left out.
+ */
+export async function translatePluralForms(entries, sourceJson, sourceLang, targetLang, keyNotes = null) {
+    const groups = new Map();
+    for (const { path: keyPath } of entries) {
+        const { parentPath, key, keys } = findPluralGroup(sourceJson, keyPath);
+        const groupId = `${parentPath}|${keys.join('|')}`;
+        if (!groups.has(groupId)) groups.set(groupId, { parentPath, keys, forms: [] });
+        groups.get(groupId).forms.push({ keyPath, key });
+    }
 
-    for (const targetLang of targetLangs) {
-        if (targetLang === sourceLang) {
-            console.log(`\nSkipping sync for source language: ${targetLang}`);
-            continue;
+    const translations = new Map();
+    for (const { parentPath, keys, forms } of groups.values()) {
+        const parentNode = getValueAtPath(sourceJson, parentPath);
+        const groupSource = Object.fromEntries(keys.map(key => [key, parentNode[key]]));
+        const translatedGroup = await translateJsonFileContent(groupSource, sourceLang, targetLang, { notes: collectKeyNotes(keyNotes, groupSource, parentPath) });
+        for (const { keyPath, key } of forms) {
+            if (translatedGroup[key]) translations.set(keyPath, translatedGroup[key]);
         }
+    }
+    return translations;
+}
 
-        console.log(`\nSyncing language: ${targetLang}`);
-        const targetDir = path.join(baseDir, targetLang);
-        let langChangesCount = 0; 
-
-        try {
-            const { filesToAdd, filesToDelete, filesToSync } = await compareDirectories(sourceDir, targetDir, targetLang);
+/**
+ * Syncs the files of one target language with the source language (see runSync).
+ * @returns {Promise<{ changes: number, stale: number, quotaError?: QuotaExceededError }>} Operations performed
+ *   (or planned) and stale values found; `quotaError` if the translation quota ran out, which stops the language
+ *   and leaves the file being synced as it was.
+ */
+async function syncLanguage(baseDir, sourceLang, targetLang, enableTranslation, { plan, sourceLock }) {
+    const dryRun = Boolean(plan);
+    const sourceDir = getLanguageRoot(baseDir, sourceLang);
+    if (targetLang === sourceLang) {
+        console.log(`\nSkipping sync for source language: ${targetLang}`);
+        return { changes: 0, stale: 0 };
+    }
 
-            for (const filename of filesToAdd) {
-                const sourceFilePath = path.join(sourceDir, filename);
-                const targetFilePath = path.join(targetDir, filename);
-                const action = enableTranslation ? 'Adding & Translating file (whole JSON):' : 'Adding file:';
-                console.log(`  ➕ ${action} ${targetLang}/${filename}`);
-                try {
-                    const sourceContent = await fs.readFile(sourceFilePath, 'utf-8');
-                    const sourceJson = JSON.parse(sourceContent);
-
-                    let targetJson;
-                    if (enableTranslation) {
-                        targetJson = await translateJsonFileContent(sourceJson, sourceLang, targetLang);
-                    } else {
-                        targetJson = createEmptyStructure(sourceJson);
-                    }
+    // Pseudo-locales are regenerated from the source and never sent to the translator
+    const pseudoTarget = shouldPseudoLocalize(targetLang);
+    const translateTarget = enableTranslation && !pseudoTarget;
+    console.log(`\nSyncing language: ${targetLang}${pseudoTarget ? ' (pseudo-localized)' : ''}`);
+    const targetDir = getLanguageRoot(baseDir, targetLang);
+    let langChangesCount = 0; 
+    let langStaleCount = 0;
 
-                    await fs.writeFile(targetFilePath, JSON.stringify(targetJson, null, 2), 'utf-8');
-                    langChangesCount++;
+    try {
+        const { filesToAdd, filesToDelete, filesToSync } = await compareDirectories(baseDir, sourceLang, targetLang, { dryRun });
+        if (dryRun) getLanguagePlan(plan, targetLang);
 
-                } catch (error) {
-                    console.error(`    ❌ Error adding file ${filename} for ${targetLang}: ${error.message}`);
-                }
-            } 
+        for (const filename of filesToAdd) {
+            const sourceFilePath = getLocaleFilePath(baseDir, sourceLang, filename);
+            const targetFilePath = getLocaleFilePath(baseDir, targetLang, filename);
+            const action = pseudoTarget ? 'Adding pseudo-localized file:' : (translateTarget ? 'Adding & Translating file (whole JSON):' : 'Adding file:');
+            console.log(`  ➕ ${action} ${targetLang}/${filename}`);
+            try {
+                const sourceContent = await fs.readFile(sourceFilePath, 'utf-8');
+                const { data: sourceData, document: sourceDocument } = parseLocaleContent(sourceFilePath, sourceContent, { lang: sourceLang });
+                const sourceJson = localizePluralKeys(sourceData, targetLang);
 
-            for (const filename of filesToDelete) {
-                const targetFilePath = path.join(targetDir, filename);
-                console.log(`  ➖ Deleting file: ${targetLang}/${filename}`);
-                try {
-                    await fs.unlink(targetFilePath);
+                if (dryRun) {
+                    recordFilePlan(plan, targetLang, filename, {
+                        action: 'add',
+                        stringsToTranslate: translateTarget ? countTranslatableStrings(sourceJson) : 0,
+                    });
                     langChangesCount++;
-                } catch (error) {
-                    console.error(`    ❌ Error deleting file ${filename} for ${targetLang}: ${error.message}`);
+                    continue;
                 }
-            } 
-
-            for (const filename of filesToSync) {
-                const sourceFilePath = path.join(sourceDir, filename);
-                const targetFilePath = path.join(targetDir, filename);
-                let writeNeeded = false; 
-                let structureChanged = false; 
-                let translationApplied = false;
-;
+
+                const keyNotes = translateTarget ? await loadKeyNotes(baseDir, sourceLang, filename) : null;
+                const targetJson = await createTargetContent(sourceJson, sourceLang, targetLang, enableTranslation, { keyNotes });
+
+                await writeLocaleFile(targetFilePath, targetJson, sourceDocument, { lang: targetLang }); // Source document keeps comments/layout
+                updateFileLock(sourceLock, targetLang, filename, sourceJson, targetJson);
+                langChangesCount++;
+
+            } catch (error) {
+                if (error instanceof QuotaExceededError) throw error; // The file is left as it was
+                console.error(`    ❌ Error adding file ${filename} for ${targetLang}: ${error.message}`);
+            }
+        } 
+
+        for (const filename of filesToDelete) {
+            const targetFilePath = getLocaleFilePath(baseDir, targetLang, filename);
+            console.log(`  ➖ Deleting file: ${targetLang}/${filename}`);
+            if (dryRun) {
+                recordFilePlan(plan, targetLang, filename, { action: 'delete' });
+                langChangesCount++;
+                continue;
+            }
+            try {
+                await fs.unlink(targetFilePath);
+                removeFileLock(sourceLock, targetLang, filename);
+                langChangesCount++;
+            } catch (error) {
+                console.error(`    ❌ Error deleting file ${filename} for ${targetLang}: ${error.message}`);
+            }
+        } 
+
+        if (!dryRun && targetDir !== sourceDir) { // Languages sharing one directory have no directories of their own
+            try {
+                const removedDirectories = await removeOrphanedDirectories(targetDir, sourceDir);
+                removedDirectories.forEach(directory => console.log(`  ➖ Removed empty directory: ${targetLang}/${directory}/`));
+                langChangesCount += removedDirectories.length;
+            } catch (error) {
+                console.error(`    ❌ Error removing empty directories for ${targetLang}: ${error.message}`);
+            }
+        }
+
+        for (const filename of filesToSync) {
+            const sourceFilePath = getLocaleFilePath(baseDir, sourceLang, filename);
+            const targetFilePath = getLocaleFilePath(baseDir, targetLang, filename);
+            let writeNeeded = false; 
+            let structureChanged = false; 
+            let translationApplied = false;
+            try {
+                const sourceContent = await fs.readFile(sourceFilePath, 'utf-8');
+                const targetContent = await fs.readFile(targetFilePath, 'utf-8');
+                const { data: sourceData, document: sourceDocument } = parseLocaleContent(sourceFilePath, sourceContent, { lang: sourceLang });
+                // Plural groups get the target language's forms; its extra forms are not obsolete
+                const sourceJson = localizePluralKeys(sourceData, targetLang);
+                const formatLabel = getFormatForFile(targetFilePath).label;
+                const keyNotes = translateTarget ? await loadKeyNotes(baseDir, sourceLang, filename) : null;
+                let originalTargetJson, targetDocument;
                 try {
-                    const sourceContent = await fs.readFile(sourceFilePath, 'utf-8');
-                    const targetContent = await fs.readFile(targetFilePath, 'utf-8');
-                    const sourceJson = JSON.parse(sourceContent);
-                    let originalTargetJson;
-                    try {
-                        originalTargetJson = JSON.parse(targetContent);
-                    } catch (parseError) {
-                        console.warn(`    ⚠️ Invalid JSON in target file ${targetFilePath}. Overwriting with ${enableTranslation ? 'translated' : 'empty'} source structure. Error: ${parseError.message}`);
-                        const replacementJson = enableTranslation
-                            ? await translateJsonFileContent(sourceJson, sourceLang, targetLang) 
-                            : createEmptyStructure(sourceJson);
-                        await fs.writeFile(targetFilePath, JSON.stringify(replacementJson, null, 2), 'utf-8');
+                    ({ data: originalTargetJson, document: targetDocument } = parseLocaleContent(targetFilePath, targetContent, { lang: targetLang }));
+                } catch (parseError) {
+                    console.warn(`    ⚠️ Invalid ${formatLabel} in target file ${targetFilePath}. Overwriting with ${pseudoTarget ? 'pseudo-localized' : (translateTarget ? 'translated' : 'empty')} source structure. Error: ${parseError.message}`);
+                    if (dryRun) {
+                        recordFilePlan(plan, targetLang, filename, {
+                            action: 'overwrite',
+                            reason: `invalid ${formatLabel}: ${parseError.message}`,
+                            stringsToTranslate: translateTarget ? countTranslatableStrings(sourceJson) : 0,
+                        });
                         langChangesCount++;
-                        continue; 
+                        continue;
                     }
+                    const replacementJson = await createTargetContent(sourceJson, sourceLang, targetLang, enableTranslation, { keyNotes });
+                    await writeLocaleFile(targetFilePath, replacementJson, sourceDocument, { lang: targetLang });
+                    updateFileLock(sourceLock, targetLang, filename, sourceJson, replacementJson);
+                    langChangesCount++;
+                    continue; 
+                }
 
-                    const addedNodesCollector = [];
-                    const syncResult = syncStructure(
-                        sourceJson,
-                        originalTargetJson,
-                        'root',
-                        addedNodesCollector 
-                    );
-
-                    let finalTargetJson = syncResult.updatedNode; 
-                    structureChanged = syncResult.changesMade; 
-
-                    if (structureChanged && enableTranslation && addedNodesCollector.length > 0) {
-                        console.log(`    ⚙️ Translating ${addedNodesCollector.length} added structure(s)/key(s) for ${targetLang}/${filename}...`);
-                        writeNeeded = true; 
-
-                        for (const addedInfo of addedNodesCollector) {
-                            try {
-                                const translatedValueFragment = await translateStructureInBatches(
-                                    addedInfo.sourceValue,
-                                    sourceLang,
-                                    targetLang
-                                );
-                                setValueAtPath(finalTargetJson, addedInfo.path, translatedValueFragment);
-                                translationApplied = true;
-                            } catch (translateError) {
-                                console.error(`    ❌ Error translating added fragment at path ${addedInfo.path}: ${translateError.message}`);
-                            }
-                        } 
-                        if (translationApplied) {
-                            console.log(`    ✅ Finished translating added part(s) for ${targetLang}/${filename}.`);
-                        }
-                    }
+                const addedNodesCollector = [];
+                const removedNodesCollector = [];
+                const syncResult = syncStructure(
+                    sourceJson,
+                    originalTargetJson,
+                    'root',
+                    addedNodesCollector,
+                    removedNodesCollector
+                );
+
+                let finalTargetJson = syncResult.updatedNode; 
+                structureChanged = syncResult.changesMade; 
+                if (pseudoTarget) {
+                    // Pseudo-localized content is fully derived from the source: regenerate it
+                    finalTargetJson = pseudoLocalizeStructure(sourceJson, targetLang);
+                    structureChanged = JSON.stringify(finalTargetJson) !== JSON.stringify(originalTargetJson);
+                }
+                const staleEntries = pseudoTarget ? [] : findStaleEntries(sourceJson, finalTargetJson, sourceLock, targetLang, filename);
+                langStaleCount += staleEntries.length;
+
+                if (dryRun) {
+                    const typeMismatches = addedNodesCollector.filter(info => info.reason === 'typeMismatch');
+                    const staleWouldChange = translateTarget && staleEntries.length > 0;
+                    recordFilePlan(plan, targetLang, filename, {
+                        action: structureChanged || staleWouldChange ? 'update' : 'unchanged',
+                        addedKeys: addedNodesCollector.filter(info => info.reason === 'added').map(info => info.path),
+                        removedKeys: removedNodesCollector.map(info => info.path),
+                        typeMismatches: typeMismatches.map(info => ({
+                            path: info.path,
+                            from: info.previousType,
+                            to: Array.isArray(info.sourceValue) ? 'array' : (info.sourceValue === null ? 'null' : typeof info.sourceValue),
+                        })),
+                        staleKeys: staleEntries.map(entry => entry.path),
+                        stringsToTranslate: translateTarget
+                            ? addedNodesCollector.reduce((sum, info) => sum + countTranslatableStrings(info.sourceValue), 0) + staleEntries.length
+                            : 0,
+                    });
+                    if (structureChanged || staleWouldChange) langChangesCount++;
+                    continue;
+                }
 
-                    writeNeeded = structureChanged; 
+                if (structureChanged && translateTarget && addedNodesCollector.length > 0) {
+                    console.log(`    ⚙️ Translating ${addedNodesCollector.length} added structure(s)/key(s) for ${targetLang}/${filename}...`);
+                    writeNeeded = true; 
 
-                    if (writeNeeded) {
-                        if (translationApplied) {
-                            console.log(`    ✏️ Applying structural changes AND injected translations to ${targetLang}/${filename}.`);
-                        } else if (structureChanged) {
-                            console.log(`    ✏️ Applying structural key additions/deletions to ${targetLang}/${filename}.`);
+                    const addedPluralForms = addedNodesCollector.filter(info => findPluralGroup(sourceJson, info.path));
+                    for (const addedInfo of addedNodesCollector) {
+                        if (addedPluralForms.includes(addedInfo)) continue;
+                        try {
+                            // Fragments containing plural groups are sent whole so their keys are visible
+                            const notes = collectKeyNotes(keyNotes, addedInfo.sourceValue, addedInfo.path);
+                            const translatedValueFragment = hasPluralGroups(addedInfo.sourceValue)
+                                ? await translateJsonFileContent(addedInfo.sourceValue, sourceLang, targetLang, { notes })
+                                : await translateStructureInBatches(addedInfo.sourceValue, sourceLang, targetLang, { notes });
+                            setValueAtPath(finalTargetJson, addedInfo.path, translatedValueFragment);
+                            translationApplied = true;
+                        } catch (translateError) {
+                            if (translateError instanceof QuotaExceededError) throw translateError;
+                            console.error(`    ❌ Error translating added fragment at path ${addedInfo.path}: ${translateError.message}`);
+                        }
+                    } 
+                    if (addedPluralForms.length > 0) {
+                        try {
+                            const translatedForms = await translatePluralForms(addedPluralForms, sourceJson, sourceLang, targetLang, keyNotes);
+                            translatedForms.forEach((value, keyPath) => setValueAtPath(finalTargetJson, keyPath, value));
+                            if (translatedForms.size > 0) translationApplied = true;
+                        } catch (translateError) {
+                            if (translateError instanceof QuotaExceededError) throw translateError;
+                            console.error(`    ❌ Error translating added plural forms: ${translateError.message}`);
                         }
-                        await fs.writeFile(targetFilePath, JSON.stringify(finalTargetJson, null, 2), 'utf-8');
-                        langChangesCount++; 
-                    } else {
-                        console.log(`    ✨ No structural changes or translations needed for ${targetLang}/${filename}.`);
                     }
+                    if (translationApplied) {
+                        console.log(`    ✅ Finished translating added part(s) for ${targetLang}/${filename}.`);
+                    }
+                }
 
-                } catch (error) {
-                    console.error(`    ❌ Error syncing file ${filename} for ${targetLang}: ${error.message}`);
+                let staleRetranslated = false;
+                let remainingStalePaths = staleEntries.map(entry => entry.path);
+                if (staleEntries.length > 0 && translateTarget) {
+                    console.log(`    🔁 Re-translating ${staleEntries.length} value(s) whose source changed for ${targetLang}/${filename}...`);
+                    try {
+                        const stalePluralForms = staleEntries.filter(entry => findPluralGroup(sourceJson, entry.path));
+                        const staleStrings = staleEntries.filter(entry => !stalePluralForms.includes(entry));
+                        const retranslatedValues = await translateStructureInBatches(
+                            staleStrings.map(entry => entry.sourceValue),
+                            sourceLang,
+                            targetLang,
+                            { notes: staleStrings.flatMap(entry => collectKeyNotes(keyNotes, entry.sourceValue, entry.path)) }
+                        );
+                        staleStrings.forEach((entry, index) => setValueAtPath(finalTargetJson, entry.path, retranslatedValues[index]));
+                        const retranslatedForms = stalePluralForms.length > 0
+                            ? await translatePluralForms(stalePluralForms, sourceJson, sourceLang, targetLang, keyNotes)
+                            : new Map();
+                        retranslatedForms.forEach((value, keyPath) => setValueAtPath(finalTargetJson, keyPath, value));
+                        remainingStalePaths = stalePluralForms.map(entry => entry.path).filter(keyPath => !retranslatedForms.has(keyPath));
+                        staleRetranslated = true;
+                        translationApplied = true;
+                    } catch (translateError) {
+                        if (translateError instanceof QuotaExceededError) throw translateError;
+                        console.error(`    ❌ Error re-translating stale values: ${translateError.message}`);
+                    }
+                } else if (staleEntries.length > 0) {
+                    console.warn(`    ⏳ ${staleEntries.length} stale value(s) in ${targetLang}/${filename}: source changed since last translation. Marked stale in ${SOURCE_LOCK_FILE_NAME}.`);
+                    staleEntries.forEach(entry => console.warn(`       ~ ${entry.path}`));
                 }
-            } 
-            if (langChangesCount > 0) {
-                console.log(`  Finished syncing ${targetLang}. Operations performed: ${langChangesCount}`);
-                totalChangesCount += langChangesCount; 
-            } else {
-                console.log(`  Finished syncing ${targetLang}. No operations were needed.`);
+
+                writeNeeded = structureChanged || staleRetranslated; 
+
+                if (writeNeeded) {
+                    if (translationApplied) {
+                        console.log(`    ✏️ Applying structural changes AND injected translations to ${targetLang}/${filename}.`);
+                    } else if (structureChanged) {
+                        console.log(`    ✏️ Applying structural key additions/deletions to ${targetLang}/${filename}.`);
+                    }
+                    await writeLocaleFile(targetFilePath, finalTargetJson, targetDocument, { lang: targetLang }); // Target document keeps comments/layout
+                    langChangesCount++; 
+                } else {
+                    console.log(`    ✨ No structural changes or translations needed for ${targetLang}/${filename}.`);
+                }
+                updateFileLock(sourceLock, targetLang, filename, sourceJson, finalTargetJson, remainingStalePaths);
+
+            } catch (error) {
+                if (error instanceof QuotaExceededError) throw error; // The file is left as it was
+                console.error(`    ❌ Error syncing file ${filename} for ${targetLang}: ${error.message}`);
             }
+        } 
+        if (langChangesCount > 0) {
+            console.log(`  Finished syncing ${targetLang}. Operations ${dryRun ? 'planned' : 'performed'}: ${langChangesCount}`);
+        } else {
+            console.log(`  Finished syncing ${targetLang}. No operations were needed.`);
+        }
 
+    } catch (error) {
+        if (error instanceof QuotaExceededError) return { changes: langChangesCount, stale: langStaleCount, quotaError: error };
+        console.error(`❌ Failed to sync language ${targetLang}: ${error.message}`);
+    }
+    return { changes: langChangesCount, stale: langStaleCount };
+}
+
+/**
+ * Synchronizes every target language directory with the source language directory.
+ * @param {string} baseDir - Absolute base directory containing the language folders.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {boolean} enableTranslation
+ * @param {object} [options]
+ * @param {object} [options.plan] - Change plan (see changePlan.js). When given, the run is a dry run:
+ *   every change is recorded in the plan and nothing is written or deleted.
+ *
+ * Source string edits are detected through the source lockfile (see sourceLock.js): target values whose
+ * source changed since they were last written are re-translated, or flagged as stale when translation is off.
+ */
+export async function runSync(baseDir, sourceLang, targetLangs, enableTranslation, { plan = null } = {}) {
+    const dryRun = Boolean(plan);
+    const mode = enableTranslation ? 'Translation & Sync' : 'Sync';
+    console.log(`\n🔄 Starting Structure ${mode}${dryRun ? ' (dry run)' : ''}...`);
+    const sourceLock = await loadSourceLock(baseDir);
+    let totalChangesCount = 0; 
+    let totalStaleCount = 0;
+
+    const quotaError = await runLanguageTasks(targetLangs, async targetLang => {
+        const { changes, stale, quotaError } = await syncLanguage(baseDir, sourceLang, targetLang, enableTranslation, { plan, sourceLock });
+        totalChangesCount += changes;
+        totalStaleCount += stale;
+        if (quotaError) throw quotaError;
+    }, { concurrent: enableTranslation && !dryRun });
+    if (quotaError) console.error(`\n🛑 ${quotaError.message}`);
+
+    if (!dryRun) {
+        try {
+            await saveSourceLock(baseDir, sourceLock);
         } catch (error) {
-            console.error(`❌ Failed to sync language ${targetLang}: ${error.message}`);
+            console.error(`\n❌ Failed to write ${SOURCE_LOCK_FILE_NAME}: ${error.message}`);
         }
     }
+    if (totalStaleCount > 0) {
+        const staleAction = enableTranslation ? 're-translated' : 'left stale (enable translation or update them manually)';
+        console.log(`\n⏳ ${totalStaleCount} target value(s) had a changed source string and were ${dryRun ? 'detected' : staleAction}.`);
+    }
 
-    if (totalChangesCount > 0) {
+    if (dryRun) {
+        console.log(`\n✅ Synchronization dry run complete. ${totalChangesCount} operation(s) would be performed across target languages.`);
+    } else if (quotaError) {
+        console.log(`\n⚠️ Synchronization stopped early. Approximately ${totalChangesCount} operations performed before the quota ran out.`);
+    } else if (totalChangesCount > 0) {
         console.log(`\n✅ Synchronization complete. Approximately ${totalChangesCount} operations performed across target languages.`);
     } else {
         console.log(`\n✅ Synchronization complete. No structural operations were needed.`);
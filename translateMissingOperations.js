@@ -0,0 +1,215 @@
+// translateMissingOperations.js
+import { walkLeaves, getValueAtPath, setValueAtPath, toCodeKey, escapeRegExp } from './utils.js';
+import { translateStructureInBatches } from './translator.js';
+import { getSourceFiles } from './fileOperations.js';
+import { findPluralGroup, translatePluralForms } from './syncOperations.js';
+import { getLocaleFilePath } from './localePaths.js';
+import { readLocaleFile, readLocaleFileIfExists, writeLocaleFile } from './formats/index.js';
+import { localizePluralKeys } from './pluralKeys.js';
+import { shouldPseudoLocalize } from './pseudoLocalization.js';
+import { loadKeyNotes, collectKeyNotes, getKeyNote, getDisplayLength } from './keyNotes.js';
+import { loadSourceLock, saveSourceLock, updateLockEntries, isLockedValue, SOURCE_LOCK_FILE_NAME } from './sourceLock.js';
+import { loadFailureList, saveFailureList, getFailedPaths, setFailedPaths, countFailures, FAILURE_LIST_FILE_NAME } from './failureList.js';
+import { runLanguageTasks, QuotaExceededError } from './scheduler.js';
+import { PLACEHOLDER_REGEX } from './placeholders.js';
+
+const LETTER_REGEX = /\p{L}/u;
+const REASON_LABELS = { empty: 'empty', identical: 'identical to the source', failed: 'failed before' };
+
+/**
+ * A value equal to its source only counts as untranslated if the source has letters outside its
+ * placeholders ('{{count}}' or '%s %' stay as they are).
+ */
+function hasLetters(text) {
+    return LETTER_REGEX.test(text.replace(PLACEHOLDER_REGEX, ''));
+}
+
+/**
+ * Compiles key-path globs in code notation: `*` matches within one key segment, `**` across segments
+ * (e.g. 'settings.*' matches 'settings.title' but not 'settings.profile.name'; 'settings.**' matches both).
+ * @param {string[]} patterns
+ * @returns {(codeKey: string) => boolean} Matches every key if no patterns are given.
+ */
+export function createKeyMatcher(patterns) {
+    if (patterns.length === 0) return () => true;
+    const regexes = patterns.map(pattern => new RegExp(`^${pattern.split('**').map(part => part.split('*').map(escapeRegExp).join('[^.]*')).join('.*')}$`));
+    return codeKey => regexes.some(regex => regex.test(codeKey));
+}
+
+/**
+ * Lists the values of a target file that still need a translation: empty strings, strings identical to their
+ * source (unless accepted as their translation, see isAccepted), and strings that failed in an earlier run.
+ * Keys missing from the target are left to `sync`.
+ * @param {any} sourceJson - Source structure with plural keys localized for the target language.
+ * @param {any} targetJson
+ * @param {Set<string>} failedPaths - Key paths from the failure list.
+ * @param {(codeKey: string) => boolean} matchesKey
+ * @param {(keyPath: string, sourceValue: string, targetValue: string) => boolean} isAccepted - Whether a value
+ *   identical to its source was written as its translation (recorded in the source lockfile).
+ * @returns {Array<{ path: string, sourceValue: string, reason: 'empty'|'identical'|'failed' }>}
+ */
+function collectMissingEntries(sourceJson, targetJson, failedPaths, matchesKey, isAccepted) {
+    const entries = [];
+    walkLeaves(sourceJson, (sourceValue, keyPath) => {
+        if (typeof sourceValue !== 'string' || !sourceValue.trim() || !matchesKey(toCodeKey(keyPath))) return;
+        const targetValue = getValueAtPath(targetJson, keyPath);
+        if (typeof targetValue !== 'string') return;
+        let reason = null;
+        if (!targetValue.trim()) reason = 'empty';
+        else if (targetValue === sourceValue && hasLetters(sourceValue) && !isAccepted(keyPath, sourceValue, targetValue)) reason = 'identical';
+        else if (failedPaths.has(keyPath)) reason = 'failed';
+        if (reason) entries.push({ path: keyPath, sourceValue, reason });
+    });
+    return entries;
+}
+
+/**
+ * Checks whether an entry is filled now: a non-empty string that fits the maximum length of its translator notes.
+ * A translation identical to its source ('OK', 'Status' in German) is accepted.
+ */
+function isFilled(entry, targetJson, keyNotes) {
+    const value = getValueAtPath(targetJson, entry.path);
+    if (typeof value !== 'string' || !value.trim()) return false;
+    const maxLength = getKeyNote(keyNotes, entry.path)?.maxLength;
+    return !maxLength || getDisplayLength(value) <= maxLength;
+}
+
+/**
+ * Translates the missing values of one target file (see runTranslateMissing).
+ * @returns {Promise<{ candidates: number, filled: number }>}
+ */
+async function translateMissingInFile(baseDir, sourceLang, targetLang, filename, { matchesKey, failureList, sourceLock, dryRun }) {
+    const { data: sourceData } = await readLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang });
+    const sourceJson = localizePluralKeys(sourceData, targetLang);
+    const target = await readLocaleFileIfExists(getLocaleFilePath(baseDir, targetLang, filename), { lang: targetLang });
+    if (!target) {
+        console.log(`  ⏭️ ${targetLang}/${filename} does not exist yet. Run 'sync' to add it.`);
+        return { candidates: 0, filled: 0 };
+    }
+    const { data: targetJson, document: targetDocument } = target;
+    const previousFailures = getFailedPaths(failureList, targetLang, filename);
+    const isAccepted = (keyPath, sourceValue, targetValue) => isLockedValue(sourceLock, targetLang, filename, keyPath, sourceValue, targetValue);
+    const entries = collectMissingEntries(sourceJson, targetJson, previousFailures, matchesKey, isAccepted);
+    if (entries.length === 0) return { candidates: 0, filled: 0 };
+
+    const reasonCounts = Object.keys(REASON_LABELS)
+        .map(reason => [reason, entries.filter(entry => entry.reason === reason).length])
+        .filter(([, count]) => count > 0)
+        .map(([reason, count]) => `${count} ${REASON_LABELS[reason]}`);
+    console.log(`  🔎 ${targetLang}/${filename}: ${entries.length} value(s) to translate (${reasonCounts.join(', ')})`);
+    if (dryRun) {
+        entries.forEach(entry => console.log(`     ~ ${toCodeKey(entry.path)} (${REASON_LABELS[entry.reason]})`));
+        return { candidates: entries.length, filled: 0 };
+    }
+
+    // Plural forms are translated group by group, like in sync, so the translator sees the keys of all forms
+    const keyNotes = await loadKeyNotes(baseDir, sourceLang, filename);
+    const pluralForms = entries.filter(entry => findPluralGroup(sourceJson, entry.path));
+    const strings = entries.filter(entry => !pluralForms.includes(entry));
+    const originalValues = entries.map(entry => getValueAtPath(targetJson, entry.path));
+    let translationFailed = false;
+    try {
+        const translatedValues = strings.length > 0
+            ? await translateStructureInBatches(strings.map(entry => entry.sourceValue), sourceLang, targetLang,
+                { notes: strings.flatMap(entry => collectKeyNotes(keyNotes, entry.sourceValue, entry.path)) })
+            : [];
+        const translatedForms = pluralForms.length > 0
+            ? await translatePluralForms(pluralForms, sourceJson, sourceLang, targetLang, keyNotes)
+            : new Map();
+        strings.forEach((entry, index) => setValueAtPath(targetJson, entry.path, translatedValues[index]));
+        translatedForms.forEach((value, keyPath) => setValueAtPath(targetJson, keyPath, value));
+    } catch (error) {
+        if (error instanceof QuotaExceededError) throw error; // The file is left as it was
+        console.error(`    ❌ Error translating ${targetLang}/${filename}: ${error.message}`);
+        translationFailed = true;
+    }
+
+    // Earlier failures outside the filters stay listed as long as their key exists
+    const attemptedPaths = new Set(entries.map(entry => entry.path));
+    const remainingFailures = [...previousFailures].filter(keyPath => !attemptedPaths.has(keyPath) && typeof getValueAtPath(sourceJson, keyPath) === 'string');
+    const failedEntries = translationFailed ? entries : entries.filter(entry => !isFilled(entry, targetJson, keyNotes));
+    setFailedPaths(failureList, targetLang, filename, [...remainingFailures, ...failedEntries.map(entry => entry.path)]);
+
+    const changedPaths = entries.filter((entry, index) => getValueAtPath(targetJson, entry.path) !== originalValues[index]).map(entry => entry.path);
+    if (changedPaths.length > 0) {
+        await writeLocaleFile(getLocaleFilePath(baseDir, targetLang, filename), targetJson, targetDocument, { lang: targetLang }); // Target document keeps comments/layout
+    }
+    // Translations identical to their source are locked too, so later runs accept them (see collectMissingEntries)
+    const filledPaths = translationFailed ? [] : entries.filter(entry => !failedEntries.includes(entry)).map(entry => entry.path);
+    updateLockEntries(sourceLock, targetLang, filename, sourceJson, targetJson, [...new Set([...changedPaths, ...filledPaths])]);
+    const filled = entries.length - failedEntries.length;
+    console.log(`    ${failedEntries.length === 0 ? '✅' : '⚠️'} ${targetLang}/${filename}: ${filled}/${entries.length} value(s) translated.`);
+    failedEntries.forEach(entry => console.warn(`       ✗ ${toCodeKey(entry.path)}`));
+    return { candidates: entries.length, filled };
+}
+
+/**
+ * Fills the values of existing target files that were never translated, e.g. after `generate` ran with
+ * translation off: empty strings, strings identical to their source (strings without letters and accepted
+ * translations excepted) and keys listed in the failure list (see failureList.js). Only those strings are sent to
+ * the translator; they are written back with setValueAtPath and recorded in the source lockfile. Values that are
+ * still empty or too long afterwards (and files whose translation failed) go to the failure list.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {object} [options]
+ * @param {string[]} [options.namespaces=[]] - Only files of these namespaces (file names without extension); all if empty.
+ * @param {string[]} [options.keyPatterns=[]] - Only keys matching one of these globs (see createKeyMatcher); all if empty.
+ * @param {boolean} [options.dryRun=false] - Only list the values that would be translated.
+ * @returns {Promise<{ candidates: number, filled: number, failed: number }>} `failed` counts the failure list after the run.
+ */
+export async function runTranslateMissing(baseDir, sourceLang, targetLangs, { namespaces = [], keyPatterns = [], dryRun = false } = {}) {
+    console.log(`\n🈳 Translating empty and untranslated values${dryRun ? ' (dry run)' : ''}...`);
+    const sourceFiles = await getSourceFiles(baseDir, sourceLang);
+    const fileNamespace = filename => filename.replace(/\.[^./]+$/, '');
+    const filenames = namespaces.length > 0 ? sourceFiles.filter(filename => namespaces.includes(fileNamespace(filename))) : sourceFiles;
+    namespaces
+        .filter(namespace => !sourceFiles.some(filename => fileNamespace(filename) === namespace))
+        .forEach(namespace => console.warn(`  ⚠️ No source file for namespace '${namespace}'.`));
+    const matchesKey = createKeyMatcher(keyPatterns);
+    const failureList = await loadFailureList(baseDir);
+    const sourceLock = await loadSourceLock(baseDir);
+    let candidates = 0;
+    let filled = 0;
+
+    const quotaError = await runLanguageTasks(targetLangs, async targetLang => {
+        if (targetLang === sourceLang) return;
+        if (shouldPseudoLocalize(targetLang)) {
+            console.log(`  ⏭️ Skipping pseudo-locale ${targetLang}: 'sync' regenerates it from the source.`);
+            return;
+        }
+        for (const filename of filenames) {
+            try {
+                const result = await translateMissingInFile(baseDir, sourceLang, targetLang, filename, { matchesKey, failureList, sourceLock, dryRun });
+                candidates += result.candidates;
+                filled += result.filled;
+            } catch (error) {
+                if (error instanceof QuotaExceededError) throw error;
+                console.error(`  ❌ Could not process ${targetLang}/${filename}: ${error.message}`);
+            }
+        }
+    }, { concurrent: !dryRun });
+    if (quotaError) console.error(`\n🛑 ${quotaError.message}`);
+
+    if (!dryRun) {
+        try {
+            await saveSourceLock(baseDir, sourceLock);
+        } catch (error) {
+            console.error(`\n❌ Failed to write ${SOURCE_LOCK_FILE_NAME}: ${error.message}`);
+        }
+        try {
+            await saveFailureList(baseDir, failureList);
+        } catch (error) {
+            console.error(`\n❌ Failed to write ${FAILURE_LIST_FILE_NAME}: ${error.message}`);
+        }
+    }
+
+    const failed = countFailures(failureList);
+    if (dryRun) {
+        console.log(`\n✅ Dry run complete. ${candidates} value(s) would be translated.`);
+    } else {
+        console.log(`\n${quotaError ? '⚠️ Stopped early' : '✅ Done'}: ${filled}/${candidates} value(s) translated.`);
+        if (failed > 0) console.log(`   ${failed} value(s) are listed in ${FAILURE_LIST_FILE_NAME} and will be sent again on the next run.`);
+    }
+    return { candidates, filled, failed };
+}
@@ -0,0 +1,114 @@
+// translationMemory.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+export const DEFAULT_TRANSLATION_MEMORY_FILE = '.i18n-translation-memory.json';
+const TRANSLATION_MEMORY_VERSION = 1;
+
+let memoryFilePath = null; // Set once the memory is loaded; null means the memory is disabled
+let memoryEntries = {};
+let memoryDirty = false;
+let lookupCounter = 0;
+let hitCounter = 0;
+let storeCounter = 0;
+
+/**
+ * Builds the lookup key for a translation. Source text, languages and model all take part,
+ * so a different model or language pair never reuses another's translations.
+ * @returns {string}
+ */
+function buildMemoryKey(text, sourceLangCode, targetLangCode, modelName) {
+    return crypto.createHash('sha256')
+        .update([sourceLangCode, targetLangCode, modelName || '', text].join('\u0000'))
+        .digest('hex');
+}
+
+/**
+ * Loads the on-disk translation memory. Until this is called, lookups always miss and nothing is stored.
+ * @param {string} filePath - Absolute path of the memory file.
+ * @returns {Promise<number>} Number of entries loaded.
+ */
+export async function loadTranslationMemory(filePath) {
+    memoryFilePath = filePath;
+    memoryEntries = {};
+    memoryDirty = false;
+    try {
+        const content = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        if (content && typeof content.entries === 'object' && content.entries !== null) {
+            memoryEntries = content.entries;
+        } else {
+            console.warn(`⚠️ Unexpected content in translation memory ${filePath}. Starting with an empty memory.`);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Could not read translation memory ${filePath}: ${error.message}. Starting with an empty memory.`);
+        }
+    }
+    return Object.keys(memoryEntries).length;
+}
+
+/**
+ * Writes the translation memory back to disk if anything was added.
+ * @returns {Promise<boolean>} True if the file was written.
+ */
+export async function saveTranslationMemory() {
+    if (!memoryFilePath || !memoryDirty) return false;
+    await fs.mkdir(path.dirname(memoryFilePath), { recursive: true });
+    const content = { version: TRANSLATION_MEMORY_VERSION, entries: memoryEntries };
+    await fs.writeFile(memoryFilePath, JSON.stringify(content, null, 2), 'utf-8');
+    memoryDirty = false;
+    return true;
+}
+
+/**
+ * Looks up a previously accepted translation.
+ * @param {string} text - Source text.
+ * @param {string} sourceLangCode
+ * @param {string} targetLangCode
+ * @param {string} modelName
+ * @param {(target: string) => boolean} [isUsable] - Rejects a cached translation (e.g., one that breaks the glossary);
+ *   a rejected entry counts as a miss.
+ * @returns {string | undefined} The cached translation, or undefined on a miss.
+ */
+export function lookupTranslation(text, sourceLangCode, targetLangCode, modelName, isUsable = () => true) {
+    if (!memoryFilePath) return undefined;
+    lookupCounter++;
+    const entry = memoryEntries[buildMemoryKey(text, sourceLangCode, targetLangCode, modelName)];
+    if (entry && typeof entry.target === 'string' && isUsable(entry.target)) {
+        hitCounter++;
+        return entry.target;
+    }
+    return undefined;
+}
+
+/**
+ * Stores an accepted translation (call only after placeholder validation passed).
+ * @param {string} text - Source text.
+ * @param {string} translation - Accepted translation.
+ * @param {string} sourceLangCode
+ * @param {string} targetLangCode
+ * @param {string} modelName
+ */
+export function storeTranslation(text, translation, sourceLangCode, targetLangCode, modelName) {
+    if (!memoryFilePath || !text.trim() || typeof translation !== 'string' || !translation.trim()) return;
+    const key = buildMemoryKey(text, sourceLangCode, targetLangCode, modelName);
+    if (memoryEntries[key]?.target === translation) return;
+    memoryEntries[key] = { sourceLang: sourceLangCode, targetLang: targetLangCode, model: modelName || null, source: text, target: translation };
+    memoryDirty = true;
+    storeCounter++;
+}
+
+/**
+ * Returns lookup statistics for the current run.
+ * @returns {{ enabled: boolean, lookups: number, hits: number, stored: number, hitRate: number }}
+ */
+export function getTranslationMemoryStats() {
+    return {
+        enabled: Boolean(memoryFilePath),
+        lookups: lookupCounter,
+        hits: hitCounter,
+        stored: storeCounter,
+        hitRate: lookupCounter > 0 ? hitCounter / lookupCounter : 0,
+    };
+}
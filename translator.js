@@ -1,95 +1,116 @@
-// translator.js (Strictly following user's specified syntax)
-
-// IMPORTANT: Assumes '@google/genai' package providing this syntax is installed.
-import { GoogleGenAI } from '@google/genai'; // <-- Using user's specified import
+// translator.js
+// Provider-independent translation layer: batching, placeholder and glossary validation, translator notes,
+// translation memory and call counting. The actual API calls are made by the provider (see providers/index.js),
+// scheduled within its request limits (see scheduler.js).
 
 import iso6391 from 'iso-639-1';
-import { createEmptyStructure } from "./utils.js"; // For fallback on errors
-
-let aiClientInstance; // Stores the initialized client instance
-let modelNameToUse; // Stores the model name used during initialization
+import { createEmptyStructure, setValueAtPath, getValueAtPath, walkLeaves, toCodeKey, AppError } from "./utils.js"; // For fallback on errors
+import { comparePlaceholders } from './placeholders.js';
+import { parseIcuMessage, getTranslatableSegments, rewriteIcuMessage, validateIcuMessage, validateTranslation } from './icuMessages.js';
+import { lookupTranslation, storeTranslation } from './translationMemory.js';
+import { hasPluralGroups, parsePluralKey } from './pluralKeys.js';
+import { findGlossaryEntries, findGlossaryViolations, checkGlossary } from './glossary.js';
+import { formatKeyNote, checkMaxLength } from './keyNotes.js';
+import { createProvider, PROVIDER_LABELS, PROVIDER_RATE_LIMITS, DEFAULT_REQUEST_TIMEOUT_MS } from './providers/index.js';
+import { configureScheduler, scheduleRequest, getSchedulerSettings } from './scheduler.js';
+import { splitIntoChunks, mergeChunkTranslation, encodeChunkDocument, decodeChunkResponse, DEFAULT_MAX_CHUNK_TOKENS } from './documentChunks.js';
+import { repairStructure, createRepairReport, addRepairs, printRepairReport } from './structureRepair.js';
+
+let activeProvider; // Stores the initialized translation provider
 const BATCH_SIZE = 30; // How many strings to translate per API call
 let apiCallCounter = 0;
-// Regular expression to find common placeholder patterns
-const PLACEHOLDER_REGEX = /(\{\{\s*[\w.]+\s*\}\}|{\s*[\w.]+\s*}|%[sd]|\%\{[\w.]+\}|:\w+)/g;
+let chunkTokenLimit = DEFAULT_MAX_CHUNK_TOKENS; // Estimated source tokens per whole-document request
 
 /**
- * Extracts unique, sorted placeholders from a text string.
- * @param {string} text The text to scan.
- * @returns {string[]} A sorted array of unique placeholders found.
+ * Initializes the translation provider.
+ * @param {object} settings
+ * @param {string} [settings.provider='gemini'] - Provider name (see providers/index.js).
+ * @param {string} [settings.apiKey] - API key (optional for the 'local' provider).
+ * @param {string} [settings.modelName] - Model name; each provider has its own default.
+ * @param {string} [settings.baseUrl] - API root for HTTP-based providers.
+ * @param {object} [settings.rateLimit] - Overrides of the provider's request limits (see scheduler.js), and
+ *   `timeoutSeconds` for each request (see providers/http.js).
+ * @param {number} [settings.maxChunkTokens] - Estimated tokens per whole-document request; larger files are
+ *   translated in chunks (see documentChunks.js).
+ * @throws {Error} If initialization fails.
  */
-function extractPlaceholders(text) {
-    if (typeof text !== 'string') return [];
-    const matches = text.match(PLACEHOLDER_REGEX);
-    if (!matches) return [];
-    return [...new Set(matches)].sort();
+export function initializeTranslator({ provider = 'gemini', apiKey, modelName, baseUrl, rateLimit = {}, maxChunkTokens = DEFAULT_MAX_CHUNK_TOKENS } = {}) {
+    const { timeoutSeconds = DEFAULT_REQUEST_TIMEOUT_MS / 1000, ...requestLimits } = rateLimit;
+    activeProvider = createProvider(provider, { apiKey, modelName, baseUrl, timeoutMs: timeoutSeconds * 1000 });
+    chunkTokenLimit = maxChunkTokens;
+    configureScheduler({ ...PROVIDER_RATE_LIMITS[provider], ...requestLimits });
+    const { requestsPerMinute, maxConcurrent } = getSchedulerSettings();
+    console.log(`Translator initialized with provider: ${PROVIDER_LABELS[provider] || provider} (model: ${activeProvider.model})`);
+    console.log(`   Request limits: ${requestsPerMinute > 0 ? `${requestsPerMinute} per minute` : 'no rate limit'}, ${maxConcurrent} in flight, ${timeoutSeconds}s timeout`);
 }
 
 /**
- * Compares placeholders between source and translated strings. Logs warning on mismatch.
- * @param {string} sourceText Original text.
- * @param {string} translatedText Text received from LLM.
- * @param {string} identifier A path or index for logging warnings.
- * @returns {boolean} True if placeholders match or none exist in source, false otherwise.
+ * Identifier of the active provider and model, used to key the translation memory.
+ * @returns {string}
  */
-function comparePlaceholders(sourceText, translatedText, identifier) {
-    const sourcePlaceholders = extractPlaceholders(sourceText);
-    const translatedPlaceholders = extractPlaceholders(translatedText);
-
-    if (sourcePlaceholders.length === 0) return true; // No source placeholders, nothing to mismatch
+function getModelKey() {
+    return `${activeProvider.name}:${activeProvider.model}`;
+}
 
-    if (sourcePlaceholders.length !== translatedPlaceholders.length) {
-        console.warn(`  ⚠️ Placeholder count mismatch at '${identifier}':`);
-        console.warn(`     Source (${sourcePlaceholders.length}): [${sourcePlaceholders.join(', ')}]`);
-        console.warn(`     Target (${translatedPlaceholders.length}): [${translatedPlaceholders.join(', ')}]`);
-        return false;
-    }
+/**
+ * Builds the language descriptor passed to providers.
+ * @param {string} sourceLangCode
+ * @param {string} targetLangCode
+ * @param {string[]} texts - Source strings of the request, used to pick the relevant glossary entries.
+ * @param {Array<{ label: string, note: string }>} [notes] - Translator notes for the prompt.
+ */
+function describeLanguages(sourceLangCode, targetLangCode, texts, notes = []) {
+    return {
+        sourceLangCode,
+        targetLangCode,
+        sourceLangName: iso6391.getName(sourceLangCode) || sourceLangCode,
+        targetLangName: iso6391.getName(targetLangCode) || targetLangCode,
+        glossary: findGlossaryEntries(texts, targetLangCode),
+        notes: notes.length > 0 ? notes : null,
+    };
+}
 
-    const mismatch = sourcePlaceholders.some((ph, index) => ph !== translatedPlaceholders[index]);
-    if (mismatch) {
-        console.warn(`  ⚠️ Placeholder content mismatch at '${identifier}':`);
-        console.warn(`     Source: [${sourcePlaceholders.join(', ')}]`);
-        console.warn(`     Target: [${translatedPlaceholders.join(', ')}]`);
-        return false;
-    }
-    return true; // Match
+/**
+ * Text under which a string is deduplicated and remembered: a string with translator notes (see keyNotes.js)
+ * is kept apart from the same text in another context ("Post" the noun vs. "Post" the verb).
+ * @param {string} text
+ * @param {object} [note]
+ * @returns {string}
+ */
+function getContextualText(text, note) {
+    return note ? `${text}\u0000${formatKeyNote(note)}` : text;
 }
 
 /**
- * Initializes the Google AI client using the exact syntax provided by the user.
- * @param {string} apiKey - The user's Google AI API key.
- * @param {string} [modelName='gemini-1.5-flash'] - The model name from user's example.
- * @throws {Error} If initialization fails.
+ * Looks up a translation in the translation memory. Entries that break the glossary (e.g., stored
+ * before a term was added) count as misses, so they are translated again.
+ * @returns {string | undefined}
  */
-export function initializeTranslator(apiKey, modelName = 'gemini-1.5-flash') {
-    if (!apiKey) throw new Error("API Key is required for translation.");
-    try {
-        // Initialize using the exact syntax: new GoogleGenAI({ apiKey })
-        aiClientInstance = new GoogleGenAI({ apiKey });
-        modelNameToUse = modelName;
-        console.log(`Translator initialized (using user-provided syntax) with model: ${modelNameToUse}`);
-    } catch (error) {
-        console.error("Failed to initialize Google AI Client:", error.message);
-        console.error("Ensure the package providing 'new GoogleGenAI({ apiKey })' syntax (e.g., '@google/genai'?) is installed.");
-        throw new Error(`Failed to initialize Google AI Client.`);
-    }
+function lookupMemory(text, sourceLangCode, targetLangCode, note) {
+    return lookupTranslation(getContextualText(text, note), sourceLangCode, targetLangCode, getModelKey(),
+        cached => findGlossaryViolations(text, cached, targetLangCode).length === 0);
+}
+
+function storeMemory(text, translatedText, sourceLangCode, targetLangCode, note) {
+    storeTranslation(getContextualText(text, note), translatedText, sourceLangCode, targetLangCode, getModelKey());
 }
 
 /**
- * Internal: Translates a small batch of strings using user's syntax, validates placeholders.
- * Reverts to original string in batch if placeholder validation fails.
+ * Internal: Translates a small batch of strings through the active provider, validates placeholders
+ * and glossary terms. Reverts to original string in batch if either validation fails.
  * @param {string[]} texts - Array of original strings.
  * @param {string} sourceLangCode
  * @param {string} targetLangCode
+ * @param {Array<object | undefined>} [notes] - Translator notes of the strings (same order as `texts`).
  * @returns {Promise<string[]>} Array of translated (or original) strings.
+ * @throws {Error} If the API request fails after the scheduler's retries (QuotaExceededError once the quota is used up),
+ *   or an AppError if the response is unusable: its strings must not be written (or locked) as translations.
  */
-async function translateBatchInternal(texts, sourceLangCode, targetLangCode) {
-    if (!aiClientInstance) return texts;
-    const sourceLangName = iso6391.getName(sourceLangCode) || sourceLangCode;
-    const targetLangName = iso6391.getName(targetLangCode) || targetLangCode;
+async function translateBatchInternal(texts, sourceLangCode, targetLangCode, notes = []) {
+    if (!activeProvider) return texts;
 
     const validTextsInfo = texts
-        .map((text, index) => ({ text, originalIndex: index }))
+        .map((text, index) => ({ text, note: notes[index], originalIndex: index }))
         .filter(item => item.text && typeof item.text === 'string' && item.text.trim());
 
     if (validTextsInfo.length === 0) {
@@ -97,68 +118,42 @@ async function translateBatchInternal(texts, sourceLangCode, targetLangCode) {
     }
 
     const textsToSend = validTextsInfo.map(item => item.text);
+    const promptNotes = validTextsInfo
+        .map((item, i) => item.note && { label: `#${i} ${JSON.stringify(item.text)}`, note: formatKeyNote(item.note) })
+        .filter(Boolean);
+
+    const languages = describeLanguages(sourceLangCode, targetLangCode, textsToSend, promptNotes);
+    const translatedBatchRaw = await scheduleRequest(() => {
+        apiCallCounter++;
+        return activeProvider.translateBatch(textsToSend, languages);
+    }, `String batch ${sourceLangCode} → ${targetLangCode}`);
+
+    if (!Array.isArray(translatedBatchRaw) || translatedBatchRaw.length !== textsToSend.length) {
+        throw new AppError(`String batch response returned ${Array.isArray(translatedBatchRaw) ? translatedBatchRaw.length : 'no'} items for ${textsToSend.length} strings`, 'INVALID_RESPONSE');
+    }
 
-    const promptText = `Translate the following list of ${textsToSend.length} text strings accurately from ${sourceLangName} to ${targetLangName}.
-IMPORTANT: Preserve any interpolation placeholders exactly as they appear in the source text (e.g., {{variable}}, %s, :value, {0}). Do not translate the content within placeholders.
-Return ONLY a valid JSON array where each element is the translated string corresponding to the input strings, in the exact same order.
-Do not include explanations, markdown formatting, or anything outside the JSON array structure (e.g., ["translation1", "translation2", ...]).
-
-Input Texts:
-${JSON.stringify(textsToSend, null, 2)}
-
-JSON Array Output:`;
-
-    const contents = [{ role: 'user', parts: [{ text: promptText }] }];
-    const config = { responseMimeType: 'application/json' };
-
-    try {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        apiCallCounter++
-        // Use the exact API call structure: ai.models.generateContent({...})
-        const response = await aiClientInstance.models.generateContent({ model: modelNameToUse, config, contents });
-        // Use the exact response handling: response.text
-        const responseText = response.text;
-
-        if (!responseText) {
-            console.warn(`  ❓ Warning: Received empty text response for string batch. Keeping originals.`);
-            return texts;
-        }
-
-        let translatedBatchRaw = [];
-        try {
-            translatedBatchRaw = JSON.parse(responseText);
-            if (!Array.isArray(translatedBatchRaw) || translatedBatchRaw.length !== textsToSend.length) {
-                console.warn(`  ⚠️ Warning: String batch response was not a valid JSON array or length mismatch. Keeping originals.`);
-                return texts;
-            }
-        } catch (parseError) {
-            console.warn(`  ⚠️ Warning: Failed to parse string batch response as JSON array. Keeping originals.`);
-            console.warn("     Raw Response Text:", responseText);
-            return texts;
-        }
-
-        // Reconstruct the full results array, validating placeholders
-        const finalResults = [...texts]; // Start with originals
-        validTextsInfo.forEach((item, i) => {
-            if (i < translatedBatchRaw.length) {
-                const translatedString = translatedBatchRaw[i] ?? "";
-                // Validate placeholders before accepting
-                if (comparePlaceholders(item.text, translatedString, `batch item index ${item.originalIndex}`)) {
-                    finalResults[item.originalIndex] = translatedString;
-                } else {
-                    console.warn(`     Reverting translation for batch item index ${item.originalIndex} due to placeholder mismatch.`);
-                    finalResults[item.originalIndex] = item.text; // Revert
-                }
+    // Reconstruct the full results array, validating placeholders and glossary terms
+    const finalResults = [...texts]; // Start with originals
+    validTextsInfo.forEach((item, i) => {
+        if (i < translatedBatchRaw.length) {
+            const translatedString = translatedBatchRaw[i] ?? "";
+            const identifier = `batch item index ${item.originalIndex}`;
+            // Validate placeholders and glossary terms before accepting
+            if (!comparePlaceholders(item.text, translatedString, identifier)) {
+                console.warn(`     Reverting translation for ${identifier} due to placeholder mismatch.`);
+                finalResults[item.originalIndex] = item.text; // Revert
+            } else if (!checkGlossary(item.text, translatedString, targetLangCode, identifier)) {
+                console.warn(`     Reverting translation for ${identifier} due to glossary mismatch.`);
+                finalResults[item.originalIndex] = item.text; // Revert
             } else {
-                finalResults[item.originalIndex] = item.text; // Fallback
+                finalResults[item.originalIndex] = translatedString;
+                storeMemory(item.text, translatedString, sourceLangCode, targetLangCode, item.note);
             }
-        });
-        return finalResults;
-
-    } catch (error) {
-        console.error(`  ❌ API Error translating string batch to ${targetLangCode}: ${error.message}`);
-        return texts; // Return original batch on error
-    }
+        } else {
+            finalResults[item.originalIndex] = item.text; // Fallback
+        }
+    });
+    return finalResults;
 }
 
 /** Collects non-empty strings from a nested structure. */
@@ -176,16 +171,94 @@ function reconstructStructure(node, translatedState) {
     else { return node; }
 }
 
+/**
+ * Translates a list of strings: translation memory hits are used as-is, and only the remaining
+ * unique strings are sent to the API in batches. ICU messages (see icuMessages.js) are not sent whole:
+ * only their literal text segments are translated, the message is rebuilt for the target locale's plural
+ * categories and it is kept only if it passes validateIcuMessage (otherwise the original is kept).
+ * Strings with translator notes are sent with them, and their results are checked against the notes' maximum length.
+ * @param {string[]} strings - Strings to translate.
+ * @param {string} sourceLangCode
+ * @param {string} targetLangCode
+ * @param {Array<string|undefined>} [cachedTranslations] - Lookups already done by the caller (same order as `strings`).
+ * @param {Array<object | undefined>} [notes] - Translator notes (same order as `strings`).
+ * @returns {Promise<string[]>} Translations in input order.
+ * @throws {Error} If a batch request fails or its response is unusable (see translateBatchInternal).
+ */
+async function translateStringsUsingMemory(strings, sourceLangCode, targetLangCode, cachedTranslations, notes = []) {
+    const translations = cachedTranslations
+        ? [...cachedTranslations]
+        : strings.map((text, index) => lookupMemory(text, sourceLangCode, targetLangCode, notes[index]));
+    // Everything below is keyed by contextual text, so one text with different notes is translated once per note
+    const pending = new Map(); // Contextual text -> { text, note }
+    const icuMessages = new Map(); // Contextual message -> { message, note, ast }
+    const segmentTranslations = new Map(); // Contextual segment -> cached translation
+    strings.forEach((text, index) => {
+        if (translations[index] !== undefined) return;
+        const note = notes[index];
+        const ast = parseIcuMessage(text);
+        if (!ast) {
+            pending.set(getContextualText(text, note), { text, note });
+            return;
+        }
+        icuMessages.set(getContextualText(text, note), { message: text, note, ast });
+        for (const segment of getTranslatableSegments(ast)) {
+            const cached = lookupMemory(segment, sourceLangCode, targetLangCode, note);
+            if (cached !== undefined) segmentTranslations.set(getContextualText(segment, note), cached);
+            else pending.set(getContextualText(segment, note), { text: segment, note });
+        }
+    });
+    const pendingEntries = [...pending];
+
+    // Batches are sent concurrently; the scheduler keeps them within the provider's limits
+    const batches = [];
+    for (let i = 0; i < pendingEntries.length; i += BATCH_SIZE) {
+        batches.push(pendingEntries.slice(i, i + BATCH_SIZE));
+    }
+    const translatedBatches = await Promise.all(batches.map(batch =>
+        translateBatchInternal(batch.map(([, entry]) => entry.text), sourceLangCode, targetLangCode, batch.map(([, entry]) => entry.note))));
+    const translatedPending = new Map();
+    batches.forEach((batch, batchIndex) => batch.forEach(([id], index) => translatedPending.set(id, translatedBatches[batchIndex][index])));
+
+    const translatedMessages = new Map();
+    for (const [id, { message, note, ast }] of icuMessages) {
+        const translatedMessage = rewriteIcuMessage(
+            ast,
+            segment => segmentTranslations.get(getContextualText(segment, note)) ?? translatedPending.get(getContextualText(segment, note)) ?? segment,
+            { targetLang: targetLangCode }
+        );
+        if (validateIcuMessage(message, translatedMessage, targetLangCode, message)) {
+            translatedMessages.set(id, translatedMessage);
+            storeMemory(message, translatedMessage, sourceLangCode, targetLangCode, note);
+        } else {
+            console.warn(`     Rejected ICU message translation; keeping the original.`);
+        }
+    }
+
+    const results = strings.map((text, index) => {
+        const id = getContextualText(text, notes[index]);
+        return translations[index] ?? translatedMessages.get(id) ?? translatedPending.get(id) ?? text;
+    });
+    results.forEach((text, index) => checkMaxLength(text, notes[index], notes[index]?.key));
+    return results;
+}
+
 /**
  * Translates only the strings within a given structure fragment using batching.
- * Used for translating newly added fragments during sync. Uses user's specified syntax internally.
+ * Used for translating newly added fragments during sync.
  * @param {any} sourceStructureFragment - The source object/array fragment.
  * @param {string} sourceLangCode
  * @param {string} targetLangCode
+ * @param {object} [options]
+ * @param {Array<object | undefined>} [options.notes] - Translator notes of the fragment's non-empty strings,
+ *   in structure order (see collectKeyNotes in keyNotes.js).
+ * @param {Array<string|undefined>} [options.cachedTranslations] - Memory lookups already done by the caller
+ *   (same order as the notes), so each string is looked up once.
  * @returns {Promise<any>} - The translated structure fragment.
+ * @throws {Error} If a batch request fails or its response is unusable; nothing of the fragment should be written then.
  */
-export async function translateStructureInBatches(sourceStructureFragment, sourceLangCode, targetLangCode) {
-    if (!aiClientInstance) {
+export async function translateStructureInBatches(sourceStructureFragment, sourceLangCode, targetLangCode, { notes = [], cachedTranslations } = {}) {
+    if (!activeProvider) {
         console.warn("Translator not initialized. Returning original structure fragment.");
         return sourceStructureFragment;
     }
@@ -193,22 +266,7 @@ export async function translateStructureInBatches(sourceStructureFragment, sourc
     collectStrings(sourceStructureFragment, originalStrings);
     if (originalStrings.length === 0) return sourceStructureFragment;
 
-    const allTranslatedStringsValidated = [];
-    // console.log(`      Translating ${originalStrings.length} strings for fragment...`); // Optional logging
-    for (let i = 0; i < originalStrings.length; i += BATCH_SIZE) {
-        const batch = originalStrings.slice(i, i + BATCH_SIZE);
-        const translatedBatch = await translateBatchInternal(batch, sourceLangCode, targetLangCode); // Uses user syntax
-        allTranslatedStringsValidated.push(...translatedBatch);
-        if (translatedBatch.length !== batch.length) {
-            console.error("  ❌ ERROR: Batch translation returned incorrect number of items. Aborting fragment translation.");
-            return sourceStructureFragment;
-        }
-    }
-
-    if (allTranslatedStringsValidated.length !== originalStrings.length) {
-        console.error(`  ❌ ERROR: Final count mismatch during fragment translation. Aborting reconstruction.`);
-        return sourceStructureFragment;
-    }
+    const allTranslatedStringsValidated = await translateStringsUsingMemory(originalStrings, sourceLangCode, targetLangCode, cachedTranslations, notes);
 
     const translationState = { index: 0, list: allTranslatedStringsValidated };
     const finalStructure = reconstructStructure(sourceStructureFragment, translationState);
@@ -217,15 +275,23 @@ export async function translateStructureInBatches(sourceStructureFragment, sourc
 
 
 /**
- * Translates an entire JSON object structure using the user's specified syntax,
+ * Translates an entire JSON object structure through the active provider,
  * requesting a JSON response, parsing it, and validating placeholders. Used for new files.
+ * Strings with placeholder or glossary mismatches are logged and reverted to the source (like in batches; see
+ * translateDocumentChunk), and never stored in the translation memory.
+ * Structures larger than the chunk token limit are split into subtree chunks translated in separate (concurrent)
+ * requests; a chunk whose response is unusable falls back to batches without affecting the other chunks.
  * @param {object | Array} sourceJson - The source JSON object/array.
  * @param {string} sourceLangCode - Source language code.
  * @param {string} targetLangCode - Target language code.
- * @returns {Promise<object | Array>} - Translated JSON or empty structure on failure.
+ * @param {object} [options]
+ * @param {Array<object | undefined>} [options.notes] - Translator notes of the document's non-empty strings,
+ *   in structure order (see collectKeyNotes in keyNotes.js).
+ * @returns {Promise<object | Array>} - Translated JSON in the source's key order; strings missing from the response are empty.
+ * @throws {Error} If the API request fails after the scheduler's retries (QuotaExceededError once the quota is used up).
  */
-export async function translateJsonFileContent(sourceJson, sourceLangCode, targetLangCode) {
-    if (!aiClientInstance) {
+export async function translateJsonFileContent(sourceJson, sourceLangCode, targetLangCode, { notes = [] } = {}) {
+    if (!activeProvider) {
         console.warn("Translator not initialized. Returning empty structure.");
         return createEmptyStructure(sourceJson);
     }
@@ -233,80 +299,176 @@ export async function translateJsonFileContent(sourceJson, sourceLangCode, targe
         return createEmptyStructure(sourceJson);
     }
 
-    const sourceLangName = iso6391.getName(sourceLangCode) || sourceLangCode;
-    const targetLangName = iso6391.getName(targetLangCode) || targetLangCode;
-
-    // Prompt asking for JSON translation, including placeholder instruction
-    const promptText = `Translate the text values within the following JSON object from ${sourceLangName} to ${targetLangName}.Dont forget the plurals to handle and to make them make sense.
-IMPORTANT INSTRUCTIONS:
-1. Preserve the exact JSON structure (all keys, nesting, arrays, etc.).
-2. Translate only the user-facing string values. Do not translate keys or non-string values.
-3. Preserve any interpolation placeholders exactly as they appear (e.g., {{variable}}, %s, :value, {0}). Do not translate inside placeholders.
-4. Output ONLY the raw translated JSON object. Do not include \`\`\`json markdown, explanations, or any text outside the JSON structure itself.
-
-Source JSON:
-\`\`\`json
-${JSON.stringify(sourceJson, null, 2)}
-\`\`\`
+    // Use the translation memory first: a fully cached file needs no API call, and a partially
+    // cached one only sends its missing strings (in batches). Plural forms (see pluralKeys.js) share
+    // their source text with `_other`, so files with plural groups are always sent whole: the keys tell
+    // the translator which form each value is.
+    const usesPluralKeys = hasPluralGroups(sourceJson);
+    const sourceStrings = [];
+    collectStrings(sourceJson, sourceStrings);
+    const cachedTranslations = sourceStrings.map((text, index) => lookupMemory(text, sourceLangCode, targetLangCode, notes[index]));
+    const cachedCount = cachedTranslations.filter(translation => translation !== undefined).length;
+    if (cachedCount > 0 && !usesPluralKeys) {
+        if (cachedCount === sourceStrings.length) {
+            console.log(`    💾 All ${cachedCount} strings found in translation memory. Skipping API call.`);
+        } else {
+            console.log(`    💾 ${cachedCount}/${sourceStrings.length} strings found in translation memory. Translating the rest in batches...`);
+        }
+        const translatedStrings = await translateStringsUsingMemory(sourceStrings, sourceLangCode, targetLangCode, cachedTranslations, notes);
+        return reconstructStructure(sourceJson, { index: 0, list: translatedStrings });
+    }
 
-Translated JSON object only:`;
+    // Providers without a whole-document mode (e.g., DeepL) translate files through batches
+    if (typeof activeProvider.translateDocument !== 'function') {
+        console.log(`    Translating JSON structure in batches (${sourceLangCode} -> ${targetLangCode})...`);
+        return translateStructureInBatches(sourceJson, sourceLangCode, targetLangCode, { notes, cachedTranslations });
+    }
 
-    const contents = [{ role: 'user', parts: [{ text: promptText }] }];
-    const config = { responseMimeType: 'application/json' }; // Request JSON output
+    // Notes by key path, shown in the prompt with their dotted keys; memory lookups by key path for the batch fallbacks
+    const notesByPath = new Map();
+    const cachedByPath = new Map();
+    let stringIndex = 0;
+    walkLeaves(sourceJson, (value, keyPath) => {
+        if (typeof value !== 'string' || !value.trim()) return;
+        if (notes[stringIndex]) notesByPath.set(keyPath, notes[stringIndex]);
+        if (cachedTranslations[stringIndex] !== undefined) cachedByPath.set(keyPath, cachedTranslations[stringIndex]);
+        stringIndex++;
+    });
+
+    // Documents too large for one response are translated as independent subtree chunks, merged back in key order
+    const chunks = splitIntoChunks(sourceJson, chunkTokenLimit);
+    if (chunks.length > 1) {
+        console.log(`    ✂️ JSON structure exceeds ~${chunkTokenLimit} tokens: translating it in ${chunks.length} chunks (${sourceLangCode} -> ${targetLangCode})...`);
+    }
+    const translatedChunks = await Promise.all(chunks.map((chunk, index) => {
+        const description = chunks.length > 1 ? `JSON chunk ${index + 1}/${chunks.length} '${chunk.label}'` : 'JSON structure';
+        return translateDocumentChunk(chunk.document, description, sourceLangCode, targetLangCode, { notesByPath, cachedByPath });
+    }));
+    const translatedJson = createEmptyStructure(sourceJson);
+    const repairs = createRepairReport();
+    chunks.forEach((chunk, index) => {
+        mergeChunkTranslation(chunk.document, translatedChunks[index].document, translatedJson);
+        addRepairs(repairs, translatedChunks[index].repairs);
+    });
+    printRepairReport(repairs);
+    return translatedJson;
+}
 
+/**
+ * Internal: Translates a JSON document (a whole file or one of its chunks, keyed by the file's key paths)
+ * in one request, then repairs the response's structure (see structureRepair.js) and validates placeholders,
+ * ICU messages, glossary terms and maximum lengths. Missing, mistyped and rejected strings are re-translated
+ * in batches; placeholder and glossary mismatches are reverted to the source. An unusable response (e.g., JSON truncated
+ * at the output limit) falls back to translating the document's strings in batches.
+ * @param {object | Array} document
+ * @param {string} description - For logs (e.g., "JSON chunk 2/5 'settings'").
+ * @param {string} sourceLangCode
+ * @param {string} targetLangCode
+ * @param {object} context
+ * @param {Map<string, object>} context.notesByPath - Translator notes by key path.
+ * @param {Map<string, string>} context.cachedByPath - Translation memory hits by key path, already looked up
+ *   by the caller; reused when strings are sent in batches.
+ * @returns {Promise<{ document: object | Array, repairs: object }>} The translated document and its repair report.
+ * @throws {Error} If the API request fails after the scheduler's retries.
+ */
+async function translateDocumentChunk(document, description, sourceLangCode, targetLangCode, { notesByPath, cachedByPath }) {
+    const usesPluralKeys = hasPluralGroups(document);
+    const sourceStrings = [];
+    const documentNotes = []; // Same order as sourceStrings
+    const documentCached = []; // Same order as sourceStrings
+    const promptNotes = [];
+    walkLeaves(document, (value, keyPath) => {
+        if (typeof value !== 'string' || !value.trim()) return;
+        const note = notesByPath.get(keyPath);
+        sourceStrings.push(value);
+        documentNotes.push(note);
+        documentCached.push(cachedByPath.get(keyPath));
+        if (note) promptNotes.push({ label: toCodeKey(keyPath), note: formatKeyNote(note) });
+    });
+
+    console.log(`    Sending ${description} for translation (${sourceLangCode} -> ${targetLangCode})...`);
+    let responseJson;
     try {
-        console.log(`    Sending JSON structure for translation (${sourceLangCode} -> ${targetLangCode})...`);
-        await new Promise(resolve => setTimeout(resolve, 600)); // Delay
-        apiCallCounter++
-
-        // Use the exact API call syntax: ai.models.generateContent({...})
-        const response = await aiClientInstance.models.generateContent({ model: modelNameToUse, config, contents });
-
-        // Use the exact response handling: response.text
-        const responseText = response.text;
-
-        if (!responseText) { /* ... handle empty response ... */
-            console.warn(`  ⚠️ JSON translation returned empty text content. Creating empty structure.`);
-            return createEmptyStructure(sourceJson);
-        }
+        const languages = describeLanguages(sourceLangCode, targetLangCode, sourceStrings, promptNotes);
+        const requestDocument = encodeChunkDocument(document);
+        responseJson = decodeChunkResponse(document, await scheduleRequest(() => {
+            apiCallCounter++;
+            return activeProvider.translateDocument(requestDocument, languages);
+        }, `${description} ${sourceLangCode} → ${targetLangCode}`));
+    } catch (responseError) {
+        if (!(responseError instanceof AppError)) throw responseError; // Reported by the caller; the file is not written
+        console.warn(`  ⚠️ ${responseError.message}. Translating the strings of the ${description} in batches instead.`);
+        const batchTranslation = await translateStructureInBatches(document, sourceLangCode, targetLangCode, { notes: documentNotes, cachedTranslations: documentCached });
+        const repairs = createRepairReport();
+        repairs.fallbacks.push(description);
+        return { document: batchTranslation, repairs };
+    }
 
-        let translatedJson;
-        try {
-            // Parse the potentially JSON string response
-            translatedJson = JSON.parse(responseText);
-            if (typeof translatedJson !== 'object' || translatedJson === null) { /* ... handle non-object ... */
-                console.warn(`  ⚠️ API response was not a valid JSON object/array after parsing. Creating empty structure.`);
-                return createEmptyStructure(sourceJson);
+    // Extra keys are dropped and non-string values restored; missing or mistyped strings are re-translated below
+    const { document: translatedJson, repairs } = repairStructure(document, responseJson);
+
+    // --- Validate Placeholders Recursively ---
+    console.log(`    Validating placeholders and glossary terms in translated ${description}...`);
+    validateStructurePlaceholders(document, translatedJson, targetLangCode, 'root', {
+        onValidString: (sourceText, translatedText, path) => {
+            if (!checkGlossary(sourceText, translatedText, targetLangCode, path)) { // Reverted like in batches, never remembered
+                setValueAtPath(translatedJson, path, sourceText);
+                repairs.reverted.push({ path, reason: 'glossary mismatch' });
+                return;
             }
-        } catch (parseError) { /* ... handle parse error ... */
-            console.warn(`  ⚠️ Failed to parse API response as JSON. Creating empty structure. Error: ${parseError.message}`);
-            console.warn("     Raw Response Text (first 500 chars):", responseText.substring(0, 500) + (responseText.length > 500 ? '...' : ''));
-            return createEmptyStructure(sourceJson);
+            if (usesPluralKeys && parsePluralKey(path.slice(path.lastIndexOf('.') + 1))) return; // Not cacheable by text
+            storeMemory(sourceText, translatedText, sourceLangCode, targetLangCode, notesByPath.get(path));
+        },
+        onInvalidString: (sourceText, translatedText, path) => {
+            if (parseIcuMessage(sourceText)) return; // Re-translated segment by segment (onRejectedMessage)
+            setValueAtPath(translatedJson, path, sourceText); // Placeholder mismatches are never written
+            repairs.reverted.push({ path, reason: 'placeholder mismatch' });
+        },
+        onRejectedMessage: (sourceText, path) => repairs.retranslated.push({ path, sourceText, reason: 'invalid ICU message' }),
+    }); // Logs warnings on mismatch
+    console.log("    Placeholder and glossary validation complete.");
+    // ---------------------------------------
+
+    // Strings that are missing, mistyped or invalid ICU messages are never written: re-translate them in batches
+    // (or leave them empty for `translate-missing`)
+    if (repairs.retranslated.length > 0) {
+        console.log(`    🔁 Re-translating ${repairs.retranslated.length} missing, mistyped or rejected string(s) in batches...`);
+        let retranslated = null;
+        try {
+            retranslated = await translateStringsUsingMemory(repairs.retranslated.map(entry => entry.sourceText), sourceLangCode, targetLangCode,
+                repairs.retranslated.map(entry => cachedByPath.get(entry.path)), repairs.retranslated.map(entry => notesByPath.get(entry.path)));
+        } catch (responseError) {
+            if (!(responseError instanceof AppError)) throw responseError;
+            console.warn(`  ⚠️ ${responseError.message}. Leaving the ${repairs.retranslated.length} string(s) empty.`);
         }
-
-        // --- Validate Placeholders Recursively ---
-        console.log("    Validating placeholders in translated JSON...");
-        validateStructurePlaceholders(sourceJson, translatedJson); // Logs warnings on mismatch
-        console.log("    Placeholder validation complete.");
-        // ---------------------------------------
-
-        console.log("    ✅ Successfully received and parsed translated JSON structure.");
-        return translatedJson; // Return translated JSON (with potential warnings logged)
-
-    } catch (error) { /* ... handle API error ... */
-        console.error(`  ❌ API Error during JSON translation to ${targetLangCode}: ${error.message}`);
-        console.error("     Falling back to creating empty structure.");
-        return createEmptyStructure(sourceJson);
+        repairs.retranslated.forEach((entry, index) => setValueAtPath(translatedJson, entry.path, retranslated ? retranslated[index] : ''));
     }
+    const retranslatedPaths = new Set(repairs.retranslated.map(entry => entry.path)); // Already checked when re-translated
+    notesByPath.forEach((note, keyPath) => {
+        if (!retranslatedPaths.has(keyPath)) checkMaxLength(getValueAtPath(translatedJson, keyPath), note, note.key); // Skips paths of other chunks
+    });
+
+    console.log(`    ✅ Successfully received and parsed translated ${description}.`);
+    return { document: translatedJson, repairs }; // Return translated JSON (with potential warnings logged)
 }
 
 /**
- * Recursive helper to validate placeholders throughout a translated JSON structure.
+ * Recursively validates placeholders (and ICU messages) throughout a translated JSON structure.
+ * Only strings present in both structures are compared; empty translations are not validated.
  * @param {*} sourceNode
  * @param {*} translatedNode
+ * @param {string} targetLangCode - Used to check ICU plural categories.
  * @param {string} path
+ * @param {object} [callbacks]
+ * @param {(sourceText: string, translatedText: string, path: string) => void} [callbacks.onValidString] - Called for each valid string.
+ * @param {(sourceText: string, path: string) => void} [callbacks.onRejectedMessage] - Called for each ICU message
+ *   whose translation failed validation.
+ * @param {(sourceText: string, translatedText: string, path: string) => void} [callbacks.onInvalidString] - Called for
+ *   each string that failed validation (after the warning was logged).
+ * @param {(sourceText: string, path: string) => void} [callbacks.onEmptyString] - Called for each empty translation
+ *   of a non-empty source string.
  */
-function validateStructurePlaceholders(sourceNode, translatedNode, path = 'root') {
+export function validateStructurePlaceholders(sourceNode, translatedNode, targetLangCode, path = 'root', callbacks = {}) {
     const sourceType = Array.isArray(sourceNode) ? 'array' : (sourceNode === null ? 'null' : typeof sourceNode);
     const translatedType = Array.isArray(translatedNode) ? 'array' : (translatedNode === null ? 'null' : typeof translatedNode);
 
@@ -315,18 +477,27 @@ function validateStructurePlaceholders(sourceNode, translatedNode, path = 'root'
     if (sourceType === 'array') {
         const commonLength = Math.min(sourceNode.length, translatedNode.length);
         for (let i = 0; i < commonLength; i++) {
-            validateStructurePlaceholders(sourceNode[i], translatedNode[i], `${path}[${i}]`);
+            validateStructurePlaceholders(sourceNode[i], translatedNode[i], targetLangCode, `${path}[${i}]`, callbacks);
         }
     } else if (sourceType === 'object') {
         for (const key in sourceNode) {
             if (Object.prototype.hasOwnProperty.call(sourceNode, key) &&
                 Object.prototype.hasOwnProperty.call(translatedNode, key)) { // Validate only common keys
-                validateStructurePlaceholders(sourceNode[key], translatedNode[key], `${path}.${key}`);
+                validateStructurePlaceholders(sourceNode[key], translatedNode[key], targetLangCode, `${path}.${key}`, callbacks);
             }
         }
     } else if (sourceType === 'string') {
-        // Compare placeholders for this string node
-        comparePlaceholders(sourceNode, translatedNode, path);
+        if (!translatedNode.trim() && sourceNode.trim()) {
+            if (callbacks.onEmptyString) callbacks.onEmptyString(sourceNode, path);
+            return;
+        }
+        // Compare placeholders (or the ICU structure) for this string node
+        if (validateTranslation(sourceNode, translatedNode, targetLangCode, path)) {
+            if (callbacks.onValidString) callbacks.onValidString(sourceNode, translatedNode, path);
+            return;
+        }
+        if (callbacks.onInvalidString) callbacks.onInvalidString(sourceNode, translatedNode, path);
+        if (callbacks.onRejectedMessage && parseIcuMessage(sourceNode)) callbacks.onRejectedMessage(sourceNode, path);
     }
 }
 
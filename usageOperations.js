@@ -0,0 +1,120 @@
+// usageOperations.js
+import fs from 'fs/promises';
+import path from 'path';
+import { walkLeaves, toCodeKey } from './utils.js';
+import { getSourceFiles } from './fileOperations.js';
+import { getLocaleFilePath } from './localePaths.js';
+import { readLocaleFile } from './formats/index.js';
+import { parsePluralKey } from './pluralKeys.js';
+import { scanSourceFiles, DEFAULT_SCAN_OPTIONS } from './codeScanner.js';
+
+/**
+ * Collects the string keys of the source locale files per namespace (the file name without extension,
+ * e.g. 'common' or 'admin/users').
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @returns {Promise<Map<string, string[]>>} Namespace → keys in code notation.
+ */
+export async function collectLocaleKeys(baseDir, sourceLang) {
+    const namespaces = new Map();
+    for (const filename of await getSourceFiles(baseDir, sourceLang)) {
+        try {
+            const { data } = await readLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang });
+            const keys = [];
+            walkLeaves(data, (value, keyPath) => {
+                if (typeof value === 'string') keys.push(toCodeKey(keyPath));
+            });
+            namespaces.set(filename.slice(0, filename.length - path.extname(filename).length), keys);
+        } catch (error) {
+            console.error(`  ❌ Could not read source file ${filename}: ${error.message}`);
+        }
+    }
+    return namespaces;
+}
+
+/**
+ * Finds the locale keys a key used in code refers to: the key itself, the keys of its plural forms
+ * (`item` → `item_one`, `item_other`), or every key below it (objects returned with `returnObjects`).
+ * @param {string[]} localeKeys
+ * @param {string} key
+ * @returns {string[]}
+ */
+export function findReferencedKeys(localeKeys, key) {
+    return localeKeys.filter(localeKey => localeKey === key
+        || localeKey.startsWith(`${key}.`)
+        || parsePluralKey(localeKey)?.base === key);
+}
+
+function formatLocations(references) {
+    const [first, ...rest] = references;
+    return `${first.file}:${first.line}${rest.length > 0 ? `, +${rest.length} more` : ''}`;
+}
+
+/**
+ * Compares the translation keys used in the application code with the keys of the source locale files.
+ * Reports keys used in code but missing from the source locale, locale keys never referenced in code, and
+ * dynamic keys that cannot be resolved statically. Locale keys matching the static prefix of a dynamic key
+ * (e.g. 'status.' in `status.${state}`) are not reported as unused.
+ * @param {string} baseDir - Absolute base directory.
+ * @param {string} sourceLang
+ * @param {object} [options]
+ * @param {string[]} [options.srcDirs] - Absolute directories to scan.
+ * @param {object} [options.scanOptions] - Function, hook and component names, namespace separator and default namespace.
+ * @param {string} [options.jsonFile] - Absolute path to write the report to as JSON.
+ * @returns {Promise<{ missing: object[], unused: object[], unresolvable: object[] }>}
+ */
+export async function runUsage(baseDir, sourceLang, { srcDirs, scanOptions = DEFAULT_SCAN_OPTIONS, jsonFile = null } = {}) {
+    console.log(`\n🔍 Scanning ${srcDirs.map(dir => path.relative(process.cwd(), dir) || '.').join(', ')} for translation keys...`);
+    const scan = await scanSourceFiles(srcDirs, scanOptions);
+    scan.errors.forEach(({ file, message }) => console.warn(`  ⚠️ Could not parse ${file}: ${message}`));
+    console.log(`  Scanned ${scan.files} file(s): ${scan.keys.length} key reference(s), ${scan.unresolvable.length} dynamic key(s).`);
+
+    const separator = scanOptions.namespaceSeparator || ':'; // Also used to display keys when namespaces are off
+    const localeKeys = await collectLocaleKeys(baseDir, sourceLang);
+    const usedKeys = new Map([...localeKeys.keys()].map(namespace => [namespace, new Set()]));
+
+    // Group references by namespaced key, then match them against the locale files
+    const references = new Map();
+    for (const reference of scan.keys) {
+        const id = `${reference.namespace}${separator}${reference.key}`;
+        if (!references.has(id)) references.set(id, { namespace: reference.namespace, key: reference.key, references: [] });
+        references.get(id).references.push({ file: reference.file, line: reference.line });
+    }
+    const missing = [];
+    for (const [id, entry] of references) {
+        const matches = findReferencedKeys(localeKeys.get(entry.namespace) || [], entry.key);
+        if (matches.length === 0) missing.push({ id, ...entry });
+        matches.forEach(key => usedKeys.get(entry.namespace).add(key));
+    }
+
+    const dynamicPrefixes = scan.unresolvable.filter(entry => entry.prefix);
+    const unused = [];
+    let possiblyUsed = 0;
+    for (const [namespace, keys] of localeKeys) {
+        for (const key of keys) {
+            if (usedKeys.get(namespace).has(key)) continue;
+            if (dynamicPrefixes.some(entry => entry.namespace === namespace && key.startsWith(entry.prefix))) possiblyUsed++;
+            else unused.push({ id: `${namespace}${separator}${key}`, namespace, key });
+        }
+    }
+
+    console.log(`\n❌ Used in code but missing from '${sourceLang}' (${missing.length}):`);
+    missing.forEach(entry => console.log(`   ${entry.id}  (${formatLocations(entry.references)})`));
+    console.log(`\n⚠️ Locale keys not referenced in code (${unused.length}):`);
+    unused.forEach(entry => console.log(`   ${entry.id}`));
+    if (possiblyUsed > 0) console.log(`   ℹ️ ${possiblyUsed} more key(s) match the prefix of a dynamic key and are not listed.`);
+    console.log(`\n❔ Unresolvable dynamic keys (${scan.unresolvable.length}):`);
+    scan.unresolvable.forEach(entry => console.log(`   ${entry.file}:${entry.line}  ${entry.code}`));
+
+    const report = { sourceLang, generatedAt: new Date().toISOString(), filesScanned: scan.files, missing, unused, unresolvable: scan.unresolvable, parseErrors: scan.errors };
+    if (jsonFile) {
+        try {
+            await fs.mkdir(path.dirname(jsonFile), { recursive: true });
+            await fs.writeFile(jsonFile, `${JSON.stringify(report, null, 2)}\n`, 'utf-8');
+            console.log(`\n💾 Saved usage report to ${path.relative(process.cwd(), jsonFile)}`);
+        } catch (error) {
+            console.error(`\n❌ Failed to write usage report to ${jsonFile}: ${error.message}`);
+        }
+    }
+    return { missing, unused, unresolvable: scan.unresolvable };
+}
@@ -38,16 +38,21 @@ export function createEmptyStructure(value) {
  * - Removes keys/elements from targetNode that are no longer in sourceNode.
  * - If data types mismatch significantly, replaces target branch with empty structure.
  * - Keeps existing primitive values in targetNode if structure/key matches.
- * - Returns information about structural changes AND details of added nodes.
+ * - Returns information about structural changes AND details of added/removed nodes.
  *
  * @param {any} sourceNode - The corresponding node from the source JSON.
  * @param {any} targetNode - The corresponding node from the target JSON.
  * @param {string} currentPath - Current path for logging & reporting (e.g., 'root.key1.list[0]')
- * @param {Array<{path: string, sourceValue: any}>} addedNodesCollector - Array to collect info about added nodes.
+ * @param {Array<{path: string, sourceValue: any, reason: string, previousType?: string}>} addedNodesCollector - Array to collect info about added nodes.
+ *   `reason` is 'added' for new keys/elements and 'typeMismatch' for replaced branches.
+ * @param {Array<{path: string, targetValue: any}>} [removedNodesCollector] - Optional array to collect info about removed nodes.
+ * @param {object} [options]
+ * @param {boolean} [options.log=true] - Log every added, removed or replaced node (off for read-only checks).
  * @returns {{ updatedNode: any, changesMade: boolean }} - The synchronized target node and a flag.
  */
-export function syncStructure(sourceNode, targetNode, currentPath = 'root', addedNodesCollector = []) {
+export function syncStructure(sourceNode, targetNode, currentPath = 'root', addedNodesCollector = [], removedNodesCollector = [], options = {}) {
     let changesMade = false;
+    const log = options.log === false ? () => {} : console.log;
 
     const sourceType = Array.isArray(sourceNode) ? 'array' : (sourceNode === null ? 'null' : typeof sourceNode);
     const targetType = Array.isArray(targetNode) ? 'array' : (targetNode === null ? 'null' : typeof targetNode);
@@ -56,10 +61,10 @@ export function syncStructure(sourceNode, targetNode, currentPath = 'root', adde
     if (sourceType !== targetType) {
         const isMajorMismatch = (sourceType === 'object' || sourceType === 'array' || targetType === 'object' || targetType === 'array');
         if (isMajorMismatch) {
-            console.warn(`    ⚠️ Structural mismatch at '${currentPath}'. Type changed from '${targetType}' to '${sourceType}'. Replacing target branch with empty structure.`);
+            if (options.log !== false) console.warn(`    ⚠️ Structural mismatch at '${currentPath}'. Type changed from '${targetType}' to '${sourceType}'. Replacing target branch with empty structure.`);
             const emptyReplacement = createEmptyStructure(sourceNode);
             // Report the entire replaced branch as 'added' for potential translation
-            addedNodesCollector.push({ path: currentPath, sourceValue: sourceNode });
+            addedNodesCollector.push({ path: currentPath, sourceValue: sourceNode, reason: 'typeMismatch', previousType: targetType });
             return { updatedNode: emptyReplacement, changesMade: true };
         }
         return { updatedNode: targetNode, changesMade: false }; // Keep target primitive if only primitive types changed
@@ -80,19 +85,20 @@ export function syncStructure(sourceNode, targetNode, currentPath = 'root', adde
 
             if (i < sourceLength && i < targetLength) {
                 // Element exists in both: recurse
-                const result = syncStructure(sourceElement, targetElement, elementPath, addedNodesCollector); // Pass collector down
+                const result = syncStructure(sourceElement, targetElement, elementPath, addedNodesCollector, removedNodesCollector, options); // Pass collectors down
                 newTargetArray.push(result.updatedNode);
                 if (result.changesMade) arrayChanges = true;
             } else if (i < sourceLength) {
                 // Element only in source (added): add empty structure AND report addition
-                console.log(`    ➕ Added structure at '${elementPath}'`);
+                log(`    ➕ Added structure at '${elementPath}'`);
                 const emptyElement = createEmptyStructure(sourceElement);
                 newTargetArray.push(emptyElement);
-                addedNodesCollector.push({ path: elementPath, sourceValue: sourceElement }); // Report addition
+                addedNodesCollector.push({ path: elementPath, sourceValue: sourceElement, reason: 'added' }); // Report addition
                 arrayChanges = true;
             } else if (i < targetLength) {
                 // Element only in target (deleted from source): log removal
-                console.log(`    ➖ Removed structure at '${elementPath}'`);
+                log(`    ➖ Removed structure at '${elementPath}'`);
+                removedNodesCollector.push({ path: elementPath, targetValue: targetElement }); // Report removal
                 arrayChanges = true;
             }
         }
@@ -110,17 +116,17 @@ export function syncStructure(sourceNode, targetNode, currentPath = 'root', adde
                 const elementPath = `${currentPath}.${key}`;
                 if (Object.prototype.hasOwnProperty.call(newTargetObject, key)) {
                     // Key exists in both: recurse
-                    const result = syncStructure(sourceNode[key], newTargetObject[key], elementPath, addedNodesCollector); // Pass collector down
+                    const result = syncStructure(sourceNode[key], newTargetObject[key], elementPath, addedNodesCollector, removedNodesCollector, options); // Pass collectors down
                     if (result.changesMade) {
                         newTargetObject[key] = result.updatedNode;
                         objectChanges = true;
                     }
                 } else {
                     // Key only in source (added): add empty structure AND report addition
-                    console.log(`    ➕ Added key: '${elementPath}'`);
+                    log(`    ➕ Added key: '${elementPath}'`);
                     const emptyValue = createEmptyStructure(sourceNode[key]);
                     newTargetObject[key] = emptyValue;
-                    addedNodesCollector.push({ path: elementPath, sourceValue: sourceNode[key] }); // Report addition
+                    addedNodesCollector.push({ path: elementPath, sourceValue: sourceNode[key], reason: 'added' }); // Report addition
                     objectChanges = true;
                 }
             }
@@ -132,7 +138,8 @@ export function syncStructure(sourceNode, targetNode, currentPath = 'root', adde
                 const elementPath = `${currentPath}.${key}`;
                 if (!Object.prototype.hasOwnProperty.call(sourceNode, key)) {
                     // Key only in target (deleted from source): remove from the copy
-                    console.log(`    ➖ Removed key: '${elementPath}'`);
+                    log(`    ➖ Removed key: '${elementPath}'`);
+                    removedNodesCollector.push({ path: elementPath, targetValue: targetNode[key] }); // Report removal
                     delete newTargetObject[key];
                     objectChanges = true;
                 }
@@ -148,6 +155,77 @@ export function syncStructure(sourceNode, targetNode, currentPath = 'root', adde
     }
 }
 
+/**
+ * Recursively visits every leaf (non-object, non-array value) of a structure.
+ * Paths use the same notation as syncStructure and setValueAtPath (e.g., 'root.a.b[0]').
+ *
+ * @param {any} node - The structure to walk.
+ * @param {(value: any, path: string) => void} visitor - Called once per leaf value.
+ * @param {string} [currentPath='root'] - Path of `node` itself.
+ */
+export function walkLeaves(node, visitor, currentPath = 'root') {
+    if (Array.isArray(node)) {
+        node.forEach((element, index) => walkLeaves(element, visitor, `${currentPath}[${index}]`));
+    } else if (typeof node === 'object' && node !== null) {
+        for (const key in node) {
+            if (Object.prototype.hasOwnProperty.call(node, key)) {
+                walkLeaves(node[key], visitor, `${currentPath}.${key}`);
+            }
+        }
+    } else {
+        visitor(node, currentPath);
+    }
+}
+
+/**
+ * Converts a key path to the key notation used in code: 'root.menu.items[0]' → 'menu.items.0'.
+ * @param {string} keyPath
+ * @returns {string}
+ */
+export function toCodeKey(keyPath) {
+    return keyPath.replace(/^root\.?/, '').replace(/\[(\d+)\]/g, '.$1');
+}
+
+/**
+ * Counts the non-empty strings in a structure, i.e. the strings a translator would receive.
+ * @param {any} node - The structure to scan.
+ * @returns {number} - Number of translatable strings.
+ */
+export function countTranslatableStrings(node) {
+    let count = 0;
+    walkLeaves(node, value => {
+        if (typeof value === 'string' && value.trim()) count++;
+    });
+    return count;
+}
+
+/**
+ * Splits a path string (e.g., 'root.data.items[2].name') into its key/index segments.
+ * @param {string} pathString
+ * @returns {string[]}
+ */
+function splitPath(pathString) {
+    return pathString.replace(/^root\.?/, '').split(/\.|\[(\d+)\]/).filter(Boolean);
+}
+
+/**
+ * Reads the value at a nested path within an object/array.
+ * Uses the same path notation as setValueAtPath.
+ * @param {object|Array} obj - The object/array to read from.
+ * @param {string} pathString - The path string (e.g., 'root.data.items[2].name').
+ * @returns {any} - The value, or undefined if the path does not exist.
+ */
+export function getValueAtPath(obj, pathString) {
+    let current = obj;
+    for (const segment of splitPath(pathString)) {
+        if (typeof current !== 'object' || current === null || !Object.prototype.hasOwnProperty.call(current, segment)) {
+            return undefined;
+        }
+        current = current[segment];
+    }
+    return current;
+}
+
 /**
  * Sets a value at a nested path within an object/array.
  * Path uses dot notation for objects and simplified bracket notation (e.g., 'a.b[0].c').
@@ -158,7 +236,7 @@ export function syncStructure(sourceNode, targetNode, currentPath = 'root', adde
  */
 export function setValueAtPath(obj, pathString, value) {
     // Remove 'root.' prefix if present and split path using regex for keys and indices
-    const pathSegments = pathString.replace(/^root\.?/, '').split(/\.|\[(\d+)\]/).filter(Boolean);
+    const pathSegments = splitPath(pathString);
 
     let current = obj;
     try {
@@ -211,6 +289,23 @@ export function setValueAtPath(obj, pathString, value) {
     }
 }
 
+/**
+ * Escapes text for use in XML content and attribute values.
+ * @param {any} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Escapes text for literal use in a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 // Simple error class (optional)
 export class AppError extends Error {
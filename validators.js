@@ -1,4 +1,16 @@
 import iso6391 from 'iso-639-1';
+import { canonicalPseudoLocale } from './pseudoLocalization.js';
+
+/**
+ * Normalizes a language code: pseudo-locales keep their canonical casing (e.g., 'en-XA'),
+ * everything else is lower-cased.
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeLangCode(code) {
+    const trimmed = code.trim();
+    return canonicalPseudoLocale(trimmed) || trimmed.toLowerCase();
+}
 
 /**
  * Validates the source language code input.
@@ -30,7 +42,7 @@ export function validateTargetLangs(input) {
 
     if (codes.length === 0) return 'Target languages cannot be empty.';
 
-    const invalidCodes = codes.filter(code => !iso6391.validate(code));
+    const invalidCodes = codes.filter(code => !iso6391.validate(code) && !canonicalPseudoLocale(code));
 
     if (invalidCodes.length > 0) {
         const suggestions = invalidCodes.map(code => {
@@ -0,0 +1,216 @@
+// xliff.js
+// Reader/writer for XLIFF 2.0 and 1.2 files with placeholders as protected inline <ph> elements.
+import { DOMParser } from '@xmldom/xmldom';
+import { PLACEHOLDER_REGEX } from './placeholders.js';
+import { escapeXml } from './utils.js';
+
+export const XLIFF_VERSIONS = ['2.0', '1.2'];
+
+const XLIFF_NAMESPACES = {
+    '2.0': 'urn:oasis:names:tc:xliff:document:2.0',
+    '1.2': 'urn:oasis:names:tc:xliff:document:1.2',
+};
+
+// Unit states written on export, per XLIFF version
+const EXPORT_STATES = {
+    '2.0': { new: 'initial', translated: 'translated', needsReview: 'initial' },
+    '1.2': { new: 'new', translated: 'translated', needsReview: 'needs-review-translation' },
+};
+const APPROVED_STATES_2_0 = ['reviewed', 'final'];
+const APPROVED_STATES_1_2 = ['final', 'signed-off'];
+
+/**
+ * Renders a string as XLIFF inline content, wrapping every placeholder found by PLACEHOLDER_REGEX
+ * in a <ph> element. The same placeholder gets the same id in source and target.
+ * @param {string} text
+ * @param {string} version - '2.0' or '1.2'.
+ * @param {Map<string, number>} placeholderIds - Placeholder → id, shared by a unit's source and target.
+ * @returns {string}
+ */
+function renderInline(text, version, placeholderIds) {
+    // split() with a capturing regex returns text and placeholders alternately
+    return text.split(PLACEHOLDER_REGEX).map((part, index) => {
+        if (index % 2 === 0) return escapeXml(part);
+        if (!placeholderIds.has(part)) placeholderIds.set(part, placeholderIds.size + 1);
+        const id = placeholderIds.get(part);
+        return version === '2.0'
+            ? `<ph id="${id}" equiv="${escapeXml(part)}" disp="${escapeXml(part)}" canDelete="no"/>`
+            : `<ph id="${id}">${escapeXml(part)}</ph>`;
+    }).join('');
+}
+
+/**
+ * Serializes units to an XLIFF document.
+ * @param {object} options
+ * @param {string} options.version - '2.0' or '1.2'.
+ * @param {string} options.sourceLang
+ * @param {string} options.targetLang
+ * @param {Array<{ original: string, units: Array<{ id: string, source: string, target: string, state: 'new'|'translated'|'needsReview' }> }>} options.files
+ * @returns {string}
+ */
+export function serializeXliff({ version, sourceLang, targetLang, files }) {
+    const states = EXPORT_STATES[version];
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+    if (version === '2.0') {
+        lines.push(`<xliff xmlns="${XLIFF_NAMESPACES[version]}" version="2.0" srcLang="${escapeXml(sourceLang)}" trgLang="${escapeXml(targetLang)}">`);
+        files.forEach((file, fileIndex) => {
+            lines.push(`  <file id="f${fileIndex + 1}" original="${escapeXml(file.original)}">`);
+            for (const unit of file.units) {
+                const placeholderIds = new Map();
+                lines.push(`    <unit id="${escapeXml(unit.id)}" xml:space="preserve">`);
+                lines.push(`      <segment state="${states[unit.state]}">`);
+                lines.push(`        <source>${renderInline(unit.source, version, placeholderIds)}</source>`);
+                if (unit.target) lines.push(`        <target>${renderInline(unit.target, version, placeholderIds)}</target>`);
+                lines.push('      </segment>');
+                lines.push('    </unit>');
+            }
+            lines.push('  </file>');
+        });
+    } else {
+        lines.push(`<xliff xmlns="${XLIFF_NAMESPACES[version]}" version="1.2">`);
+        for (const file of files) {
+            lines.push(`  <file original="${escapeXml(file.original)}" source-language="${escapeXml(sourceLang)}" target-language="${escapeXml(targetLang)}" datatype="plaintext">`);
+            lines.push('    <body>');
+            for (const unit of file.units) {
+                const placeholderIds = new Map();
+                lines.push(`      <trans-unit id="${escapeXml(unit.id)}" xml:space="preserve">`);
+                lines.push(`        <source>${renderInline(unit.source, version, placeholderIds)}</source>`);
+                lines.push(`        <target state="${states[unit.state]}">${unit.target ? renderInline(unit.target, version, placeholderIds) : ''}</target>`);
+                lines.push('      </trans-unit>');
+            }
+            lines.push('    </body>');
+            lines.push('  </file>');
+        }
+    }
+
+    lines.push('</xliff>');
+    return `${lines.join('\n')}\n`;
+}
+
+function childElements(node, localName) {
+    return Array.from(node.childNodes).filter(child => child.nodeType === 1 && child.localName === localName);
+}
+
+function descendantElements(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Collects the <ph> placeholders of a source element by id, used to restore placeholders
+ * whose target copy lost its `equiv`/content in a CAT tool.
+ * @returns {Map<string, string>}
+ */
+function collectPlaceholdersById(sourceElement) {
+    const placeholders = new Map();
+    if (!sourceElement) return placeholders;
+    for (const ph of descendantElements(sourceElement, 'ph')) {
+        const value = ph.getAttribute('equiv') || ph.getAttribute('disp') || ph.textContent;
+        if (value) placeholders.set(ph.getAttribute('id'), value);
+    }
+    return placeholders;
+}
+
+/**
+ * Turns XLIFF inline content back into a plain string. <ph>/<x> elements become their placeholder text;
+ * wrapping markup (<mrk>, <pc>, <g>, ...) is unwrapped.
+ * @param {Node} element
+ * @param {Map<string, string>} placeholdersById
+ * @returns {string}
+ */
+function readInline(element, placeholdersById) {
+    let text = '';
+    for (const child of Array.from(element.childNodes)) {
+        if (child.nodeType === 3 || child.nodeType === 4) { // Text or CDATA
+            text += child.data;
+        } else if (child.nodeType === 1 && (child.localName === 'ph' || child.localName === 'x')) {
+            text += child.getAttribute('equiv') || child.getAttribute('equiv-text') || child.textContent
+                || placeholdersById.get(child.getAttribute('id')) || '';
+        } else if (child.nodeType === 1) {
+            text += readInline(child, placeholdersById);
+        }
+    }
+    return text;
+}
+
+function readUnit2(unit) {
+    // CAT tools may split a unit into several segments; they are joined back in order
+    const parts = Array.from(unit.childNodes).filter(child => child.nodeType === 1 && (child.localName === 'segment' || child.localName === 'ignorable'));
+    const segments = parts.filter(part => part.localName === 'segment');
+    let source = '';
+    let target = '';
+    let hasTarget = false;
+    // Inline ids are unique per unit, so a target may refer to a placeholder from another segment's source
+    const placeholdersById = new Map(parts.flatMap(part => [...collectPlaceholdersById(childElements(part, 'source')[0])]));
+    for (const part of parts) {
+        const sourceElement = childElements(part, 'source')[0];
+        const targetElement = childElements(part, 'target')[0];
+        if (sourceElement) source += readInline(sourceElement, placeholdersById);
+        if (targetElement) {
+            target += readInline(targetElement, placeholdersById);
+            hasTarget = true;
+        } else if (part.localName === 'ignorable' && sourceElement) {
+            target += readInline(sourceElement, placeholdersById); // Ignorable content is copied as is
+        }
+    }
+    const approved = segments.length > 0 && segments.every(segment => APPROVED_STATES_2_0.includes(segment.getAttribute('state')));
+    return { id: unit.getAttribute('id'), source, target: hasTarget ? target : '', approved };
+}
+
+function readUnit1(unit) {
+    const sourceElement = childElements(unit, 'source')[0];
+    const targetElement = childElements(unit, 'target')[0];
+    const placeholdersById = collectPlaceholdersById(sourceElement);
+    const approved = unit.getAttribute('approved') === 'yes'
+        || Boolean(targetElement && APPROVED_STATES_1_2.includes(targetElement.getAttribute('state')));
+    return {
+        id: unit.getAttribute('id'),
+        source: sourceElement ? readInline(sourceElement, placeholdersById) : '',
+        target: targetElement ? readInline(targetElement, placeholdersById) : '',
+        approved,
+    };
+}
+
+/**
+ * Parses an XLIFF 2.x or 1.2 document.
+ * A unit is approved when all its segments are `reviewed`/`final` (2.x), or when it has `approved="yes"`
+ * or a `final`/`signed-off` target (1.2).
+ * @param {string} content
+ * @returns {{ version: string, sourceLang: string | null, targetLang: string | null, files: Array<{ original: string, units: Array<{ id: string, source: string, target: string, approved: boolean }> }> }}
+ * @throws {SyntaxError} On malformed XML or a document that is not XLIFF 2.x/1.2.
+ */
+export function parseXliff(content) {
+    const xmlErrors = [];
+    let document;
+    try {
+        document = new DOMParser({
+            onError: (level, message) => {
+                if (level !== 'warning') xmlErrors.push(message);
+            },
+        }).parseFromString(content, 'text/xml');
+    } catch (error) {
+        xmlErrors.push(error.message); // Fatal errors are thrown after being reported
+    }
+    if (xmlErrors.length > 0) throw new SyntaxError(`Invalid XML: ${xmlErrors[0]}`);
+
+    const root = document.documentElement;
+    if (!root || root.localName !== 'xliff') throw new SyntaxError('Root element is not <xliff>.');
+    const rawVersion = root.getAttribute('version') || '';
+    const version = rawVersion.startsWith('2.') ? '2.0' : rawVersion;
+    if (!XLIFF_VERSIONS.includes(version)) throw new SyntaxError(`Unsupported XLIFF version '${rawVersion}'. Supported: 2.x, 1.2.`);
+
+    const fileElements = childElements(root, 'file');
+    const files = fileElements.map(file => ({
+        original: file.getAttribute('original') || file.getAttribute('id'),
+        units: version === '2.0'
+            ? descendantElements(file, 'unit').map(readUnit2)
+            : descendantElements(file, 'trans-unit').map(readUnit1),
+    }));
+
+    return {
+        version,
+        sourceLang: version === '2.0' ? root.getAttribute('srcLang') : fileElements[0]?.getAttribute('source-language') || null,
+        targetLang: version === '2.0' ? root.getAttribute('trgLang') : fileElements[0]?.getAttribute('target-language') || null,
+        files,
+    };
+}
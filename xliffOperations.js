@@ -0,0 +1,219 @@
+// xliffOperations.js
+import fs from 'fs/promises';
+import path from 'path';
+import { walkLeaves, getValueAtPath, setValueAtPath, createEmptyStructure } from './utils.js';
+import { validateTranslation } from './icuMessages.js';
+import { localizePluralKeys } from './pluralKeys.js';
+import { serializeXliff, parseXliff } from './xliff.js';
+import { getSourceFiles } from './fileOperations.js';
+import { getLocaleFilePath } from './localePaths.js';
+import { readLocaleFile, readLocaleFileIfExists, writeLocaleFile } from './formats/index.js';
+import { loadSourceLock, saveSourceLock, findStaleEntries, updateFileLock, SOURCE_LOCK_FILE_NAME } from './sourceLock.js';
+
+export const DEFAULT_XLIFF_DIR = 'xliff';
+export const DEFAULT_XLIFF_VERSION = '2.0';
+
+/**
+ * Unit ids are the key paths without the internal 'root.' prefix (e.g., 'home.title', 'items[0]').
+ * @param {string} keyPath
+ * @returns {string}
+ */
+function toUnitId(keyPath) {
+    return keyPath.replace(/^root\.?/, '');
+}
+
+function getXliffPath(directory, lang) {
+    return path.join(directory, `${lang}.xlf`);
+}
+
+/**
+ * Exports one XLIFF file per target language (`<outputDir>/<lang>.xlf`) with one <file> per locale file
+ * and one unit per source string. Units hold the key path as id, the source string and the current
+ * target value; existing values are exported as translated (not approved), stale ones as needing review.
+ * @param {string} baseDir - Absolute base directory containing the language folders.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {string} outputDir - Absolute directory to write the XLIFF files to.
+ * @param {object} [options]
+ * @param {string} [options.version='2.0'] - XLIFF version to write ('2.0' or '1.2').
+ */
+export async function runExportXliff(baseDir, sourceLang, targetLangs, outputDir, { version = DEFAULT_XLIFF_VERSION } = {}) {
+    console.log(`\n📤 Exporting XLIFF ${version} files to ${outputDir}...`);
+    const sourceFiles = await getSourceFiles(baseDir, sourceLang);
+    const sourceLock = await loadSourceLock(baseDir);
+
+    const sources = [];
+    for (const filename of sourceFiles) {
+        try {
+            const { data } = await readLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang });
+            sources.push({ filename, sourceJson: data });
+        } catch (error) {
+            console.error(`  ❌ Could not read source file ${filename}: ${error.message}`);
+        }
+    }
+
+    await fs.mkdir(outputDir, { recursive: true });
+    let filesWritten = 0;
+    for (const targetLang of targetLangs) {
+        if (targetLang === sourceLang) continue;
+        try {
+            let unitCount = 0;
+            let translatedCount = 0;
+            const files = [];
+            for (const { filename, sourceJson: sourceData } of sources) {
+                const sourceJson = localizePluralKeys(sourceData, targetLang); // Units for the target language's plural keys
+                const target = await readLocaleFileIfExists(getLocaleFilePath(baseDir, targetLang, filename), { lang: targetLang });
+                const targetJson = target ? target.data : createEmptyStructure(sourceJson);
+                const stalePaths = new Set(findStaleEntries(sourceJson, targetJson, sourceLock, targetLang, filename).map(entry => entry.path));
+
+                const units = [];
+                walkLeaves(sourceJson, (sourceValue, keyPath) => {
+                    if (typeof sourceValue !== 'string' || !sourceValue.trim()) return;
+                    const targetValue = getValueAtPath(targetJson, keyPath);
+                    const targetText = typeof targetValue === 'string' ? targetValue : '';
+                    const state = !targetText ? 'new' : (stalePaths.has(keyPath) ? 'needsReview' : 'translated');
+                    units.push({ id: toUnitId(keyPath), source: sourceValue, target: targetText, state });
+                    if (targetText) translatedCount++;
+                });
+                unitCount += units.length;
+                files.push({ original: filename, units });
+            }
+
+            const xliffPath = getXliffPath(outputDir, targetLang);
+            await fs.writeFile(xliffPath, serializeXliff({ version, sourceLang, targetLang, files }), 'utf-8');
+            console.log(`  ✅ ${path.relative(process.cwd(), xliffPath)} (${files.length} file(s), ${translatedCount}/${unitCount} units with a target)`);
+            filesWritten++;
+        } catch (error) {
+            console.error(`  ❌ Could not export XLIFF for ${targetLang}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n✅ XLIFF export complete. ${filesWritten} file(s) written.`);
+}
+
+/**
+ * Merges the units of one XLIFF <file> into a target structure. Only approved units are merged.
+ * @returns {{ imported: string[], unchanged: number, notApproved: string[], untranslated: string[], outdated: string[], unknown: string[], placeholderMismatches: string[] }}
+ */
+function mergeUnits(units, sourceJson, targetJson, targetLang, identifier) {
+    const report = { imported: [], unchanged: 0, notApproved: [], untranslated: [], outdated: [], unknown: [], placeholderMismatches: [] };
+
+    for (const unit of units) {
+        const sourceValue = unit.id ? getValueAtPath(sourceJson, unit.id) : undefined;
+        if (typeof sourceValue !== 'string') {
+            report.unknown.push(unit.id || '(unit without id)');
+        } else if (unit.source !== sourceValue) {
+            report.outdated.push(unit.id); // Source string changed since the file was exported
+        } else if (!unit.target) {
+            report.untranslated.push(unit.id);
+        } else if (!unit.approved) {
+            report.notApproved.push(unit.id);
+        } else if (!validateTranslation(sourceValue, unit.target, targetLang, `${identifier}:${unit.id}`)) {
+            report.placeholderMismatches.push(unit.id);
+        } else if (getValueAtPath(targetJson, unit.id) === unit.target) {
+            report.unchanged++;
+        } else {
+            setValueAtPath(targetJson, unit.id, unit.target);
+            report.imported.push(unit.id);
+        }
+    }
+    return report;
+}
+
+function printKeyList(symbol, label, keys) {
+    if (keys.length === 0) return;
+    console.log(`     ${symbol} ${keys.length} ${label}:`);
+    keys.forEach(keyPath => console.log(`        ${keyPath}`));
+}
+
+/**
+ * Imports reviewed XLIFF files (`<inputDir>/<lang>.xlf`, version 2.x or 1.2) back into the target locale files.
+ * Approved units are matched by key path, checked with validateTranslation and merged with setValueAtPath.
+ * Units that are not approved or have no target, units whose source no longer matches, unknown keys and
+ * placeholder mismatches are reported and left untouched.
+ * @param {string} baseDir - Absolute base directory containing the language folders.
+ * @param {string} sourceLang
+ * @param {string[]} targetLangs
+ * @param {string} inputDir - Absolute directory containing the XLIFF files.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would be imported without writing.
+ */
+export async function runImportXliff(baseDir, sourceLang, targetLangs, inputDir, { dryRun = false } = {}) {
+    console.log(`\n📥 Importing XLIFF files from ${inputDir}${dryRun ? ' (dry run)' : ''}...`);
+    const sourceFiles = new Set(await getSourceFiles(baseDir, sourceLang));
+    const sourceLock = await loadSourceLock(baseDir);
+    const totals = { imported: 0, notApproved: 0, untranslated: 0, skipped: 0, filesWritten: 0 };
+
+    for (const targetLang of targetLangs) {
+        if (targetLang === sourceLang) continue;
+        const xliffPath = getXliffPath(inputDir, targetLang);
+        console.log(`\nLanguage: ${targetLang}`);
+
+        let xliff;
+        try {
+            xliff = parseXliff(await fs.readFile(xliffPath, 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log(`  ℹ️ No XLIFF file for ${targetLang} (${path.relative(process.cwd(), xliffPath)}). Skipping.`);
+            } else {
+                console.error(`  ❌ Could not read ${xliffPath}: ${error.message}`);
+            }
+            continue;
+        }
+        if (xliff.targetLang && xliff.targetLang.toLowerCase() !== targetLang.toLowerCase()) {
+            console.error(`  ❌ ${path.relative(process.cwd(), xliffPath)} targets '${xliff.targetLang}', not '${targetLang}'. Skipping.`);
+            continue;
+        }
+
+        for (const { original: filename, units } of xliff.files) {
+            if (!sourceFiles.has(filename)) {
+                console.warn(`  ⚠️ <file original="${filename}"> does not match a source locale file. Skipping ${units.length} unit(s).`);
+                totals.skipped += units.length;
+                continue;
+            }
+            const targetFilePath = getLocaleFilePath(baseDir, targetLang, filename);
+            try {
+                const { data: sourceData, document: sourceDocument } = await readLocaleFile(getLocaleFilePath(baseDir, sourceLang, filename), { lang: sourceLang });
+                const sourceJson = localizePluralKeys(sourceData, targetLang);
+                const target = await readLocaleFileIfExists(targetFilePath, { lang: targetLang });
+                const targetJson = target ? target.data : createEmptyStructure(sourceJson);
+
+                const report = mergeUnits(units, sourceJson, targetJson, targetLang, `${targetLang}/${filename}`);
+                totals.imported += report.imported.length;
+                totals.notApproved += report.notApproved.length;
+                totals.untranslated += report.untranslated.length;
+                totals.skipped += report.outdated.length + report.unknown.length + report.placeholderMismatches.length;
+
+                const verb = dryRun ? 'would be imported' : 'imported';
+                console.log(`  ${report.imported.length > 0 ? '✏️' : '✨'} ${targetLang}/${filename}: ${report.imported.length} ${verb}, ${report.unchanged} unchanged`);
+                printKeyList('⏳', 'translated but not approved (not imported)', report.notApproved);
+                printKeyList('∅', 'untranslated (not imported)', report.untranslated);
+                printKeyList('⚠️', 'with a changed source string since export (not imported)', report.outdated);
+                printKeyList('⚠️', 'unknown key(s) (not imported)', report.unknown);
+                printKeyList('⚠️', 'with placeholder mismatches (not imported)', report.placeholderMismatches);
+
+                if (report.imported.length === 0 || dryRun) continue;
+                await fs.mkdir(path.dirname(targetFilePath), { recursive: true });
+                await writeLocaleFile(targetFilePath, targetJson, target ? target.document : sourceDocument, { lang: targetLang });
+                // Keep values that are still stale flagged; imported values now match the current source
+                const stalePaths = findStaleEntries(sourceJson, targetJson, sourceLock, targetLang, filename).map(entry => entry.path);
+                updateFileLock(sourceLock, targetLang, filename, sourceJson, targetJson, stalePaths);
+                totals.filesWritten++;
+            } catch (error) {
+                console.error(`  ❌ Error importing ${targetLang}/${filename}: ${error.message}`);
+            }
+        }
+    }
+
+    if (totals.filesWritten > 0) {
+        try {
+            await saveSourceLock(baseDir, sourceLock);
+        } catch (error) {
+            console.error(`\n❌ Failed to write ${SOURCE_LOCK_FILE_NAME}: ${error.message}`);
+        }
+    }
+
+    const summary = `${totals.imported} translation(s) ${dryRun ? 'would be imported' : `imported into ${totals.filesWritten} file(s)`}; `
+        + `${totals.notApproved} not approved, ${totals.untranslated} untranslated and ${totals.skipped} other units skipped.`;
+    console.log(`\n✅ XLIFF import ${dryRun ? 'dry run ' : ''}complete. ${summary}`);
+}